@@ -0,0 +1,148 @@
+// Offline evaluation of the triage classify and retrieveKB steps.
+//
+//   node scripts/eval-triage.js --dataset data/eval.jsonl [--provider stub|mock]
+//        [--mock-url http://localhost:4010] [--k 1,3] [--bins 10] [--no-retrieval] [--json]
+//   node scripts/eval-triage.js --export data/feedback.jsonl [--since 2024-01-01]
+//
+// Dataset lines are JSON objects:
+//   { "id": "t1", "title": "...", "description": "...", "tags": [], "category": "billing",
+//     "expectedArticleIds": ["..."] }
+//
+// Only the stub and the local mock provider (scripts/mock-llm-server.js) can be
+// selected, so an evaluation never calls out to a hosted model. MongoDB
+// (MONGO_URI) is only needed for retrieval and for --export; without it the
+// built-in default categories are used instead of the admin-managed ones.
+require("dotenv").config()
+const fs = require("fs")
+const mongoose = require("mongoose")
+const { stubProvider } = require("../src/services/llm")
+const MockHttpProvider = require("../src/services/llm/mockHttp.provider")
+const { evaluateDataset, exportFeedbackDataset } = require("../src/services/evaluation.service")
+const { DEFAULT_CATEGORIES, getCategories } = require("../src/services/category.service")
+
+const parseArgs = (argv) => {
+  const args = { provider: "stub", k: "1,3", bins: "10", retrieval: true, json: false }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === "--no-retrieval") args.retrieval = false
+    else if (arg === "--json") args.json = true
+    else if (arg.startsWith("--")) args[arg.slice(2).replace(/-(\w)/g, (_, c) => c.toUpperCase())] = argv[++i]
+  }
+  return args
+}
+
+const readDataset = (path) =>
+  fs
+    .readFileSync(path, "utf8")
+    .split("\n")
+    .map((line, index) => [line.trim(), index + 1])
+    .filter(([line]) => line && !line.startsWith("//"))
+    .map(([line, lineNumber]) => {
+      const record = JSON.parse(line)
+      if (!record.category) {
+        throw new Error(`Line ${lineNumber}: missing "category" label`)
+      }
+      return record
+    })
+
+const selectProvider = ({ provider, mockUrl }) => {
+  switch (provider) {
+    case "stub":
+      return stubProvider
+    case "mock":
+      return new MockHttpProvider({ baseURL: mockUrl || process.env.LLM_MOCK_URL })
+    default:
+      throw new Error(`Unsupported provider "${provider}" (use stub or mock)`)
+  }
+}
+
+const pct = (value) => (value == null ? "   -  " : `${(value * 100).toFixed(1).padStart(5)}%`)
+
+const printReport = (report, { k }) => {
+  const { classification, calibration, retrieval } = report
+
+  console.log(`Provider: ${report.provider.name} (${report.provider.model})`)
+  console.log(`Records: ${classification.total}`)
+  console.log(`\nAccuracy: ${pct(classification.accuracy)}`)
+
+  console.log("\nConfusion matrix (rows = label, columns = predicted)")
+  const width = Math.max(10, ...classification.categories.map((c) => c.length + 2))
+  console.log("".padEnd(width) + classification.categories.map((c) => c.padStart(width)).join(""))
+  for (const label of classification.categories) {
+    const row = classification.categories.map((predicted) =>
+      String(classification.matrix[label][predicted]).padStart(width),
+    )
+    console.log(label.padEnd(width) + row.join(""))
+  }
+
+  console.log("\nPer category")
+  for (const { category, support, precision, recall } of classification.perCategory) {
+    console.log(
+      `  ${category.padEnd(width)} support ${String(support).padStart(4)}  precision ${pct(precision)}  recall ${pct(recall)}`,
+    )
+  }
+
+  console.log("\nCalibration")
+  console.log("  confidence   count  avg conf  accuracy")
+  for (const row of calibration.rows) {
+    const range = `${row.from.toFixed(1)}-${row.to.toFixed(1)}`
+    console.log(
+      `  ${range.padEnd(10)} ${String(row.count).padStart(6)}   ${pct(row.avgConfidence)}   ${pct(row.accuracy)}`,
+    )
+  }
+  console.log(`  ECE: ${calibration.ece.toFixed(3)}`)
+
+  if (retrieval) {
+    console.log(`\nRetrieval (${retrieval.judged} records with expected articles)`)
+    for (const value of k) {
+      console.log(`  hit@${value}: ${pct(retrieval.hitRate[value])}`)
+    }
+  }
+}
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2))
+
+  if (!args.dataset && !args.export) {
+    console.error("Usage: node scripts/eval-triage.js --dataset <file.jsonl> | --export <file.jsonl>")
+    process.exit(1)
+  }
+
+  if (args.export) {
+    await mongoose.connect(process.env.MONGO_URI)
+    const records = await exportFeedbackDataset({ since: args.since })
+    fs.writeFileSync(args.export, records.map((record) => JSON.stringify(record)).join("\n") + "\n")
+    console.log(`Exported ${records.length} labeled ticket(s) to ${args.export}`)
+    return
+  }
+
+  const records = readDataset(args.dataset)
+  const provider = selectProvider(args)
+  const k = args.k
+    .split(",")
+    .map((value) => Number.parseInt(value))
+    .filter((value) => value > 0)
+  const bins = Number.parseInt(args.bins) || 10
+
+  let categories = DEFAULT_CATEGORIES
+  const retrieval = args.retrieval && records.some((record) => record.expectedArticleIds?.length > 0)
+  if (retrieval) {
+    await mongoose.connect(process.env.MONGO_URI)
+    categories = await getCategories()
+  }
+
+  const report = await evaluateDataset(records, provider, { categories, ks: k, bins, retrieval })
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2))
+  } else {
+    printReport(report, { k })
+  }
+}
+
+run()
+  .catch((error) => {
+    console.error("Evaluation failed:", error.message)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.connection.close())
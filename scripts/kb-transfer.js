@@ -0,0 +1,127 @@
+// Bulk import and export of KB articles (see src/services/kbTransfer.service.js).
+//
+//   node scripts/kb-transfer.js import <dir | file.zip | file.md | file.json>
+//        [--dry-run] [--delete-missing] [--author admin@example.com]
+//   node scripts/kb-transfer.js export <dir | file.zip | file.json> [--status published]
+//
+// Markdown files carry YAML front-matter (title, tags, status, optionally
+// slug); articles are matched by slug. Imported articles are attributed to
+// --author, or to the first admin user. Exporting to a directory or .zip writes
+// one Markdown file per article, to a .json file a single JSON array.
+require("dotenv").config()
+const fs = require("fs")
+const path = require("path")
+const mongoose = require("mongoose")
+const User = require("../src/models/User")
+const {
+  readDirectory,
+  readFileEntries,
+  importArticles,
+  exportArticles,
+  toMarkdownFiles,
+  buildZip,
+} = require("../src/services/kbTransfer.service")
+
+const USAGE = `Usage:
+  node scripts/kb-transfer.js import <dir|file.zip|file.md|file.json> [--dry-run] [--delete-missing] [--author <email>]
+  node scripts/kb-transfer.js export <dir|file.zip|file.json> [--status draft|published]`
+
+const parseArgs = (argv) => {
+  const args = { positional: [], dryRun: false, deleteMissing: false }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === "--dry-run") args.dryRun = true
+    else if (arg === "--delete-missing") args.deleteMissing = true
+    else if (arg.startsWith("--")) args[arg.slice(2).replace(/-(\w)/g, (_, c) => c.toUpperCase())] = argv[++i]
+    else args.positional.push(arg)
+  }
+  return args
+}
+
+const findAuthor = async (email) => {
+  const author = email
+    ? await User.findOne({ email: email.toLowerCase() })
+    : await User.findOne({ role: "admin" }).sort({ createdAt: 1 })
+  if (!author) {
+    throw new Error(email ? `No user with email ${email}` : "No admin user found, pass --author")
+  }
+  return author
+}
+
+const printImport = (result) => {
+  const heading = result.dryRun ? "Dry run, nothing written" : result.applied ? "Imported" : "Not imported"
+  console.log(heading)
+
+  for (const { slug, file } of result.created) console.log(`  create  ${slug}  (${file})`)
+  for (const { slug, file, changes } of result.updated) {
+    console.log(`  update  ${slug}  (${file}: ${changes.join(", ")})`)
+  }
+  for (const { slug } of result.deleted) console.log(`  delete  ${slug}`)
+  console.log(
+    `${result.created.length} created, ${result.updated.length} updated, ${result.unchanged.length} unchanged, ${result.deleted.length} deleted`,
+  )
+
+  if (result.errors.length > 0) {
+    console.log(`\n${result.errors.length} file(s) with errors:`)
+    for (const { file, messages } of result.errors) {
+      console.log(`  ${file}`)
+      for (const message of messages) console.log(`    - ${message}`)
+    }
+  }
+}
+
+const runImport = async (source, args) => {
+  const entries = fs.statSync(source).isDirectory()
+    ? await readDirectory(source)
+    : readFileEntries(path.basename(source), fs.readFileSync(source))
+
+  await mongoose.connect(process.env.MONGO_URI)
+  const user = await findAuthor(args.author)
+  const result = await importArticles(entries, { user, dryRun: args.dryRun, deleteMissing: args.deleteMissing })
+
+  printImport(result)
+  if (result.errors.length > 0) {
+    process.exitCode = 1
+  }
+}
+
+const runExport = async (target, args) => {
+  await mongoose.connect(process.env.MONGO_URI)
+  const records = await exportArticles({ status: args.status })
+
+  if (/\.json$/i.test(target)) {
+    fs.writeFileSync(target, JSON.stringify(records, null, 2) + "\n")
+  } else if (/\.zip$/i.test(target)) {
+    fs.writeFileSync(target, buildZip(toMarkdownFiles(records)))
+  } else {
+    fs.mkdirSync(target, { recursive: true })
+    for (const { file, content } of toMarkdownFiles(records)) {
+      fs.writeFileSync(path.join(target, file), content)
+    }
+  }
+
+  console.log(`Exported ${records.length} article(s) to ${target}`)
+}
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2))
+  const [command, location] = args.positional
+
+  if (!["import", "export"].includes(command) || !location) {
+    console.error(USAGE)
+    process.exit(1)
+  }
+
+  if (command === "import") {
+    await runImport(location, args)
+  } else {
+    await runExport(location, args)
+  }
+}
+
+run()
+  .catch((error) => {
+    console.error("KB transfer failed:", error.message)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.connection.close())
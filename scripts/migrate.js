@@ -0,0 +1,111 @@
+// Data migrations for documents stored before a schema change. Every step only
+// touches documents that still need it, so running the script again is safe.
+//
+//   node scripts/migrate.js
+require("dotenv").config()
+const mongoose = require("mongoose")
+const AgentSuggestion = require("../src/models/AgentSuggestion")
+const Article = require("../src/models/Article")
+const Ticket = require("../src/models/Ticket")
+
+// Tickets created before priorities existed have no priority, source or rank.
+// They get the default priority with prioritySource "default", so triage may
+// still predict one, and the rank to match. Tickets that already have a
+// priority only get the rank. Their updatedAt is left alone, it is what the
+// ticket list sorts by by default.
+const backfillPriorityRanks = async () => {
+  const priorityPath = Ticket.schema.path("priority")
+  const sourcePath = Ticket.schema.path("prioritySource")
+
+  const unset = await Ticket.updateMany(
+    { priority: null },
+    {
+      $set: {
+        priority: priorityPath.defaultValue,
+        prioritySource: sourcePath.defaultValue,
+        priorityRank: priorityPath.enumValues.indexOf(priorityPath.defaultValue),
+      },
+    },
+    { timestamps: false },
+  )
+
+  let updated = unset.modifiedCount
+  for (const [rank, priority] of priorityPath.enumValues.entries()) {
+    const result = await Ticket.updateMany(
+      { priority, priorityRank: null },
+      { $set: { priorityRank: rank } },
+      { timestamps: false },
+    )
+    updated += result.modifiedCount
+  }
+  return updated
+}
+
+// Articles created before revisions existed get their current content as
+// revision 1 (see the Article save hook), so triage can cite a revision and
+// the first edit can be diffed against the original
+const backfillArticleRevisions = async () => {
+  const articles = await Article.find({ currentRevisionId: null })
+  for (const article of articles) {
+    await article.save({ timestamps: false })
+  }
+  return articles.length
+}
+
+// Articles created before slugs existed get one from their title (see the
+// Article validate hook), so KB imports can match them
+const backfillArticleSlugs = async () => {
+  const articles = await Article.find({ slug: null })
+  for (const article of articles) {
+    await article.save({ timestamps: false })
+  }
+  return articles.length
+}
+
+// Concurrent re-triages could give two suggestions of a ticket the same
+// version. Those tickets' suggestions are renumbered in creation order, then
+// the unique { ticketId, version } index, which could not be built before, is
+// created.
+const renumberSuggestionVersions = async () => {
+  const clashes = await AgentSuggestion.aggregate([
+    { $group: { _id: { ticketId: "$ticketId", version: "$version" }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+    { $group: { _id: "$_id.ticketId" } },
+  ])
+
+  let updated = 0
+  for (const { _id: ticketId } of clashes) {
+    const suggestions = await AgentSuggestion.find({ ticketId }).sort({ createdAt: 1, _id: 1 }).select("version")
+    for (const [index, suggestion] of suggestions.entries()) {
+      if (suggestion.version === index + 1) continue
+      await AgentSuggestion.updateOne({ _id: suggestion._id }, { $set: { version: index + 1 } }, { timestamps: false })
+      updated++
+    }
+  }
+
+  await AgentSuggestion.createIndexes()
+  return updated
+}
+
+const MIGRATIONS = [
+  ["Suggestion versions", renumberSuggestionVersions],
+  ["Ticket priority ranks", backfillPriorityRanks],
+  ["Article revisions", backfillArticleRevisions],
+  ["Article slugs", backfillArticleSlugs],
+]
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI)
+
+  for (const [name, migrate] of MIGRATIONS) {
+    const count = await migrate()
+    console.log(`${name}: ${count} document(s) updated`)
+  }
+}
+
+run()
+  .catch((error) => {
+    console.error("Migration failed:", error.message)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.connection.close())
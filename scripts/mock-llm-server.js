@@ -0,0 +1,39 @@
+// Local mock LLM server for the "mock" provider. Answers with the stub
+// provider's deterministic results so tests and demos run fully offline.
+//
+//   MOCK_LLM_PORT=4010 node scripts/mock-llm-server.js
+//
+// Set MOCK_LLM_FAIL=classify,draft to make those endpoints return 500 and
+// exercise the pipeline's fallback path.
+const express = require("express")
+const StubProvider = require("../src/services/llm/stub.provider")
+
+const stub = new StubProvider()
+const failing = (process.env.MOCK_LLM_FAIL || "").split(",").filter(Boolean)
+
+const app = express()
+app.use(express.json({ limit: "1mb" }))
+
+const handle = (step, run) => {
+  app.post(`/${step}`, async (req, res) => {
+    if (failing.includes(step)) {
+      return res.status(500).json({ message: `Mock ${step} failure` })
+    }
+
+    try {
+      res.json(await run(req.body))
+    } catch (error) {
+      res.status(400).json({ message: error.message })
+    }
+  })
+}
+
+handle("classify", ({ text, categories }) => stub.classify(String(text || ""), categories || undefined))
+handle("priority", ({ text }) => stub.predictPriority(String(text || "")))
+handle("sentiment", ({ text }) => stub.analyzeSentiment(String(text || "")))
+handle("draft", ({ text, articles }) => stub.draft(String(text || ""), articles || []))
+
+const port = Number.parseInt(process.env.MOCK_LLM_PORT) || 4010
+app.listen(port, () => {
+  console.log(`Mock LLM server listening on http://localhost:${port}`)
+})
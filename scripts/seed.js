@@ -3,8 +3,12 @@ const mongoose = require("mongoose")
 const bcrypt = require("bcryptjs")
 const User = require("../src/models/User")
 const Article = require("../src/models/Article")
+const ArticleRevision = require("../src/models/ArticleRevision")
+const ArticleVote = require("../src/models/ArticleVote")
 const Ticket = require("../src/models/Ticket")
 const Config = require("../src/models/Config")
+const Category = require("../src/models/Category")
+const { DEFAULT_CATEGORIES } = require("../src/services/category.service")
 
 const connectDB = async () => {
   try {
@@ -21,8 +25,11 @@ const seedData = async () => {
     // Clear existing data
     await User.deleteMany({})
     await Article.deleteMany({})
+    await ArticleRevision.deleteMany({})
+    await ArticleVote.deleteMany({})
     await Ticket.deleteMany({})
     await Config.deleteMany({})
+    await Category.deleteMany({})
 
     console.log("Cleared existing data")
 
@@ -106,6 +113,15 @@ const seedData = async () => {
 
     console.log("Created sample tickets")
 
+    // Create categories, routing tech tickets to the agent
+    await Category.create(
+      DEFAULT_CATEGORIES.map((category) =>
+        category.name === "tech" ? { ...category, defaultAssignee: agent._id } : category,
+      ),
+    )
+
+    console.log("Created ticket categories")
+
     // Create config
     await Config.create({
       autoCloseEnabled: process.env.AUTO_CLOSE_ENABLED === "true",
@@ -15,6 +15,9 @@ const ticketRoutes = require("./routes/ticket.routes")
 const agentRoutes = require("./routes/agent.routes")
 const configRoutes = require("./routes/config.routes")
 const auditRoutes = require("./routes/audit.routes")
+const customFieldRoutes = require("./routes/customField.routes")
+const categoryRoutes = require("./routes/category.routes")
+const promptRoutes = require("./routes/prompt.routes")
 
 const app = express()
 
@@ -92,6 +95,9 @@ app.use("/api/kb", kbRoutes)
 app.use("/api/tickets", ticketRoutes)
 app.use("/api/agent", agentRoutes)
 app.use("/api/config", configRoutes)
+app.use("/api/custom-fields", customFieldRoutes)
+app.use("/api/categories", categoryRoutes)
+app.use("/api/prompts", promptRoutes)
 app.use("/api", auditRoutes)
 
 // 404 handler
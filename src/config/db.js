@@ -1,19 +1,11 @@
 const mongoose = require("mongoose")
 const logger = require("./logger")
 
-
-console.log("[debug] Full environment keys available:", Object.keys(process.env));
-console.log("[debug] Raw MONGO_URI value:", process.env.MONGO_URI);
-
 const connectDB = async () => {
   try {
     console.log("[v0] Attempting to connect to MongoDB...")
     
     console.log("[v0] MONGO_URI exists:", !!process.env.MONGO_URI)
-    console.log(
-      "[v0] MONGO_URI preview:",
-      process.env.MONGO_URI ? process.env.MONGO_URI.substring(0, 20) + "..." : "Not set",
-    )
 
     const conn = await mongoose.connect(process.env.MONGO_URI, {
       useNewUrlParser: true,
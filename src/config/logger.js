@@ -1,10 +1,22 @@
 const winston = require("winston")
+const { maskValue } = require("../services/redaction.service")
+
+// Mask PII and secrets in every log entry before any transport writes it
+const redact = winston.format((info) => {
+  for (const key of Object.keys(info)) {
+    if (key !== "level" && key !== "timestamp" && key !== "service") {
+      info[key] = maskValue(info[key])
+    }
+  }
+  return info
+})
 
 const logger = winston.createLogger({
   level: "info",
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
+    redact(),
     winston.format.json(),
   ),
   defaultMeta: { service: "smart-helpdesk" },
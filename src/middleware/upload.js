@@ -0,0 +1,97 @@
+const multer = require("multer")
+const Config = require("../models/Config")
+const logger = require("../config/logger")
+const { sniffMimeType } = require("../services/fileType.service")
+
+// Parse multipart attachments into req.files using the size, count and MIME
+// limits from Config. Requests that aren't multipart pass straight through.
+// The claimed MIME type only screens uploads early; each file's type is then
+// taken from its content, and that is what gets stored and served.
+const uploadAttachments = (field = "attachments") => {
+  return async (req, res, next) => {
+    if (!req.is("multipart/form-data")) {
+      return next()
+    }
+
+    try {
+      const config = (await Config.findOne()) || new Config()
+
+      const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: {
+          fileSize: config.attachmentMaxBytes,
+          files: config.attachmentMaxFiles,
+        },
+        fileFilter: (req, file, cb) => {
+          if (!config.attachmentAllowedMimeTypes.includes(file.mimetype)) {
+            const error = new Error(`File type ${file.mimetype} is not allowed`)
+            error.statusCode = 415
+            return cb(error)
+          }
+          cb(null, true)
+        },
+      }).array(field)
+
+      upload(req, res, (error) => {
+        if (!error) {
+          for (const file of req.files || []) {
+            const mimeType = sniffMimeType(file.buffer)
+            if (!config.attachmentAllowedMimeTypes.includes(mimeType)) {
+              return res.status(415).json({ message: `${file.originalname} is not an allowed file type` })
+            }
+            file.mimetype = mimeType
+          }
+          return next()
+        }
+
+        if (error instanceof multer.MulterError) {
+          const statusCode = error.code === "LIMIT_FILE_SIZE" ? 413 : 400
+          return res.status(statusCode).json({ message: error.message })
+        }
+
+        if (error.statusCode) {
+          return res.status(error.statusCode).json({ message: error.message })
+        }
+
+        logger.error("Attachment upload error:", error)
+        res.status(500).json({ message: "Server error" })
+      })
+    } catch (error) {
+      logger.error("Attachment upload error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  }
+}
+
+const IMPORT_MAX_BYTES = 20 * 1024 * 1024
+
+// Parse a single KB import file (zip, Markdown or JSON) into req.file.
+// Requests that aren't multipart pass straight through.
+const uploadImportFile = (field = "file") => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMPORT_MAX_BYTES, files: 1 },
+  }).single(field)
+
+  return (req, res, next) => {
+    if (!req.is("multipart/form-data")) {
+      return next()
+    }
+
+    upload(req, res, (error) => {
+      if (!error) {
+        return next()
+      }
+
+      if (error instanceof multer.MulterError) {
+        const statusCode = error.code === "LIMIT_FILE_SIZE" ? 413 : 400
+        return res.status(statusCode).json({ message: error.message })
+      }
+
+      logger.error("Import upload error:", error)
+      res.status(500).json({ message: "Server error" })
+    })
+  }
+}
+
+module.exports = { uploadAttachments, uploadImportFile }
@@ -7,9 +7,16 @@ const agentSuggestionSchema = new mongoose.Schema(
       ref: "Ticket",
       required: true,
     },
+    // Increments with every triage run of the same ticket; the ticket's
+    // agentSuggestionId points at the current one
+    version: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    traceId: String,
     predictedCategory: {
       type: String,
-      enum: ["billing", "tech", "shipping", "other"],
       required: true,
     },
     articleIds: [
@@ -18,6 +25,30 @@ const agentSuggestionSchema = new mongoose.Schema(
         ref: "Article",
       },
     ],
+    // The exact article revisions the draft was generated from, so an old
+    // draft can be traced to the text it quoted even after the article changed
+    citations: [
+      {
+        _id: false,
+        articleId: {
+          type: mongoose.Schema.ObjectId,
+          ref: "Article",
+        },
+        revisionId: {
+          type: mongoose.Schema.ObjectId,
+          ref: "ArticleRevision",
+        },
+        revision: Number,
+        // Retrieval score (see services/retrieval)
+        score: Number,
+        // The chunk the draft quoted, as offsets in that revision's body
+        passage: {
+          heading: String,
+          start: Number,
+          end: Number,
+        },
+      },
+    ],
     draftReply: {
       type: String,
       required: true,
@@ -29,10 +60,78 @@ const agentSuggestionSchema = new mongoose.Schema(
       min: 0,
       max: 1,
     },
+    predictedPriority: {
+      type: String,
+      enum: ["low", "normal", "high", "urgent"],
+    },
+    priorityConfidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+    sentiment: {
+      label: {
+        type: String,
+        enum: ["positive", "neutral", "negative", "very_negative"],
+      },
+      // -1 (very negative) to 1 (very positive)
+      score: {
+        type: Number,
+        min: -1,
+        max: 1,
+      },
+      frustration: {
+        type: Number,
+        min: 0,
+        max: 1,
+      },
+      confidence: {
+        type: Number,
+        min: 0,
+        max: 1,
+      },
+    },
+    duplicateCandidates: [
+      {
+        ticketId: {
+          type: mongoose.Schema.ObjectId,
+          ref: "Ticket",
+        },
+        score: Number,
+        reason: {
+          type: String,
+          enum: ["same_requester", "similar_text"],
+        },
+        sameRequester: Boolean,
+      },
+    ],
     autoClosed: {
       type: Boolean,
       default: false,
     },
+    // Agent's verdict on the suggestion, used to measure draft quality
+    feedback: {
+      action: {
+        type: String,
+        enum: ["accepted", "edited", "rejected"],
+      },
+      // Reply actually sent for accepted and edited drafts
+      finalReply: String,
+      // Levenshtein distance between draftReply and finalReply, and the same
+      // normalised by the longer of the two (0 = unchanged, 1 = rewritten)
+      editDistance: Number,
+      editRatio: Number,
+      reason: {
+        type: String,
+        maxlength: [500, "Reason cannot be more than 500 characters"],
+      },
+      correctedCategory: String,
+      agentId: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User",
+      },
+      createdAt: Date,
+    },
     modelInfo: {
       provider: {
         type: String,
@@ -42,10 +141,22 @@ const agentSuggestionSchema = new mongoose.Schema(
         type: String,
         default: "deterministic-v1",
       },
+      // Prompt template versions used, e.g. "classify@2+draft@3" ("none" for the stub)
       promptVersion: {
         type: String,
         default: "1.0",
       },
+      prompts: [
+        {
+          _id: false,
+          step: String,
+          version: Number,
+          templateId: {
+            type: mongoose.Schema.ObjectId,
+            ref: "PromptTemplate",
+          },
+        },
+      ],
       latencyMs: {
         type: Number,
         default: 0,
@@ -57,4 +168,28 @@ const agentSuggestionSchema = new mongoose.Schema(
   },
 )
 
+// One suggestion per version of a ticket (see saveAsNextVersion)
+agentSuggestionSchema.index({ ticketId: 1, version: -1 }, { unique: true })
+agentSuggestionSchema.index({ "feedback.action": 1 })
+// KB analytics over a period
+agentSuggestionSchema.index({ createdAt: 1 })
+
+const MAX_VERSION_ATTEMPTS = 5
+
+// Save a new suggestion as the next version for its ticket. Concurrent
+// re-triages can pick the same number; the unique index rejects all but one
+// and the others try again with the next free version.
+agentSuggestionSchema.methods.saveAsNextVersion = async function () {
+  for (let attempt = 1; ; attempt++) {
+    const previous = await this.constructor.findOne({ ticketId: this.ticketId }).sort({ version: -1 }).select("version")
+    this.version = previous ? previous.version + 1 : 1
+
+    try {
+      return await this.save()
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) throw error
+    }
+  }
+}
+
 module.exports = mongoose.model("AgentSuggestion", agentSuggestionSchema)
@@ -8,6 +8,16 @@ const articleSchema = new mongoose.Schema(
       trim: true,
       maxlength: [200, "Title cannot be more than 200 characters"],
     },
+    // Stable identifier used to match articles on import (see kbTransfer.service)
+    slug: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      unique: true,
+      sparse: true,
+      match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, "Slug may only contain a-z, 0-9 and single dashes"],
+      maxlength: [200, "Slug cannot be more than 200 characters"],
+    },
     body: {
       type: String,
       required: [true, "Please add article body"],
@@ -30,6 +40,24 @@ const articleSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Author of the latest change, recorded on the revision it creates
+    updatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    // Times the article was opened (GET /api/kb/:id)
+    views: {
+      type: Number,
+      default: 0,
+    },
+    currentRevision: {
+      type: Number,
+      default: 0,
+    },
+    currentRevisionId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "ArticleRevision",
+    },
   },
   {
     timestamps: true,
@@ -43,4 +71,106 @@ articleSchema.index({
   tags: "text",
 })
 
+articleSchema.statics.slugify = (text = "") =>
+  String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 200)
+    .replace(/-+$/, "")
+
+// Articles saved without a slug (e.g. through POST /api/kb) get one from the
+// title, made unique with a numeric suffix
+articleSchema.pre("validate", async function () {
+  if (this.slug) return
+
+  const base = this.constructor.slugify(this.title) || "article"
+  let slug = base
+  for (let n = 2; await this.constructor.exists({ slug, _id: { $ne: this._id } }); n++) {
+    slug = `${base}-${n}`
+  }
+  this.slug = slug
+})
+
+const REVISION_FIELDS = ["title", "body", "tags", "status"]
+
+const snapshot = (article, revision, author) => ({
+  _id: new mongoose.Types.ObjectId(),
+  articleId: article._id,
+  revision,
+  title: article.title,
+  body: article.body,
+  tags: [...(article.tags || [])],
+  status: article.status,
+  author,
+})
+
+const revisionConflict = () =>
+  Object.assign(new Error("The article was changed at the same time, reload it and try again"), { statusCode: 409 })
+
+// Every save that changes content gets a new revision. The snapshots are
+// written before the article, so the article never points at a revision that
+// doesn't exist; if the article write then fails, they are removed again (see
+// the error hook below). A revision number taken by a concurrent save fails on
+// the unique index and the save is refused. An article stored before revisions
+// existed first gets its stored content as revision 1, so the original survives
+// its first edit.
+articleSchema.pre("save", async function () {
+  const legacy = !this.isNew && !this.currentRevisionId
+  const changed = this.isNew || REVISION_FIELDS.some((field) => this.isModified(field))
+  if (!legacy && !changed) return
+
+  const previous = { currentRevision: this.currentRevision, currentRevisionId: this.currentRevisionId }
+  const revisions = []
+  if (legacy) {
+    const stored = await this.constructor.findById(this._id).select("title body tags status createdBy").lean()
+    const original = snapshot(stored || this, 1, (stored || this).createdBy)
+    revisions.push(original)
+    this.currentRevision = 1
+    this.currentRevisionId = original._id
+  }
+
+  if (changed) {
+    const revision = snapshot(this, (this.currentRevision || 0) + 1, this.updatedBy || this.createdBy)
+    revision.restoredFrom = this.$locals.restoredFrom
+    revisions.push(revision)
+    this.currentRevision = revision.revision
+    this.currentRevisionId = revision._id
+  }
+
+  const ArticleRevision = mongoose.model("ArticleRevision")
+  const ids = revisions.map((revision) => revision._id)
+  try {
+    await ArticleRevision.insertMany(revisions)
+  } catch (error) {
+    await ArticleRevision.deleteMany({ _id: { $in: ids } })
+    Object.assign(this, previous)
+    throw error.code === 11000 ? revisionConflict() : error
+  }
+
+  this.$locals.pendingRevisions = { ids, previous }
+  delete this.$locals.restoredFrom
+})
+
+articleSchema.post("save", function () {
+  delete this.$locals.pendingRevisions
+})
+
+articleSchema.post("save", function (error, doc, next) {
+  const pending = this.$locals.pendingRevisions
+  if (!pending) return next(error)
+
+  delete this.$locals.pendingRevisions
+  Object.assign(this, pending.previous)
+  mongoose
+    .model("ArticleRevision")
+    .deleteMany({ _id: { $in: pending.ids } })
+    .then(
+      () => next(error),
+      () => next(error),
+    )
+})
+
 module.exports = mongoose.model("Article", articleSchema)
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose")
+
+// Immutable snapshot of an article, written on every save (see Article.js)
+const articleRevisionSchema = new mongoose.Schema(
+  {
+    articleId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Article",
+      required: true,
+      immutable: true,
+    },
+    // 1, 2, 3, ... per article
+    revision: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+    title: {
+      type: String,
+      immutable: true,
+    },
+    body: {
+      type: String,
+      immutable: true,
+    },
+    tags: {
+      type: [String],
+      immutable: true,
+    },
+    status: {
+      type: String,
+      immutable: true,
+    },
+    author: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      immutable: true,
+    },
+    // Set when the revision was created by restoring an older one
+    restoredFrom: {
+      type: Number,
+      immutable: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+articleRevisionSchema.index({ articleId: 1, revision: -1 }, { unique: true })
+
+// Revisions are never edited
+articleRevisionSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"], function (next) {
+  next(new Error("Article revisions are immutable"))
+})
+
+module.exports = mongoose.model("ArticleRevision", articleRevisionSchema)
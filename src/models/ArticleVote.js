@@ -0,0 +1,39 @@
+const mongoose = require("mongoose")
+
+// One helpful / not helpful vote per user and article; voting again changes it
+const articleVoteSchema = new mongoose.Schema(
+  {
+    articleId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Article",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    helpful: {
+      type: Boolean,
+      required: true,
+    },
+    // "reader" votes come from anyone reading the article, "requester" votes
+    // from the requester of a ticket whose suggestion cited it
+    source: {
+      type: String,
+      enum: ["reader", "requester"],
+      default: "reader",
+    },
+    ticketId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Ticket",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+articleVoteSchema.index({ articleId: 1, user: 1 }, { unique: true })
+
+module.exports = mongoose.model("ArticleVote", articleVoteSchema)
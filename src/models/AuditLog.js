@@ -1,4 +1,5 @@
 const mongoose = require("mongoose")
+const { maskValue } = require("../services/redaction.service")
 
 const auditLogSchema = new mongoose.Schema({
   ticketId: {
@@ -20,13 +21,26 @@ const auditLogSchema = new mongoose.Schema({
     enum: [
       "TICKET_CREATED",
       "AGENT_CLASSIFIED",
+      "PRIORITY_PREDICTED",
+      "SENTIMENT_ANALYZED",
+      "DUPLICATES_DETECTED",
       "KB_RETRIEVED",
       "DRAFT_GENERATED",
       "AUTO_CLOSED",
       "ASSIGNED_TO_HUMAN",
       "REPLY_SENT",
+      "REQUESTER_REPLIED",
+      "INTERNAL_NOTE_ADDED",
       "STATUS_CHANGED",
       "TICKET_ASSIGNED",
+      "SLA_BREACHED",
+      "PRIORITY_CHANGED",
+      "TICKET_MERGED",
+      "TICKET_TAGGED",
+      "TICKET_UPDATED",
+      "TRIAGE_FAILED",
+      "TRIAGE_DEAD_LETTERED",
+      "SUGGESTION_FEEDBACK",
     ],
     required: true,
   },
@@ -40,6 +54,19 @@ const auditLogSchema = new mongoose.Schema({
   },
 })
 
+// Audit entries are kept for a long time; never store PII in them
+auditLogSchema.pre("save", function (next) {
+  this.meta = maskValue(this.meta)
+  next()
+})
+
+auditLogSchema.pre("insertMany", function (next, docs) {
+  for (const doc of docs) {
+    doc.meta = maskValue(doc.meta)
+  }
+  next()
+})
+
 // Index for efficient querying
 auditLogSchema.index({ ticketId: 1, timestamp: 1 })
 auditLogSchema.index({ traceId: 1 })
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose")
+
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please add a name"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z][a-z0-9_-]{0,49}$/, "Name must start with a letter and contain only a-z, 0-9, _ and -"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot be more than 500 characters"],
+    },
+    // Words the stub classifier looks for; also shown to the LLM as examples
+    keywords: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+    // Who picks up tickets of this category when triage hands them to a human
+    defaultAssignee: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    team: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Team cannot be more than 100 characters"],
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+module.exports = mongoose.model("Category", categorySchema)
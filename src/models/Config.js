@@ -1,4 +1,5 @@
 const mongoose = require("mongoose")
+const { DETECTOR_NAMES, setActiveDetectors } = require("../services/redaction.service")
 
 const configSchema = new mongoose.Schema(
   {
@@ -12,15 +13,182 @@ const configSchema = new mongoose.Schema(
       min: 0,
       max: 1,
     },
+    // Per-category overrides keyed by category name: switch auto-close off for
+    // the category, or use its own confidence threshold
+    categoryAutoClose: {
+      type: Map,
+      of: new mongoose.Schema(
+        {
+          enabled: {
+            type: Boolean,
+            default: true,
+          },
+          confidenceThreshold: {
+            type: Number,
+            min: 0,
+            max: 1,
+          },
+        },
+        { _id: false },
+      ),
+      default: {},
+    },
+    // Tickets mentioning any of these are never auto-closed
+    riskyTerms: {
+      type: [String],
+      default: ["chargeback", "legal", "lawyer", "lawsuit", "fraud"],
+    },
+    // Tickets at or above this frustration score are never auto-closed
+    frustrationThreshold: {
+      type: Number,
+      default: 0.7,
+      min: 0,
+      max: 1,
+    },
+    // KB retrieval weights (see services/retrieval). Scores add up: BM25 and
+    // embedding relevance (0..1 each, times their weight), boosts for a tag
+    // matching the predicted category or the ticket's tags, and a recency bonus
+    // that halves every recencyHalfLifeDays.
+    retrieval: {
+      bm25Weight: {
+        type: Number,
+        default: 1,
+        min: 0,
+      },
+      // 0 switches the local embeddings off
+      embeddingWeight: {
+        type: Number,
+        default: 0.3,
+        min: 0,
+      },
+      categoryBoost: {
+        type: Number,
+        default: 0.3,
+        min: 0,
+      },
+      tagBoost: {
+        type: Number,
+        default: 0.2,
+        min: 0,
+      },
+      recencyWeight: {
+        type: Number,
+        default: 0.05,
+        min: 0,
+      },
+      recencyHalfLifeDays: {
+        type: Number,
+        default: 180,
+        min: 1,
+      },
+      maxResults: {
+        type: Number,
+        default: 3,
+        min: 1,
+        max: 10,
+      },
+      minScore: {
+        type: Number,
+        default: 0.15,
+        min: 0,
+      },
+    },
+    // PII detectors used to redact text sent to the LLM provider and to mask
+    // logs and audit meta
+    redactionDetectors: {
+      type: [
+        {
+          type: String,
+          enum: DETECTOR_NAMES,
+        },
+      ],
+      default: DETECTOR_NAMES,
+    },
+    // LLM provider used by the triage pipeline (see services/llm). API keys stay
+    // in the environment and are never stored here.
+    llmProvider: {
+      type: String,
+      enum: ["stub", "openai", "mock"],
+      default: "stub",
+    },
+    llmModel: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    llmBaseUrl: {
+      type: String,
+      trim: true,
+      default: "",
+    },
     slaHours: {
       type: Number,
       default: 24,
       min: 1,
     },
+    firstResponseHours: {
+      type: Number,
+      default: 4,
+      min: 1,
+    },
+    // SLA windows are multiplied by the factor for the ticket's priority
+    prioritySlaFactors: {
+      low: {
+        type: Number,
+        default: 2,
+        min: 0.01,
+      },
+      normal: {
+        type: Number,
+        default: 1,
+        min: 0.01,
+      },
+      high: {
+        type: Number,
+        default: 0.5,
+        min: 0.01,
+      },
+      urgent: {
+        type: Number,
+        default: 0.25,
+        min: 0.01,
+      },
+    },
+    duplicateWindowHours: {
+      type: Number,
+      default: 72,
+      min: 1,
+    },
+    duplicateSimilarityThreshold: {
+      type: Number,
+      default: 0.6,
+      min: 0,
+      max: 1,
+    },
+    attachmentMaxBytes: {
+      type: Number,
+      default: 10 * 1024 * 1024,
+      min: 1,
+    },
+    attachmentMaxFiles: {
+      type: Number,
+      default: 5,
+      min: 1,
+    },
+    attachmentAllowedMimeTypes: {
+      type: [String],
+      default: ["image/png", "image/jpeg", "image/gif", "image/webp", "application/pdf", "text/plain"],
+    },
   },
   {
     timestamps: true,
   },
 )
 
+// Keep log and audit masking in line with the stored detector list whenever
+// the config is loaded or saved
+const syncRedaction = (config) => setActiveDetectors(config.redactionDetectors)
+configSchema.post("init", syncRedaction)
+configSchema.post("save", syncRedaction)
+
 module.exports = mongoose.model("Config", configSchema)
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose")
+
+const customFieldSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "Please add a key"],
+      unique: true,
+      trim: true,
+      match: [/^[a-zA-Z][a-zA-Z0-9_]{0,49}$/, "Key must start with a letter and contain only letters, digits and _"],
+    },
+    label: {
+      type: String,
+      required: [true, "Please add a label"],
+      trim: true,
+      maxlength: [100, "Label cannot be more than 100 characters"],
+    },
+    type: {
+      type: String,
+      enum: ["string", "number", "enum", "date"],
+      required: true,
+    },
+    options: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+module.exports = mongoose.model("CustomField", customFieldSchema)
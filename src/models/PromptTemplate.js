@@ -0,0 +1,54 @@
+const mongoose = require("mongoose")
+
+const promptTemplateSchema = new mongoose.Schema(
+  {
+    // Provider step the template is for
+    step: {
+      type: String,
+      enum: ["classify", "priority", "sentiment", "draft"],
+      required: true,
+    },
+    // Increments per step; recorded on every suggestion drafted with it
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot be more than 500 characters"],
+    },
+    // Message templates with {{variable}} placeholders
+    system: {
+      type: String,
+      required: [true, "Please add a system prompt"],
+      maxlength: [10000, "System prompt cannot be more than 10000 characters"],
+    },
+    user: {
+      type: String,
+      required: [true, "Please add a user prompt"],
+      maxlength: [10000, "User prompt cannot be more than 10000 characters"],
+    },
+    // Variables the templates use, derived from the placeholders
+    variables: [String],
+    // Exactly one version per step is active
+    active: {
+      type: Boolean,
+      default: false,
+    },
+    activatedAt: Date,
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+promptTemplateSchema.index({ step: 1, version: -1 }, { unique: true })
+promptTemplateSchema.index({ step: 1, active: 1 })
+
+module.exports = mongoose.model("PromptTemplate", promptTemplateSchema)
@@ -1,5 +1,36 @@
 const mongoose = require("mongoose")
 
+const attachmentSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: true,
+  },
+  mimeType: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: Number,
+    required: true,
+  },
+  storageBackend: {
+    type: String,
+    default: "local",
+  },
+  storageKey: {
+    type: String,
+    required: true,
+  },
+  uploadedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
 const ticketSchema = new mongoose.Schema(
   {
     title: {
@@ -13,9 +44,9 @@ const ticketSchema = new mongoose.Schema(
       required: [true, "Please add a description"],
       maxlength: [2000, "Description cannot be more than 2000 characters"],
     },
+    // Name of an admin-managed Category
     category: {
       type: String,
-      enum: ["billing", "tech", "shipping", "other"],
       default: "other",
     },
     status: {
@@ -23,6 +54,34 @@ const ticketSchema = new mongoose.Schema(
       enum: ["open", "triaged", "waiting_human", "resolved", "closed"],
       default: "open",
     },
+    tags: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+    // Values for admin-defined CustomField definitions, keyed by CustomField.key
+    customFields: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    priority: {
+      type: String,
+      enum: ["low", "normal", "high", "urgent"],
+      default: "normal",
+    },
+    // Numeric mirror of priority (0 = low ... 3 = urgent) so lists can sort by it
+    priorityRank: {
+      type: Number,
+      default: 1,
+    },
+    prioritySource: {
+      type: String,
+      enum: ["default", "requester", "agent", "system"],
+      default: "default",
+    },
     createdBy: {
       type: mongoose.Schema.ObjectId,
       ref: "User",
@@ -32,10 +91,49 @@ const ticketSchema = new mongoose.Schema(
       type: mongoose.Schema.ObjectId,
       ref: "User",
     },
+    // Customer mood from the latest triage; sorting by frustration puts the
+    // angriest customers at the top of an agent's queue
+    sentiment: {
+      label: {
+        type: String,
+        enum: ["positive", "neutral", "negative", "very_negative"],
+      },
+      score: Number,
+      frustration: {
+        type: Number,
+        default: 0,
+      },
+    },
+    // Team that owns the ticket, taken from its category when triage hands it off
+    team: {
+      type: String,
+      trim: true,
+    },
+    // Set on a duplicate that was merged into another (primary) ticket
+    mergedInto: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Ticket",
+    },
     agentSuggestionId: {
       type: mongoose.Schema.ObjectId,
       ref: "AgentSuggestion",
     },
+    attachments: [attachmentSchema],
+    sla: {
+      firstResponseDueAt: Date,
+      resolutionDueAt: Date,
+      firstRespondedAt: Date,
+      resolvedAt: Date,
+      firstResponseBreached: {
+        type: Boolean,
+        default: false,
+      },
+      resolutionBreached: {
+        type: Boolean,
+        default: false,
+      },
+      breachedAt: Date,
+    },
     replies: [
       {
         content: String,
@@ -47,6 +145,12 @@ const ticketSchema = new mongoose.Schema(
           type: Boolean,
           default: false,
         },
+        visibility: {
+          type: String,
+          enum: ["public", "internal"],
+          default: "public",
+        },
+        attachments: [attachmentSchema],
         timestamp: {
           type: Date,
           default: Date.now,
@@ -59,4 +163,41 @@ const ticketSchema = new mongoose.Schema(
   },
 )
 
+// Track when the SLA clocks stop: the first public agent or system reply, and the
+// moment the ticket is resolved (cleared again if it is reopened)
+ticketSchema.pre("save", function (next) {
+  if (this.isModified("priority")) {
+    this.priorityRank = ticketSchema.path("priority").enumValues.indexOf(this.priority)
+  }
+
+  if (!this.sla.firstRespondedAt) {
+    const firstResponse = this.replies.find((reply) => reply.isAgent && reply.visibility !== "internal")
+    if (firstResponse) this.sla.firstRespondedAt = firstResponse.timestamp
+  }
+
+  if (this.isModified("status")) {
+    if (["resolved", "closed"].includes(this.status)) {
+      this.sla.resolvedAt = this.sla.resolvedAt || new Date()
+    } else {
+      this.sla.resolvedAt = undefined
+    }
+  }
+
+  next()
+})
+
+// Indexes backing the filtered, cursor-paginated ticket list
+ticketSchema.index({ status: 1, updatedAt: -1, _id: -1 })
+ticketSchema.index({ createdBy: 1, updatedAt: -1, _id: -1 })
+ticketSchema.index({ assignee: 1, updatedAt: -1, _id: -1 })
+ticketSchema.index({ category: 1, updatedAt: -1, _id: -1 })
+ticketSchema.index({ updatedAt: -1, _id: -1 })
+ticketSchema.index({ createdAt: -1, _id: -1 })
+ticketSchema.index({ status: 1, priorityRank: -1, _id: -1 })
+ticketSchema.index({ priorityRank: -1, _id: -1 })
+ticketSchema.index({ status: 1, "sentiment.frustration": -1, _id: -1 })
+ticketSchema.index({ tags: 1 })
+ticketSchema.index({ status: 1, "sla.resolutionDueAt": 1 })
+ticketSchema.index({ status: 1, "sla.firstResponseDueAt": 1 })
+
 module.exports = mongoose.model("Ticket", ticketSchema)
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose")
+
+const triageJobSchema = new mongoose.Schema(
+  {
+    ticketId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Ticket",
+      required: true,
+    },
+    traceId: {
+      type: String,
+      required: true,
+    },
+    // Options passed through to performTriage, e.g. { autoClose: false }
+    options: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "succeeded", "dead"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+      min: 1,
+    },
+    // Earliest time the job may run; pushed back exponentially after each failure
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: Date,
+    lockedBy: String,
+    lastError: String,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+triageJobSchema.index({ status: 1, runAt: 1 })
+triageJobSchema.index({ ticketId: 1, status: 1 })
+
+module.exports = mongoose.model("TriageJob", triageJobSchema)
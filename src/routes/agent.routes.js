@@ -1,50 +1,330 @@
 const express = require("express")
+const { body, query, validationResult } = require("express-validator")
 const AgentSuggestion = require("../models/AgentSuggestion")
+const TriageJob = require("../models/TriageJob")
+const Ticket = require("../models/Ticket")
 const { auth, authorize } = require("../middleware/auth")
-const { triggerTriage } = require("../services/agentStub")
+const { triggerTriage, retryJob } = require("../services/triageQueue.service")
+const { diffSuggestions } = require("../services/suggestionDiff.service")
+const { MAX_REPLY_LENGTH, recordFeedback, getFeedbackStats } = require("../services/suggestionFeedback.service")
+const { categoryValidator } = require("../services/category.service")
+const { canTriage } = require("../services/ticketStatus.service")
 const logger = require("../config/logger")
 const { v4: uuidv4 } = require("uuid")
 
 const router = express.Router()
 
+const TICKET_STATUSES = Ticket.schema.path("status").enumValues
+
+// The ticket points at its current suggestion; fall back to the latest version
+// for tickets triaged before the pointer was kept up to date
+const findCurrentSuggestion = async (ticketId) => {
+  const ticket = await Ticket.findById(ticketId).select("agentSuggestionId")
+
+  if (ticket?.agentSuggestionId) {
+    const current = await AgentSuggestion.findById(ticket.agentSuggestionId)
+    if (current) return current
+  }
+
+  return AgentSuggestion.findOne({ ticketId }).sort({ version: -1, createdAt: -1 })
+}
+
 // @desc    Trigger triage for a ticket
 // @route   POST /api/agent/triage
 // @access  Private (Internal/Admin)
-router.post("/triage", auth, authorize("admin"), async (req, res) => {
+router.post(
+  "/triage",
+  [auth, authorize("admin"), body("ticketId").isMongoId().withMessage("Valid ticket ID is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { ticketId } = req.body
+      const ticket = await Ticket.findById(ticketId).select("status")
+      if (!ticket) {
+        return res.status(404).json({ message: "Ticket not found" })
+      }
+      // A job for a resolved or closed ticket would only be dead-lettered
+      if (!canTriage(ticket.status)) {
+        return res.status(409).json({ message: `A ${ticket.status} ticket can't be triaged` })
+      }
+
+      const traceId = uuidv4()
+      const job = await triggerTriage(ticketId, traceId)
+
+      logger.info(`Manual triage triggered for ticket ${ticketId}`, { ticketId, traceId: job.traceId })
+      res.json({ message: "Triage triggered successfully", traceId: job.traceId, jobId: job._id })
+    } catch (error) {
+      logger.error("Manual triage error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @desc    Get current agent suggestion for ticket
+// @route   GET /api/agent/suggestion/:ticketId
+// @access  Private (Agent/Admin)
+router.get("/suggestion/:ticketId", auth, authorize("agent", "admin"), async (req, res) => {
   try {
-    const { ticketId } = req.body
+    const suggestion = await findCurrentSuggestion(req.params.ticketId)
 
-    if (!ticketId) {
-      return res.status(400).json({ message: "Ticket ID is required" })
+    if (!suggestion) {
+      return res.status(404).json({ message: "No suggestion found for this ticket" })
+    }
+
+    await suggestion.populate("articleIds", "title body tags")
+    res.json(suggestion)
+  } catch (error) {
+    logger.error("Suggestion fetch error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Shared handler for the accept / edit / reject feedback endpoints
+const feedbackHandler = (action) => async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const ticket = await Ticket.findById(req.params.ticketId)
+    if (!ticket) {
+      return res.status(404).json({ message: "Ticket not found" })
+    }
+
+    const suggestion = await findCurrentSuggestion(ticket._id)
+    if (!suggestion) {
+      return res.status(404).json({ message: "No suggestion found for this ticket" })
     }
 
     const traceId = uuidv4()
-    await triggerTriage(ticketId, traceId)
+    const { content, reason, correctedCategory, status } = req.body
+    const updated = await recordFeedback(
+      suggestion,
+      ticket,
+      { action, content, reason, correctedCategory, status },
+      { user: req.user, traceId },
+    )
 
-    logger.info(`Manual triage triggered for ticket ${ticketId}`, { ticketId, traceId })
-    res.json({ message: "Triage triggered successfully", traceId })
+    logger.info(`Suggestion ${suggestion._id} ${action} by ${req.user.email}`, { ticketId: ticket._id, traceId })
+    res.json(updated)
   } catch (error) {
-    logger.error("Manual triage error:", error)
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
+    logger.error("Suggestion feedback error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+const correctedCategoryValidator = body("correctedCategory")
+  .optional()
+  .custom(categoryValidator())
+  .withMessage("Invalid category")
+const replyStatusValidator = body("status").optional().isIn(TICKET_STATUSES).withMessage("Invalid status")
+
+// @desc    Accept current suggestion and send its draft as-is
+// @route   POST /api/agent/suggestion/:ticketId/accept
+// @access  Private (Agent/Admin)
+router.post(
+  "/suggestion/:ticketId/accept",
+  [auth, authorize("agent", "admin"), correctedCategoryValidator, replyStatusValidator],
+  feedbackHandler("accepted"),
+)
+
+// @desc    Send an edited version of the current suggestion's draft
+// @route   POST /api/agent/suggestion/:ticketId/edit
+// @access  Private (Agent/Admin)
+router.post(
+  "/suggestion/:ticketId/edit",
+  [
+    auth,
+    authorize("agent", "admin"),
+    body("content")
+      .trim()
+      .isLength({ min: 1, max: MAX_REPLY_LENGTH })
+      .withMessage(`Edited reply content is required (max ${MAX_REPLY_LENGTH} characters)`),
+    correctedCategoryValidator,
+    replyStatusValidator,
+  ],
+  feedbackHandler("edited"),
+)
+
+// @desc    Reject current suggestion with a reason
+// @route   POST /api/agent/suggestion/:ticketId/reject
+// @access  Private (Agent/Admin)
+router.post(
+  "/suggestion/:ticketId/reject",
+  [
+    auth,
+    authorize("agent", "admin"),
+    body("reason").trim().isLength({ min: 1, max: 500 }).withMessage("Reason is required (max 500 characters)"),
+    correctedCategoryValidator,
+  ],
+  feedbackHandler("rejected"),
+)
+
+// @desc    Aggregate suggestion feedback by category, provider and prompt version
+// @route   GET /api/agent/feedback/stats
+// @access  Private (Admin)
+router.get(
+  "/feedback/stats",
+  auth,
+  authorize("admin"),
+  [
+    query("from").optional().isISO8601().withMessage("Dates must be ISO 8601"),
+    query("to").optional().isISO8601().withMessage("Dates must be ISO 8601"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      res.json(await getFeedbackStats({ from: req.query.from, to: req.query.to }))
+    } catch (error) {
+      logger.error("Feedback stats error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @desc    List all suggestion versions for ticket
+// @route   GET /api/agent/suggestions/:ticketId
+// @access  Private (Agent/Admin)
+router.get("/suggestions/:ticketId", auth, authorize("agent", "admin"), async (req, res) => {
+  try {
+    const ticket = await Ticket.findById(req.params.ticketId).select("agentSuggestionId")
+    if (!ticket) {
+      return res.status(404).json({ message: "Ticket not found" })
+    }
+
+    const suggestions = await AgentSuggestion.find({ ticketId: ticket._id })
+      .sort({ version: -1, createdAt: -1 })
+      .select("-draftReply")
+      .lean()
+
+    const currentId = ticket.agentSuggestionId?.toString()
+    res.json({
+      currentSuggestionId: ticket.agentSuggestionId || null,
+      suggestions: suggestions.map((suggestion) => ({
+        ...suggestion,
+        isCurrent: suggestion._id.toString() === currentId,
+      })),
+    })
+  } catch (error) {
+    logger.error("Suggestion history error:", error)
     res.status(500).json({ message: "Server error" })
   }
 })
 
-// @desc    Get agent suggestion for ticket
-// @route   GET /api/agent/suggestion/:ticketId
+// @desc    Diff two suggestion versions for ticket
+// @route   GET /api/agent/suggestions/:ticketId/diff?from=1&to=2
 // @access  Private (Agent/Admin)
-router.get("/suggestion/:ticketId", auth, authorize("agent", "admin"), async (req, res) => {
+router.get(
+  "/suggestions/:ticketId/diff",
+  auth,
+  authorize("agent", "admin"),
+  [
+    query("from").isInt({ min: 1 }).withMessage("from must be a suggestion version").toInt(),
+    query("to").optional().isInt({ min: 1 }).withMessage("to must be a suggestion version").toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      // "to" defaults to the latest version
+      const toQuery = req.query.to ? { version: req.query.to } : {}
+      const [from, to] = await Promise.all([
+        AgentSuggestion.findOne({ ticketId: req.params.ticketId, version: req.query.from }).lean(),
+        AgentSuggestion.findOne({ ticketId: req.params.ticketId, ...toQuery })
+          .sort({ version: -1 })
+          .lean(),
+      ])
+
+      if (!from || !to) {
+        return res.status(404).json({ message: "Suggestion version not found" })
+      }
+
+      res.json(diffSuggestions(from, to))
+    } catch (error) {
+      logger.error("Suggestion diff error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @desc    List triage jobs (dead-lettered jobs by default)
+// @route   GET /api/agent/jobs
+// @access  Private (Admin)
+router.get("/jobs", auth, authorize("admin"), async (req, res) => {
   try {
-    const suggestion = await AgentSuggestion.findOne({
-      ticketId: req.params.ticketId,
-    }).populate("articleIds", "title body tags")
+    const status = req.query.status || "dead"
+    if (!TriageJob.schema.path("status").enumValues.includes(status)) {
+      return res.status(400).json({ message: "Invalid status" })
+    }
 
-    if (!suggestion) {
-      return res.status(404).json({ message: "No suggestion found for this ticket" })
+    const jobs = await TriageJob.find({ status })
+      .populate("ticketId", "title status")
+      .sort({ updatedAt: -1 })
+      .limit(100)
+
+    res.json(jobs)
+  } catch (error) {
+    logger.error("Triage jobs fetch error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @desc    Retry all dead-lettered triage jobs
+// @route   POST /api/agent/jobs/retry-failed
+// @access  Private (Admin)
+router.post("/jobs/retry-failed", auth, authorize("admin"), async (req, res) => {
+  try {
+    const jobs = await TriageJob.find({ status: "dead" })
+    for (const job of jobs) {
+      await retryJob(job)
     }
 
-    res.json(suggestion)
+    logger.info(`${jobs.length} dead triage job(s) re-queued by ${req.user.email}`)
+    res.json({ message: "Failed jobs re-queued", count: jobs.length })
   } catch (error) {
-    logger.error("Suggestion fetch error:", error)
+    logger.error("Triage jobs retry error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @desc    Retry a triage job
+// @route   POST /api/agent/jobs/:id/retry
+// @access  Private (Admin)
+router.post("/jobs/:id/retry", auth, authorize("admin"), async (req, res) => {
+  try {
+    const job = await TriageJob.findById(req.params.id)
+    if (!job) {
+      return res.status(404).json({ message: "Job not found" })
+    }
+
+    if (["queued", "running"].includes(job.status)) {
+      return res.status(409).json({ message: `Job is already ${job.status}` })
+    }
+
+    await retryJob(job)
+
+    logger.info(`Triage job ${job._id} re-queued by ${req.user.email}`, {
+      ticketId: job.ticketId,
+      traceId: job.traceId,
+    })
+    res.json(job)
+  } catch (error) {
+    logger.error("Triage job retry error:", error)
     res.status(500).json({ message: "Server error" })
   }
 })
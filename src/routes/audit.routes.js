@@ -2,6 +2,7 @@ const express = require("express")
 const AuditLog = require("../models/AuditLog")
 const { auth } = require("../middleware/auth")
 const logger = require("../config/logger")
+const { auditFilterForUser, auditLogsForUser } = require("../services/ticketVisibility.service")
 
 const router = express.Router()
 
@@ -10,11 +11,9 @@ const router = express.Router()
 // @access  Private
 router.get("/tickets/:id/audit", auth, async (req, res) => {
   try {
-    const auditLogs = await AuditLog.find({
-      ticketId: req.params.id,
-    }).sort({ timestamp: 1 })
+    const auditLogs = await AuditLog.find(auditFilterForUser(req.params.id, req.user)).sort({ timestamp: 1 })
 
-    res.json(auditLogs)
+    res.json(auditLogsForUser(auditLogs, req.user))
   } catch (error) {
     logger.error("Audit logs fetch error:", error)
     res.status(500).json({ message: "Server error" })
@@ -19,27 +19,19 @@ router.post(
   ],
   async (req, res) => {
     try {
-      console.log("[v0] Registration attempt started")
-      console.log("[v0] Request body:", req.body)
-
       const errors = validationResult(req)
       if (!errors.isEmpty()) {
-        console.log("[v0] Validation errors:", errors.array())
         return res.status(400).json({ errors: errors.array() })
       }
 
       const { name, email, password, role } = req.body
-      console.log("[v0] Validation passed, checking if user exists")
 
       // Check if user exists
       let user = await User.findOne({ email })
       if (user) {
-        console.log("[v0] User already exists:", email)
         return res.status(400).json({ message: "User already exists" })
       }
 
-      console.log("[v0] User doesn't exist, creating new user")
-
       // Create user
       user = new User({
         name,
@@ -48,23 +40,7 @@ router.post(
         role: role || "user",
       })
 
-      console.log("[v0] User object created:", {
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        id: user._id,
-      })
-
-      console.log("[v0] About to save user to database...")
       await user.save()
-      console.log("[v0] User successfully saved to database!")
-      console.log("[v0] Saved user details:", {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        createdAt: user.createdAt,
-      })
 
       // Create JWT token
       const payload = {
@@ -76,7 +52,6 @@ router.post(
         expiresIn: "24h",
       })
 
-      console.log("[v0] JWT token created successfully")
       logger.info(`User registered: ${email}`)
 
       const response = {
@@ -89,13 +64,10 @@ router.post(
         },
       }
 
-      console.log("[v0] Sending response:", response)
       res.status(201).json(response)
     } catch (error) {
-      console.error("[v0] Registration error occurred:", error)
-      console.error("[v0] Error stack:", error.stack)
       logger.error("Registration error:", error)
-      res.status(500).json({ message: "Server error", error: error.message })
+      res.status(500).json({ message: "Server error" })
     }
   },
 )
@@ -111,36 +83,25 @@ router.post(
   ],
   async (req, res) => {
     try {
-      console.log("[v0] Login attempt started")
-      console.log("[v0] Request body:", req.body)
-
       const errors = validationResult(req)
       if (!errors.isEmpty()) {
-        console.log("[v0] Validation errors:", errors.array())
         return res.status(400).json({ errors: errors.array() })
       }
 
       const { email, password } = req.body
-      console.log("[v0] Validation passed, checking for user")
 
       // Check for user
       const user = await User.findOne({ email }).select("+password")
       if (!user) {
-        console.log("[v0] User not found:", email)
         return res.status(401).json({ message: "Invalid credentials" })
       }
 
-      console.log("[v0] User found, checking password")
-
       // Check password
       const isMatch = await user.matchPassword(password)
       if (!isMatch) {
-        console.log("[v0] Password mismatch")
         return res.status(401).json({ message: "Invalid credentials" })
       }
 
-      console.log("[v0] Password match, creating JWT token")
-
       // Create JWT token
       const payload = {
         id: user._id,
@@ -151,7 +112,6 @@ router.post(
         expiresIn: "24h",
       })
 
-      console.log("[v0] JWT token created successfully")
       logger.info(`User logged in: ${email}`)
 
       const response = {
@@ -164,13 +124,10 @@ router.post(
         },
       }
 
-      console.log("[v0] Sending response:", response)
       res.json(response)
     } catch (error) {
-      console.error("[v0] Login error occurred:", error)
-      console.error("[v0] Error stack:", error.stack)
       logger.error("Login error:", error)
-      res.status(500).json({ message: "Server error", error: error.message })
+      res.status(500).json({ message: "Server error" })
     }
   },
 )
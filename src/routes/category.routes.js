@@ -0,0 +1,186 @@
+const express = require("express")
+const { body, validationResult } = require("express-validator")
+const Category = require("../models/Category")
+const Ticket = require("../models/Ticket")
+const AgentSuggestion = require("../models/AgentSuggestion")
+const Config = require("../models/Config")
+const User = require("../models/User")
+const { auth, authorize } = require("../middleware/auth")
+const { FALLBACK_CATEGORY, getCategories } = require("../services/category.service")
+const logger = require("../config/logger")
+
+const router = express.Router()
+
+// Default assignees must be able to work tickets
+const isAgentUser = async (id) => {
+  if (id === null) return true
+  if (!(await User.exists({ _id: id, role: { $in: ["agent", "admin"] } }))) {
+    throw new Error("Default assignee must be an agent or admin")
+  }
+  return true
+}
+
+const categoryFieldValidators = [
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description cannot be more than 500 characters"),
+  body("keywords").optional().isArray().withMessage("Keywords must be an array"),
+  body("keywords.*").isString().trim().toLowerCase().isLength({ min: 1, max: 50 }).withMessage("Invalid keyword"),
+  body("defaultAssignee")
+    .optional({ values: "undefined" })
+    .custom((value) => value === null || /^[0-9a-fA-F]{24}$/.test(value))
+    .withMessage("defaultAssignee must be a user ID or null")
+    .bail()
+    .custom(isAgentUser),
+  body("team").optional().trim().isLength({ max: 100 }).withMessage("Team cannot be more than 100 characters"),
+]
+
+// @desc    Get ticket categories
+// @route   GET /api/categories
+// @access  Private
+router.get("/", auth, async (req, res) => {
+  try {
+    const categories = await getCategories({ includeInactive: req.user.role === "admin" })
+
+    res.json(categories)
+  } catch (error) {
+    logger.error("Categories fetch error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @desc    Create ticket category
+// @route   POST /api/categories
+// @access  Private (Admin only)
+router.post(
+  "/",
+  [
+    auth,
+    authorize("admin"),
+    body("name")
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-z][a-z0-9_-]{0,49}$/)
+      .withMessage("Name must start with a letter and contain only a-z, 0-9, _ and -"),
+    ...categoryFieldValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { name, description, keywords, defaultAssignee, team } = req.body
+
+      // Make sure the built-in categories exist before adding to the collection
+      await getCategories()
+      if (await Category.exists({ name })) {
+        return res.status(400).json({ message: "Category already exists" })
+      }
+
+      const category = new Category({
+        name,
+        description,
+        keywords: keywords || [],
+        defaultAssignee: defaultAssignee || undefined,
+        team,
+        createdBy: req.user._id,
+      })
+
+      await category.save()
+
+      logger.info(`Category created: ${name} by ${req.user.email}`)
+      res.status(201).json(category)
+    } catch (error) {
+      logger.error("Category creation error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @desc    Update ticket category (the name is fixed, tickets refer to it)
+// @route   PUT /api/categories/:id
+// @access  Private (Admin only)
+router.put(
+  "/:id",
+  [
+    auth,
+    authorize("admin"),
+    ...categoryFieldValidators,
+    body("active").optional().isBoolean().withMessage("active must be boolean"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const category = await Category.findById(req.params.id)
+      if (!category) {
+        return res.status(404).json({ message: "Category not found" })
+      }
+
+      const { description, keywords, defaultAssignee, team, active } = req.body
+
+      if (active === false && category.name === FALLBACK_CATEGORY) {
+        return res.status(400).json({ message: `The ${FALLBACK_CATEGORY} category cannot be deactivated` })
+      }
+
+      if (description !== undefined) category.description = description
+      if (keywords !== undefined) category.keywords = keywords
+      if (defaultAssignee !== undefined) category.defaultAssignee = defaultAssignee || undefined
+      if (team !== undefined) category.team = team || undefined
+      if (active !== undefined) category.active = active
+
+      await category.save()
+
+      logger.info(`Category updated: ${category.name} by ${req.user.email}`)
+      res.json(category)
+    } catch (error) {
+      logger.error("Category update error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @desc    Delete ticket category that no ticket or agent suggestion uses
+// @route   DELETE /api/categories/:id
+// @access  Private (Admin only)
+router.delete("/:id", auth, authorize("admin"), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id)
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" })
+    }
+
+    if (category.name === FALLBACK_CATEGORY) {
+      return res.status(400).json({ message: `The ${FALLBACK_CATEGORY} category cannot be deleted` })
+    }
+
+    if (await Ticket.exists({ category: category.name })) {
+      return res.status(400).json({ message: "Category is used by tickets, deactivate it instead" })
+    }
+
+    // Past predictions feed the feedback stats and the evaluation dataset
+    if (await AgentSuggestion.exists({ predictedCategory: category.name })) {
+      return res.status(400).json({ message: "Category is used by agent suggestions, deactivate it instead" })
+    }
+
+    await Category.findByIdAndDelete(req.params.id)
+    // Its auto-close override would otherwise linger, and come back with a new
+    // category of the same name
+    await Config.updateMany({}, { $unset: { [`categoryAutoClose.${category.name}`]: "" } })
+
+    logger.info(`Category deleted: ${category.name} by ${req.user.email}`)
+    res.json({ message: "Category deleted successfully" })
+  } catch (error) {
+    logger.error("Category deletion error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+module.exports = router
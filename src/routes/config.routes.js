@@ -3,6 +3,10 @@ const { body, validationResult } = require("express-validator")
 const Config = require("../models/Config")
 const { auth, authorize } = require("../middleware/auth")
 const logger = require("../config/logger")
+const { PROVIDERS } = require("../services/llm")
+const { DETECTOR_NAMES } = require("../services/redaction.service")
+const { getCategoryNames } = require("../services/category.service")
+const { SNIFFABLE_MIME_TYPES } = require("../services/fileType.service")
 
 const router = express.Router()
 
@@ -19,6 +23,9 @@ router.get("/", auth, authorize("admin"), async (req, res) => {
         autoCloseEnabled: process.env.AUTO_CLOSE_ENABLED === "true",
         confidenceThreshold: Number.parseFloat(process.env.CONFIDENCE_THRESHOLD) || 0.78,
         slaHours: Number.parseInt(process.env.SLA_HOURS) || 24,
+        llmProvider: process.env.LLM_PROVIDER || "stub",
+        llmModel: process.env.LLM_MODEL || "",
+        firstResponseHours: Number.parseInt(process.env.SLA_FIRST_RESPONSE_HOURS) || 4,
       })
       await config.save()
     }
@@ -43,7 +50,64 @@ router.put(
       .optional()
       .isFloat({ min: 0, max: 1 })
       .withMessage("confidenceThreshold must be between 0 and 1"),
+    body("categoryAutoClose").optional().isObject().withMessage("categoryAutoClose must be an object"),
+    body("categoryAutoClose.*.enabled").optional().isBoolean().withMessage("enabled must be boolean"),
+    body("categoryAutoClose.*.confidenceThreshold")
+      .optional({ values: "null" })
+      .isFloat({ min: 0, max: 1 })
+      .withMessage("Category confidenceThreshold must be between 0 and 1"),
+    body("riskyTerms").optional().isArray().withMessage("riskyTerms must be an array"),
+    body("riskyTerms.*").isString().trim().isLength({ min: 1, max: 100 }).withMessage("Risky terms must be non-empty"),
+    body("frustrationThreshold")
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage("frustrationThreshold must be between 0 and 1"),
+    body("llmProvider").optional().isIn(PROVIDERS).withMessage("Invalid llmProvider"),
+    body("llmModel").optional().isString().trim().isLength({ max: 100 }).withMessage("Invalid llmModel"),
+    body("llmBaseUrl")
+      .optional({ values: "falsy" })
+      .isURL({ require_tld: false, protocols: ["http", "https"] })
+      .withMessage("llmBaseUrl must be an http(s) URL"),
     body("slaHours").optional().isInt({ min: 1 }).withMessage("slaHours must be at least 1"),
+    body("firstResponseHours").optional().isInt({ min: 1 }).withMessage("firstResponseHours must be at least 1"),
+    body(["prioritySlaFactors.low", "prioritySlaFactors.normal", "prioritySlaFactors.high", "prioritySlaFactors.urgent"])
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage("prioritySlaFactors must be positive numbers"),
+    body("duplicateWindowHours").optional().isInt({ min: 1 }).withMessage("duplicateWindowHours must be at least 1"),
+    body("duplicateSimilarityThreshold")
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage("duplicateSimilarityThreshold must be between 0 and 1"),
+    body("attachmentMaxBytes").optional().isInt({ min: 1 }).withMessage("attachmentMaxBytes must be at least 1"),
+    body("attachmentMaxFiles").optional().isInt({ min: 1 }).withMessage("attachmentMaxFiles must be at least 1"),
+    body("attachmentAllowedMimeTypes")
+      .optional()
+      .isArray()
+      .withMessage("attachmentAllowedMimeTypes must be an array"),
+    body("attachmentAllowedMimeTypes.*")
+      .isIn(SNIFFABLE_MIME_TYPES)
+      .withMessage(`Attachment types must be among: ${SNIFFABLE_MIME_TYPES.join(", ")}`),
+    body([
+      "retrieval.bm25Weight",
+      "retrieval.embeddingWeight",
+      "retrieval.categoryBoost",
+      "retrieval.tagBoost",
+      "retrieval.recencyWeight",
+      "retrieval.minScore",
+    ])
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Retrieval weights must be non-negative numbers"),
+    body("retrieval.recencyHalfLifeDays")
+      .optional()
+      .isFloat({ min: 1 })
+      .withMessage("recencyHalfLifeDays must be at least 1"),
+    body("retrieval.maxResults").optional().isInt({ min: 1, max: 10 }).withMessage("maxResults must be 1-10"),
+    body("redactionDetectors").optional().isArray().withMessage("redactionDetectors must be an array"),
+    body("redactionDetectors.*")
+      .isIn(DETECTOR_NAMES)
+      .withMessage(`Redaction detectors must be among: ${DETECTOR_NAMES.join(", ")}`),
   ],
   async (req, res) => {
     try {
@@ -52,7 +116,26 @@ router.put(
         return res.status(400).json({ errors: errors.array() })
       }
 
-      const { autoCloseEnabled, confidenceThreshold, slaHours } = req.body
+      const {
+        autoCloseEnabled,
+        confidenceThreshold,
+        categoryAutoClose,
+        riskyTerms,
+        frustrationThreshold,
+        slaHours,
+        llmProvider,
+        llmModel,
+        llmBaseUrl,
+        firstResponseHours,
+        prioritySlaFactors,
+        duplicateWindowHours,
+        duplicateSimilarityThreshold,
+        attachmentMaxBytes,
+        attachmentMaxFiles,
+        attachmentAllowedMimeTypes,
+        redactionDetectors,
+        retrieval,
+      } = req.body
 
       let config = await Config.findOne()
       if (!config) {
@@ -61,7 +144,44 @@ router.put(
 
       if (autoCloseEnabled !== undefined) config.autoCloseEnabled = autoCloseEnabled
       if (confidenceThreshold !== undefined) config.confidenceThreshold = confidenceThreshold
+      if (categoryAutoClose !== undefined) {
+        const categories = await getCategoryNames({ includeInactive: true })
+        const unknown = Object.keys(categoryAutoClose).filter((name) => !categories.includes(name))
+        if (unknown.length > 0) {
+          return res.status(400).json({ message: `Unknown categories: ${unknown.join(", ")}` })
+        }
+        // A null entry removes the category's override
+        for (const [name, rule] of Object.entries(categoryAutoClose)) {
+          if (rule === null) {
+            config.categoryAutoClose.delete(name)
+          } else {
+            config.categoryAutoClose.set(name, { ...config.categoryAutoClose.get(name)?.toObject(), ...rule })
+          }
+        }
+      }
+      if (riskyTerms !== undefined) config.riskyTerms = [...new Set(riskyTerms.map((term) => term.toLowerCase()))]
+      if (frustrationThreshold !== undefined) config.frustrationThreshold = frustrationThreshold
       if (slaHours !== undefined) config.slaHours = slaHours
+      if (llmProvider !== undefined) config.llmProvider = llmProvider
+      if (llmModel !== undefined) config.llmModel = llmModel
+      if (llmBaseUrl !== undefined) config.llmBaseUrl = llmBaseUrl
+      if (firstResponseHours !== undefined) config.firstResponseHours = firstResponseHours
+      if (prioritySlaFactors !== undefined) {
+        for (const [priority, factor] of Object.entries(prioritySlaFactors)) {
+          if (config.prioritySlaFactors[priority] !== undefined) config.prioritySlaFactors[priority] = factor
+        }
+      }
+      if (duplicateWindowHours !== undefined) config.duplicateWindowHours = duplicateWindowHours
+      if (duplicateSimilarityThreshold !== undefined) config.duplicateSimilarityThreshold = duplicateSimilarityThreshold
+      if (attachmentMaxBytes !== undefined) config.attachmentMaxBytes = attachmentMaxBytes
+      if (attachmentMaxFiles !== undefined) config.attachmentMaxFiles = attachmentMaxFiles
+      if (attachmentAllowedMimeTypes !== undefined) config.attachmentAllowedMimeTypes = attachmentAllowedMimeTypes
+      if (redactionDetectors !== undefined) config.redactionDetectors = [...new Set(redactionDetectors)]
+      if (retrieval !== undefined) {
+        for (const [key, value] of Object.entries(retrieval)) {
+          if (config.retrieval[key] !== undefined) config.retrieval[key] = value
+        }
+      }
 
       await config.save()
 
@@ -69,6 +189,9 @@ router.put(
         autoCloseEnabled: config.autoCloseEnabled,
         confidenceThreshold: config.confidenceThreshold,
         slaHours: config.slaHours,
+        firstResponseHours: config.firstResponseHours,
+        llmProvider: config.llmProvider,
+        llmModel: config.llmModel,
       })
 
       res.json(config)
@@ -0,0 +1,151 @@
+const express = require("express")
+const { body, validationResult } = require("express-validator")
+const CustomField = require("../models/CustomField")
+const { auth, authorize } = require("../middleware/auth")
+const logger = require("../config/logger")
+
+const router = express.Router()
+
+const FIELD_TYPES = CustomField.schema.path("type").enumValues
+
+// Enum fields need at least one option; other types take none
+const optionsMatchType = (options, { req }) => {
+  const type = req.body.type
+  if (type === "enum") return Array.isArray(options) && options.length > 0
+  return options === undefined || (Array.isArray(options) && options.length === 0)
+}
+
+// @desc    Get custom field definitions
+// @route   GET /api/custom-fields
+// @access  Private
+router.get("/", auth, async (req, res) => {
+  try {
+    const filter = req.user.role === "admin" ? {} : { active: true }
+    const fields = await CustomField.find(filter).sort({ key: 1 })
+
+    res.json(fields)
+  } catch (error) {
+    logger.error("Custom fields fetch error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @desc    Create custom field definition
+// @route   POST /api/custom-fields
+// @access  Private (Admin only)
+router.post(
+  "/",
+  [
+    auth,
+    authorize("admin"),
+    body("key")
+      .matches(/^[a-zA-Z][a-zA-Z0-9_]{0,49}$/)
+      .withMessage("Key must start with a letter and contain only letters, digits and _"),
+    body("label").trim().isLength({ min: 1, max: 100 }).withMessage("Label is required"),
+    body("type").isIn(FIELD_TYPES).withMessage("Invalid type"),
+    body("options").custom(optionsMatchType).withMessage("Options are required for enum fields only"),
+    body("options.*").isString().trim().isLength({ min: 1 }).withMessage("Options must be non-empty strings"),
+    body("required").optional().isBoolean().withMessage("required must be boolean"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { key, label, type, options, required } = req.body
+
+      if (await CustomField.exists({ key })) {
+        return res.status(400).json({ message: "Custom field already exists" })
+      }
+
+      const field = new CustomField({
+        key,
+        label,
+        type,
+        options: options || [],
+        required: required || false,
+        createdBy: req.user._id,
+      })
+
+      await field.save()
+
+      logger.info(`Custom field created: ${key} by ${req.user.email}`)
+      res.status(201).json(field)
+    } catch (error) {
+      logger.error("Custom field creation error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @desc    Update custom field definition (key and type are fixed)
+// @route   PUT /api/custom-fields/:id
+// @access  Private (Admin only)
+router.put(
+  "/:id",
+  [
+    auth,
+    authorize("admin"),
+    body("label").optional().trim().isLength({ min: 1, max: 100 }).withMessage("Label cannot be empty"),
+    body("options").optional().isArray().withMessage("Options must be an array"),
+    body("options.*").isString().trim().isLength({ min: 1 }).withMessage("Options must be non-empty strings"),
+    body("required").optional().isBoolean().withMessage("required must be boolean"),
+    body("active").optional().isBoolean().withMessage("active must be boolean"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const field = await CustomField.findById(req.params.id)
+      if (!field) {
+        return res.status(404).json({ message: "Custom field not found" })
+      }
+
+      const { label, options, required, active } = req.body
+
+      if (options !== undefined && (field.type === "enum" ? options.length === 0 : options.length > 0)) {
+        return res.status(400).json({ message: "Options are required for enum fields only" })
+      }
+
+      if (label !== undefined) field.label = label
+      if (options !== undefined) field.options = options
+      if (required !== undefined) field.required = required
+      if (active !== undefined) field.active = active
+
+      await field.save()
+
+      logger.info(`Custom field updated: ${field.key} by ${req.user.email}`)
+      res.json(field)
+    } catch (error) {
+      logger.error("Custom field update error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @desc    Delete custom field definition
+// @route   DELETE /api/custom-fields/:id
+// @access  Private (Admin only)
+router.delete("/:id", auth, authorize("admin"), async (req, res) => {
+  try {
+    const field = await CustomField.findById(req.params.id)
+    if (!field) {
+      return res.status(404).json({ message: "Custom field not found" })
+    }
+
+    await CustomField.findByIdAndDelete(req.params.id)
+
+    logger.info(`Custom field deleted: ${field.key} by ${req.user.email}`)
+    res.json({ message: "Custom field deleted successfully" })
+  } catch (error) {
+    logger.error("Custom field deletion error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+module.exports = router
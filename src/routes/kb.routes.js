@@ -1,13 +1,32 @@
 const express = require("express")
-const { body, validationResult } = require("express-validator")
+const { body, param, query, validationResult } = require("express-validator")
 const Article = require("../models/Article")
 const { auth, authorize } = require("../middleware/auth")
+const { uploadImportFile } = require("../middleware/upload")
+const { listRevisions, getRevision, diffRevisions, restoreRevision } = require("../services/articleRevision.service")
+const { ANALYTICS_SORTS, recordVote, getVoteSummary, getArticleAnalytics } = require("../services/kbAnalytics.service")
+const {
+  EXPORT_FORMATS,
+  readFileEntries,
+  importArticles,
+  exportArticles,
+  toMarkdownFiles,
+  buildZip,
+} = require("../services/kbTransfer.service")
+const { tokenize, bestPassage } = require("../services/retrieval")
 const logger = require("../config/logger")
 
 const router = express.Router()
 
-// @desc    Get articles (with search)
-// @route   GET /api/kb
+// Articles are visible to everyone when published, to admins always
+const findVisibleArticle = (req) => {
+  const filter = { _id: req.params.id }
+  if (req.user.role !== "admin") filter.status = "published"
+  return Article.findOne(filter)
+}
+
+// @desc    Get articles (with search; search results have snippets instead of bodies)
+// @route   GET /api/kb?query=refund
 // @access  Private
 router.get("/", auth, async (req, res) => {
   try {
@@ -36,6 +55,15 @@ router.get("/", auth, async (req, res) => {
         .sort({ score: { $meta: "textScore" } })
         .populate("createdBy", "name email")
         .limit(20)
+
+      // Search results carry the best-matching passage and a highlighted
+      // snippet instead of the whole body
+      const queryTokens = tokenize(query)
+      articles = articles.map((article) => {
+        const result = { ...article.toObject(), ...bestPassage(article, queryTokens) }
+        delete result.body
+        return result
+      })
     } else {
       articles = await Article.find(filter).populate("createdBy", "name email").sort({ updatedAt: -1 }).limit(50)
     }
@@ -47,6 +75,184 @@ router.get("/", auth, async (req, res) => {
   }
 })
 
+// @desc    Rank articles by views, citations, helpfulness or reopen rate
+// @route   GET /api/kb/analytics?sort=helpfulness&limit=20&from=2024-01-01&to=2024-03-31
+// @access  Private (Agent/Admin)
+router.get(
+  "/analytics",
+  [
+    auth,
+    authorize("agent", "admin"),
+    query("sort")
+      .optional()
+      .isIn(ANALYTICS_SORTS)
+      .withMessage(`sort must be one of: ${ANALYTICS_SORTS.join(", ")}`),
+    query("limit").optional().isInt({ min: 1, max: 200 }).withMessage("limit must be 1-200").toInt(),
+    query(["from", "to"]).optional().isISO8601().withMessage("Dates must be ISO 8601"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { sort, limit, from, to } = req.query
+      const report = await getArticleAnalytics({ sort, limit, from, to })
+
+      res.json(report)
+    } catch (error) {
+      logger.error("KB analytics error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @desc    Import articles (zip, Markdown or JSON file, or { articles } body), upserting by slug
+// @route   POST /api/kb/import?dryRun=true&deleteMissing=true
+// @access  Private (Admin only)
+router.post(
+  "/import",
+  [
+    auth,
+    authorize("admin"),
+    uploadImportFile(),
+    query(["dryRun", "deleteMissing"]).optional().isBoolean().withMessage("Must be boolean").toBoolean(),
+    body("articles")
+      .if((value, { req }) => !req.file)
+      .isArray()
+      .withMessage("Upload a file or send an articles array"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const entries = req.file
+        ? readFileEntries(req.file.originalname, req.file.buffer)
+        : [{ file: "request.json", content: JSON.stringify(req.body.articles) }]
+
+      const result = await importArticles(entries, {
+        user: req.user,
+        dryRun: req.query.dryRun === true,
+        deleteMissing: req.query.deleteMissing === true,
+      })
+
+      if (result.applied) {
+        logger.info(
+          `KB import by ${req.user.email}: ${result.created.length} created, ${result.updated.length} updated, ${result.deleted.length} deleted`,
+        )
+      }
+      res.status(result.errors.length > 0 && !result.dryRun ? 400 : 200).json(result)
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      logger.error("KB import error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @desc    Export articles as a JSON array or a zip of Markdown files
+// @route   GET /api/kb/export?format=markdown&status=published
+// @access  Private (Admin only)
+router.get(
+  "/export",
+  [
+    auth,
+    authorize("admin"),
+    query("format")
+      .optional()
+      .isIn(EXPORT_FORMATS)
+      .withMessage(`format must be one of: ${EXPORT_FORMATS.join(", ")}`),
+    query("status").optional().isIn(["draft", "published"]).withMessage("Invalid status"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const records = await exportArticles({ status: req.query.status })
+
+      if (req.query.format === "markdown") {
+        res.attachment("kb-export.zip")
+        return res.send(buildZip(toMarkdownFiles(records)))
+      }
+
+      res.attachment("kb-export.json")
+      res.json(records)
+    } catch (error) {
+      logger.error("KB export error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @desc    Get article (counts as a view)
+// @route   GET /api/kb/:id
+// @access  Private
+router.get("/:id", auth, async (req, res) => {
+  try {
+    const article = await findVisibleArticle(req).populate("createdBy", "name email")
+    if (!article) {
+      return res.status(404).json({ message: "Article not found" })
+    }
+
+    // Not a content change: no revision, and no updatedAt bump that would
+    // rebuild the retrieval index
+    await Article.updateOne({ _id: article._id }, { $inc: { views: 1 } }, { timestamps: false })
+    article.views += 1
+
+    res.json({ ...article.toObject(), votes: await getVoteSummary(article._id) })
+  } catch (error) {
+    logger.error("Article fetch error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @desc    Vote an article helpful or not (with ticketId: as requester of a ticket citing it)
+// @route   POST /api/kb/:id/vote
+// @access  Private
+router.post(
+  "/:id/vote",
+  [
+    auth,
+    body("helpful").isBoolean({ strict: true }).withMessage("helpful must be boolean"),
+    body("ticketId").optional().isMongoId().withMessage("Invalid ticket ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { helpful, ticketId } = req.body
+
+      // A cited article stays votable from its ticket even if unpublished since
+      const article = ticketId ? await Article.findById(req.params.id) : await findVisibleArticle(req)
+      if (!article) {
+        return res.status(404).json({ message: "Article not found" })
+      }
+
+      const vote = await recordVote(article, req.user, { helpful, ticketId })
+
+      res.json({ vote, votes: await getVoteSummary(article._id) })
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      logger.error("Article vote error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
 // @desc    Create article
 // @route   POST /api/kb
 // @access  Private (Admin only)
@@ -59,6 +265,12 @@ router.post(
     body("body").trim().isLength({ min: 1 }).withMessage("Body is required"),
     body("tags").optional().isArray().withMessage("Tags must be an array"),
     body("status").optional().isIn(["draft", "published"]).withMessage("Invalid status"),
+    body("slug")
+      .optional()
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+      .withMessage("Slug may only contain a-z, 0-9 and single dashes"),
   ],
   async (req, res) => {
     try {
@@ -67,10 +279,11 @@ router.post(
         return res.status(400).json({ errors: errors.array() })
       }
 
-      const { title, body, tags, status } = req.body
+      const { title, body, tags, status, slug } = req.body
 
       const article = new Article({
         title,
+        slug,
         body,
         tags: tags || [],
         status: status || "draft",
@@ -83,6 +296,12 @@ router.post(
       logger.info(`Article created: ${title} by ${req.user.email}`)
       res.status(201).json(article)
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      if (error.code === 11000) {
+        return res.status(400).json({ message: "An article with this slug already exists" })
+      }
       logger.error("Article creation error:", error)
       res.status(500).json({ message: "Server error" })
     }
@@ -101,6 +320,12 @@ router.put(
     body("body").optional().trim().isLength({ min: 1 }).withMessage("Body cannot be empty"),
     body("tags").optional().isArray().withMessage("Tags must be an array"),
     body("status").optional().isIn(["draft", "published"]).withMessage("Invalid status"),
+    body("slug")
+      .optional()
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+      .withMessage("Slug may only contain a-z, 0-9 and single dashes"),
   ],
   async (req, res) => {
     try {
@@ -114,12 +339,14 @@ router.put(
         return res.status(404).json({ message: "Article not found" })
       }
 
-      const { title, body, tags, status } = req.body
+      const { title, body, tags, status, slug } = req.body
 
       if (title !== undefined) article.title = title
+      if (slug !== undefined) article.slug = slug
       if (body !== undefined) article.body = body
       if (tags !== undefined) article.tags = tags
       if (status !== undefined) article.status = status
+      article.updatedBy = req.user._id
 
       await article.save()
       await article.populate("createdBy", "name email")
@@ -127,12 +354,145 @@ router.put(
       logger.info(`Article updated: ${article.title} by ${req.user.email}`)
       res.json(article)
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      if (error.code === 11000) {
+        return res.status(400).json({ message: "An article with this slug already exists" })
+      }
       logger.error("Article update error:", error)
       res.status(500).json({ message: "Server error" })
     }
   },
 )
 
+// @desc    List article revisions (newest first, without bodies)
+// @route   GET /api/kb/:id/revisions
+// @access  Private (Agent/Admin)
+router.get("/:id/revisions", auth, authorize("agent", "admin"), async (req, res) => {
+  try {
+    const article = await findVisibleArticle(req)
+    if (!article) {
+      return res.status(404).json({ message: "Article not found" })
+    }
+
+    const revisions = await listRevisions(article._id)
+
+    res.json({ currentRevision: article.currentRevision, revisions })
+  } catch (error) {
+    logger.error("Article revisions fetch error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @desc    Diff two article revisions
+// @route   GET /api/kb/:id/revisions/diff?from=1&to=3
+// @access  Private (Agent/Admin)
+router.get(
+  "/:id/revisions/diff",
+  [
+    auth,
+    authorize("agent", "admin"),
+    query("from").isInt({ min: 1 }).withMessage("from must be a revision number").toInt(),
+    query("to").isInt({ min: 1 }).withMessage("to must be a revision number").toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const article = await findVisibleArticle(req)
+      if (!article) {
+        return res.status(404).json({ message: "Article not found" })
+      }
+
+      const [from, to] = await Promise.all([
+        getRevision(article._id, req.query.from),
+        getRevision(article._id, req.query.to),
+      ])
+      if (!from || !to) {
+        return res.status(404).json({ message: "Revision not found" })
+      }
+
+      res.json(diffRevisions(from, to))
+    } catch (error) {
+      logger.error("Article revision diff error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @desc    Get one article revision
+// @route   GET /api/kb/:id/revisions/:revision
+// @access  Private (Agent/Admin)
+router.get(
+  "/:id/revisions/:revision",
+  [auth, authorize("agent", "admin"), param("revision").isInt({ min: 1 }).withMessage("Invalid revision").toInt()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const article = await findVisibleArticle(req)
+      if (!article) {
+        return res.status(404).json({ message: "Article not found" })
+      }
+
+      const revision = await getRevision(article._id, req.params.revision)
+      if (!revision) {
+        return res.status(404).json({ message: "Revision not found" })
+      }
+
+      res.json(revision)
+    } catch (error) {
+      logger.error("Article revision fetch error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @desc    Restore an article revision (saved as a new revision)
+// @route   POST /api/kb/:id/revisions/:revision/restore
+// @access  Private (Admin only)
+router.post(
+  "/:id/revisions/:revision/restore",
+  [auth, authorize("admin"), param("revision").isInt({ min: 1 }).withMessage("Invalid revision").toInt()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const article = await Article.findById(req.params.id)
+      if (!article) {
+        return res.status(404).json({ message: "Article not found" })
+      }
+
+      const revision = await getRevision(article._id, req.params.revision)
+      if (!revision) {
+        return res.status(404).json({ message: "Revision not found" })
+      }
+
+      await restoreRevision(article, revision, req.user)
+      await article.populate("createdBy", "name email")
+
+      logger.info(`Article ${article.title} restored to revision ${revision.revision} by ${req.user.email}`)
+      res.json(article)
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      logger.error("Article revision restore error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
 // @desc    Delete article
 // @route   DELETE /api/kb/:id
 // @access  Private (Admin only)
@@ -0,0 +1,197 @@
+const express = require("express")
+const { body, query, validationResult } = require("express-validator")
+const PromptTemplate = require("../models/PromptTemplate")
+const Ticket = require("../models/Ticket")
+const Config = require("../models/Config")
+const { auth, authorize } = require("../middleware/auth")
+const { triageService } = require("../services/triage.service")
+const { getCategories } = require("../services/category.service")
+const { Redactor } = require("../services/redaction.service")
+const { withPassages } = require("../services/retrieval")
+const {
+  STEP_VARIABLES,
+  validateTemplate,
+  buildVariables,
+  renderPrompt,
+  ensureBuiltinPrompts,
+  createPromptVersion,
+  activatePrompt,
+} = require("../services/prompt.service")
+const logger = require("../config/logger")
+
+const router = express.Router()
+
+const PROMPT_STEPS = PromptTemplate.schema.path("step").enumValues
+
+// @desc    List prompt template versions
+// @route   GET /api/prompts?step=classify
+// @access  Private (Admin only)
+router.get(
+  "/",
+  auth,
+  authorize("admin"),
+  [query("step").optional().isIn(PROMPT_STEPS).withMessage("Invalid step")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      await ensureBuiltinPrompts()
+      const filter = req.query.step ? { step: req.query.step } : {}
+      const templates = await PromptTemplate.find(filter).sort({ step: 1, version: -1 })
+
+      res.json({ variables: STEP_VARIABLES, templates })
+    } catch (error) {
+      logger.error("Prompt templates fetch error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @desc    Get prompt template version
+// @route   GET /api/prompts/:id
+// @access  Private (Admin only)
+router.get("/:id", auth, authorize("admin"), async (req, res) => {
+  try {
+    const template = await PromptTemplate.findById(req.params.id)
+    if (!template) {
+      return res.status(404).json({ message: "Prompt template not found" })
+    }
+
+    res.json(template)
+  } catch (error) {
+    logger.error("Prompt template fetch error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @desc    Create a new (inactive) prompt template version
+// @route   POST /api/prompts
+// @access  Private (Admin only)
+router.post(
+  "/",
+  [
+    auth,
+    authorize("admin"),
+    body("step").isIn(PROMPT_STEPS).withMessage("Invalid step"),
+    body("system").isString().isLength({ min: 1, max: 10000 }).withMessage("System prompt is required"),
+    body("user").isString().isLength({ min: 1, max: 10000 }).withMessage("User prompt is required"),
+    body("description").optional().trim().isLength({ max: 500 }).withMessage("Description is too long"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { step, system, user, description } = req.body
+
+      const templateErrors = validateTemplate(step, { system, user })
+      if (templateErrors.length > 0) {
+        return res.status(400).json({ errors: templateErrors.map((msg) => ({ path: "template", msg })) })
+      }
+
+      const template = await createPromptVersion(step, { system, user, description }, req.user._id)
+
+      logger.info(`Prompt template ${step} v${template.version} created by ${req.user.email}`)
+      res.status(201).json(template)
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      logger.error("Prompt template creation error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @desc    Render a prompt template against a stored or sample ticket
+// @route   POST /api/prompts/:id/preview
+// @access  Private (Admin only)
+router.post(
+  "/:id/preview",
+  [
+    auth,
+    authorize("admin"),
+    body("ticketId").optional().isMongoId().withMessage("Invalid ticket ID"),
+    body("ticket.title")
+      .if(body("ticketId").not().exists())
+      .isString()
+      .withMessage("A ticketId or sample ticket is required"),
+    body("ticket.description").optional().isString(),
+    body("ticket.tags").optional().isArray(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const template = await PromptTemplate.findById(req.params.id)
+      if (!template) {
+        return res.status(404).json({ message: "Prompt template not found" })
+      }
+
+      let ticket
+      if (req.body.ticketId) {
+        ticket = await Ticket.findById(req.body.ticketId)
+        if (!ticket) {
+          return res.status(404).json({ message: "Ticket not found" })
+        }
+      } else {
+        const { title, description = "", tags = [], category } = req.body.ticket
+        ticket = { title, description, tags, category, replies: [] }
+      }
+
+      // Render exactly what the provider would receive, PII placeholders included
+      const config = (await Config.findOne()) || new Config()
+      const text = triageService.buildTriageText(ticket)
+      const promptText = new Redactor(config.redactionDetectors).redact(text)
+
+      const context = { text: promptText }
+      if (template.step === "classify") {
+        context.categories = await getCategories()
+      }
+      if (template.step === "draft") {
+        context.articles = withPassages(await triageService.retrieveKB(text, ticket.category, ticket.tags, config))
+      }
+      const variables = buildVariables(template.step, context)
+
+      res.json({
+        step: template.step,
+        version: template.version,
+        variables: template.variables,
+        rendered: renderPrompt(template, variables),
+      })
+    } catch (error) {
+      logger.error("Prompt template preview error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @desc    Activate a prompt template version for its step
+// @route   POST /api/prompts/:id/activate
+// @access  Private (Admin only)
+router.post("/:id/activate", auth, authorize("admin"), async (req, res) => {
+  try {
+    const template = await PromptTemplate.findById(req.params.id)
+    if (!template) {
+      return res.status(404).json({ message: "Prompt template not found" })
+    }
+
+    await activatePrompt(template)
+
+    logger.info(`Prompt template ${template.step} v${template.version} activated by ${req.user.email}`)
+    res.json(template)
+  } catch (error) {
+    logger.error("Prompt template activation error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+module.exports = router
@@ -1,14 +1,90 @@
 const express = require("express")
-const { body, validationResult } = require("express-validator")
+const { body, query, validationResult } = require("express-validator")
 const Ticket = require("../models/Ticket")
 const AuditLog = require("../models/AuditLog")
+const Config = require("../models/Config")
 const { auth, authorize } = require("../middleware/auth")
-const { triggerTriage } = require("../services/agentStub")
+const { uploadAttachments } = require("../middleware/upload")
+const { triggerTriage } = require("../services/triageQueue.service")
+const { actorForRole, changeStatus } = require("../services/ticketStatus.service")
+const {
+  BULK_MAX_TICKETS,
+  BULK_OPERATIONS,
+  runBulkOperation,
+  assignTicket,
+  replyToTicket,
+} = require("../services/ticketActions.service")
+const { getStorage, withStoredAttachments } = require("../services/storage.service")
+const { applySlaDueDates, getSlaReport } = require("../services/sla.service")
+const { getActiveDefinitions, validateCustomFields } = require("../services/customField.service")
+const { FALLBACK_CATEGORY, categoryValidator } = require("../services/category.service")
+const { mergeTickets } = require("../services/duplicate.service")
+const {
+  canSeeInternal,
+  ticketForUser,
+  auditFilterForUser,
+  auditLogsForUser,
+  visibleAttachments,
+} = require("../services/ticketVisibility.service")
+const { SORT_FIELDS, MAX_LIMIT, listTickets } = require("../services/ticketQuery.service")
 const logger = require("../config/logger")
 const { v4: uuidv4 } = require("uuid")
 
 const router = express.Router()
 
+const TICKET_STATUSES = Ticket.schema.path("status").enumValues
+const TICKET_PRIORITIES = Ticket.schema.path("priority").enumValues
+
+const isListOf = (allowed) => (value) =>
+  (Array.isArray(value) ? value : String(value).split(",")).every((item) => allowed.includes(item))
+
+// Validators for the ticket list filters. `field` is query() for GET /api/tickets,
+// or a body() wrapper for the filter object of the bulk endpoint.
+const ticketFilterValidators = (field) => [
+  field("status").optional().custom(isListOf(TICKET_STATUSES)).withMessage("Invalid status"),
+  field("category")
+    .optional()
+    .custom(categoryValidator({ includeInactive: true }))
+    .withMessage("Invalid category"),
+  field("priority").optional().custom(isListOf(TICKET_PRIORITIES)).withMessage("Invalid priority"),
+  field("assignee")
+    .optional()
+    .custom((value) => ["unassigned", "me"].includes(value) || /^[0-9a-fA-F]{24}$/.test(value))
+    .withMessage("assignee must be a user ID, 'me' or 'unassigned'"),
+  field("createdBy").optional().isMongoId().withMessage("createdBy must be a valid user ID"),
+  ...["createdFrom", "createdTo", "updatedFrom", "updatedTo"].map((name) =>
+    field(name).optional().isISO8601().withMessage("Dates must be ISO 8601"),
+  ),
+  field("hasSuggestion").optional().isBoolean().withMessage("hasSuggestion must be boolean"),
+  field("tags").optional().custom((value) => String(value).length <= 500).withMessage("Invalid tags"),
+  field("customFields").optional().isObject().withMessage("customFields must be an object"),
+]
+
+// Tags and custom fields may arrive as JSON or as multipart form fields, where
+// tags are a comma-separated string and customFields a JSON-encoded object
+const toTagList = (value) => {
+  const tags = Array.isArray(value) ? value : String(value).split(",")
+  return [...new Set(tags.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))]
+}
+
+const parseJsonObject = (value) => {
+  if (typeof value !== "string") return value
+  try {
+    return JSON.parse(value)
+  } catch (error) {
+    return value
+  }
+}
+
+const ticketFieldValidators = [
+  body("tags")
+    .optional()
+    .customSanitizer(toTagList)
+    .custom((tags) => tags.length <= 20 && tags.every((tag) => tag.length <= 50))
+    .withMessage("At most 20 tags of up to 50 characters each"),
+  body("customFields").optional().customSanitizer(parseJsonObject),
+]
+
 // @desc    Create ticket
 // @route   POST /api/tickets
 // @access  Private
@@ -16,9 +92,12 @@ router.post(
   "/",
   [
     auth,
+    uploadAttachments(),
     body("title").trim().isLength({ min: 1 }).withMessage("Title is required"),
     body("description").trim().isLength({ min: 1 }).withMessage("Description is required"),
-    body("category").optional().isIn(["billing", "tech", "shipping", "other"]).withMessage("Invalid category"),
+    body("category").optional().custom(categoryValidator()).withMessage("Invalid category"),
+    body("priority").optional().isIn(TICKET_PRIORITIES).withMessage("Invalid priority"),
+    ...ticketFieldValidators,
   ],
   async (req, res) => {
     try {
@@ -27,17 +106,32 @@ router.post(
         return res.status(400).json({ errors: errors.array() })
       }
 
-      const { title, description, category } = req.body
+      const { title, description, category, priority, tags } = req.body
       const traceId = uuidv4()
 
+      const customFields = validateCustomFields(req.body.customFields, await getActiveDefinitions())
+      if (customFields.errors.length > 0) {
+        return res.status(400).json({ errors: customFields.errors })
+      }
+
       const ticket = new Ticket({
         title,
         description,
-        category: category || "other",
+        category: category || FALLBACK_CATEGORY,
+        priority: priority || "normal",
+        prioritySource: priority ? (req.user.role === "user" ? "requester" : "agent") : "default",
+        tags: tags || [],
+        customFields: customFields.values,
         createdBy: req.user._id,
       })
 
-      await ticket.save()
+      const config = (await Config.findOne()) || new Config()
+      applySlaDueDates(ticket, config)
+
+      await withStoredAttachments(req.files, req.user._id, ticket, (attachments) => {
+        ticket.attachments = attachments
+        return ticket.save()
+      })
 
       // Log ticket creation
       await new AuditLog({
@@ -52,7 +146,7 @@ router.post(
       }).save()
 
       // Trigger agentic triage
-      triggerTriage(ticket._id, traceId)
+      await triggerTriage(ticket._id, traceId)
 
       await ticket.populate("createdBy", "name email")
 
@@ -65,33 +159,130 @@ router.post(
   },
 )
 
-// @desc    Get tickets
+// The list is a bare array of tickets, as it has always been, unless the client
+// asks for pages with paginate=true (or sends a cursor): then it is
+// { tickets, nextCursor, total }
+// @desc    Get tickets (filtered, sorted, cursor-paginated)
 // @route   GET /api/tickets
 // @access  Private
-router.get("/", auth, async (req, res) => {
-  try {
-    const { status, my } = req.query
-    const filter = {}
+router.get(
+  "/",
+  [
+    auth,
+    ...ticketFilterValidators(query),
+    query("sort")
+      .optional()
+      .isIn(Object.keys(SORT_FIELDS).flatMap((field) => [field, `-${field}`]))
+      .withMessage("Invalid sort"),
+    query("limit").optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`limit must be between 1 and ${MAX_LIMIT}`),
+    query("paginate").optional().isBoolean().withMessage("paginate must be boolean"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const result = await listTickets(req.query, req.user)
+      const tickets = result.tickets.map((ticket) => ticketForUser(ticket, req.user))
 
-    // Filter by status
-    if (status) {
-      filter.status = status
+      if (req.query.paginate === "true" || req.query.cursor) {
+        return res.json({ ...result, tickets })
+      }
+      res.json(tickets)
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      logger.error("Tickets fetch error:", error)
+      res.status(500).json({ message: "Server error" })
     }
+  },
+)
 
-    // Filter by user's tickets
-    if (my === "true" || req.user.role === "user") {
-      filter.createdBy = req.user._id
+// @desc    Apply one operation to many tickets
+// @route   POST /api/tickets/bulk
+// @access  Private (Agent/Admin; retriage is Admin only)
+router.post(
+  "/bulk",
+  [
+    auth,
+    authorize("agent", "admin"),
+    body("operation").isIn(Object.keys(BULK_OPERATIONS)).withMessage("Invalid operation"),
+    body("ticketIds")
+      .optional()
+      .isArray({ min: 1, max: BULK_MAX_TICKETS })
+      .withMessage(`ticketIds must be an array of 1 to ${BULK_MAX_TICKETS} IDs`),
+    body("ticketIds.*").isMongoId().withMessage("Invalid ticket ID"),
+    body("filter").optional().isObject().withMessage("filter must be an object"),
+    ...ticketFilterValidators((name) => body(`filter.${name}`)),
+    body("params.assigneeId")
+      .if(body("operation").equals("assign"))
+      .isMongoId()
+      .withMessage("Valid assignee ID is required"),
+    body("params.status")
+      .if(body("operation").equals("status"))
+      .isIn(TICKET_STATUSES)
+      .withMessage("Invalid status"),
+    body("params.status")
+      .if(body("operation").equals("reply"))
+      .optional()
+      .isIn(TICKET_STATUSES)
+      .withMessage("Invalid status"),
+    body("params.tag")
+      .if(body("operation").equals("add_tag"))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("Tag must be 1-50 characters"),
+    body("params.content")
+      .if(body("operation").equals("reply"))
+      .isString()
+      .trim()
+      .isLength({ min: 1 })
+      .withMessage("Reply content is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { operation, ticketIds, filter, params } = req.body
+
+      if (!ticketIds === !filter) {
+        return res.status(400).json({ message: "Provide either ticketIds or filter" })
+      }
+
+      if (operation === "retriage" && req.user.role !== "admin") {
+        return res.status(403).json({ message: "Access denied. Insufficient permissions." })
+      }
+
+      const result = await runBulkOperation({ ticketIds, filter, operation, params }, req.user)
+
+      res.json(result)
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      logger.error("Bulk operation error:", error)
+      res.status(500).json({ message: "Server error" })
     }
+  },
+)
 
-    const tickets = await Ticket.find(filter)
-      .populate("createdBy", "name email")
-      .populate("assignee", "name email")
-      .sort({ updatedAt: -1 })
-      .limit(50)
+// @desc    Get SLA report (tickets in breach or at risk)
+// @route   GET /api/tickets/sla
+// @access  Private (Agent/Admin)
+router.get("/sla", auth, authorize("agent", "admin"), async (req, res) => {
+  try {
+    const report = await getSlaReport()
 
-    res.json(tickets)
+    res.json(report)
   } catch (error) {
-    logger.error("Tickets fetch error:", error)
+    logger.error("SLA report error:", error)
     res.status(500).json({ message: "Server error" })
   }
 })
@@ -105,11 +296,14 @@ router.get("/:id", auth, async (req, res) => {
       return res.status(400).json({ message: "Invalid ticket ID" })
     }
 
-    const ticket = await Ticket.findById(req.params.id)
+    const query = Ticket.findById(req.params.id)
       .populate("createdBy", "name email")
       .populate("assignee", "name email")
       .populate("replies.author", "name email")
-      .populate("agentSuggestionId")
+    if (canSeeInternal(req.user)) {
+      query.populate("agentSuggestionId")
+    }
+    const ticket = await query
 
     if (!ticket) {
       return res.status(404).json({ message: "Ticket not found" })
@@ -120,13 +314,57 @@ router.get("/:id", auth, async (req, res) => {
       return res.status(403).json({ message: "Access denied" })
     }
 
-    res.json(ticket)
+    res.json(ticketForUser(ticket, req.user))
   } catch (error) {
     logger.error("Ticket fetch error:", error)
     res.status(500).json({ message: "Server error" })
   }
 })
 
+// @desc    Download ticket or reply attachment
+// @route   GET /api/tickets/:id/attachments/:attachmentId
+// @access  Private
+router.get("/:id/attachments/:attachmentId", auth, async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: "Invalid ticket ID" })
+    }
+
+    const ticket = await Ticket.findById(req.params.id)
+    if (!ticket) {
+      return res.status(404).json({ message: "Ticket not found" })
+    }
+
+    // Check access permissions
+    if (req.user.role === "user" && ticket.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    const attachment = visibleAttachments(ticket, req.user).find((a) => a._id.toString() === req.params.attachmentId)
+    if (!attachment) {
+      return res.status(404).json({ message: "Attachment not found" })
+    }
+
+    const stream = getStorage().createReadStream(attachment.storageKey)
+    stream.on("error", (error) => {
+      logger.error("Attachment read error:", error)
+      if (!res.headersSent) {
+        res.status(404).json({ message: "Attachment not found" })
+      }
+    })
+
+    res.attachment(attachment.filename)
+    res.set({
+      "Content-Type": attachment.mimeType,
+      "Content-Length": attachment.size,
+    })
+    stream.pipe(res)
+  } catch (error) {
+    logger.error("Attachment download error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
 // @desc    Add reply to ticket
 // @route   POST /api/tickets/:id/reply
 // @access  Private (Agent/Admin)
@@ -135,11 +373,9 @@ router.post(
   [
     auth,
     authorize("agent", "admin"),
+    uploadAttachments(),
     body("content").trim().isLength({ min: 1 }).withMessage("Reply content is required"),
-    body("status")
-      .optional()
-      .isIn(["open", "triaged", "waiting_human", "resolved", "closed"])
-      .withMessage("Invalid status"),
+    body("status").optional().isIn(TICKET_STATUSES).withMessage("Invalid status"),
   ],
   async (req, res) => {
     try {
@@ -156,41 +392,184 @@ router.post(
         return res.status(404).json({ message: "Ticket not found" })
       }
 
-      // Add reply
-      ticket.replies.push({
-        content,
-        author: req.user._id,
-        isAgent: true,
-        timestamp: new Date(),
-      })
+      await withStoredAttachments(req.files, req.user._id, ticket, (attachments) =>
+        replyToTicket(ticket, { content, status, attachments }, { user: req.user, traceId }),
+      )
+
+      await ticket.populate("createdBy", "name email")
+      await ticket.populate("assignee", "name email")
+      await ticket.populate("replies.author", "name email")
+
+      logger.info(`Reply added to ticket ${ticket._id} by ${req.user.email}`, { ticketId: ticket._id, traceId })
+      res.json(ticket)
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      logger.error("Reply error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
 
-      // Update status if provided
-      if (status) {
-        ticket.status = status
+// @desc    Add internal note to ticket (never shown to the requester)
+// @route   POST /api/tickets/:id/notes
+// @access  Private (Agent/Admin)
+router.post(
+  "/:id/notes",
+  [
+    auth,
+    authorize("agent", "admin"),
+    uploadAttachments(),
+    body("content").trim().isLength({ min: 1 }).withMessage("Note content is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
       }
 
-      await ticket.save()
+      const { content } = req.body
+      const traceId = uuidv4()
+
+      const ticket = await Ticket.findById(req.params.id)
+      if (!ticket) {
+        return res.status(404).json({ message: "Ticket not found" })
+      }
+
+      await withStoredAttachments(req.files, req.user._id, ticket, (attachments) => {
+        ticket.replies.push({
+          content,
+          author: req.user._id,
+          isAgent: true,
+          visibility: "internal",
+          attachments,
+          timestamp: new Date(),
+        })
+        return ticket.save()
+      })
+
+      const note = ticket.replies[ticket.replies.length - 1]
 
-      // Log reply
       await new AuditLog({
         ticketId: ticket._id,
         traceId,
         actor: "agent",
-        action: "REPLY_SENT",
+        action: "INTERNAL_NOTE_ADDED",
         meta: {
           agentId: req.user._id,
+          noteId: note._id,
+        },
+      }).save()
+
+      await ticket.populate("createdBy", "name email")
+      await ticket.populate("assignee", "name email")
+      await ticket.populate("replies.author", "name email")
+
+      logger.info(`Internal note added to ticket ${ticket._id} by ${req.user.email}`, { ticketId: ticket._id, traceId })
+      res.status(201).json(ticket)
+    } catch (error) {
+      logger.error("Internal note error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @desc    Add requester reply to own ticket (reopens resolved tickets)
+// @route   POST /api/tickets/:id/requester-reply
+// @access  Private (Ticket creator)
+router.post(
+  "/:id/requester-reply",
+  [
+    auth,
+    uploadAttachments(),
+    body("content").trim().isLength({ min: 1 }).withMessage("Reply content is required"),
+    body("retriage").optional().isBoolean().withMessage("retriage must be boolean"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { content } = req.body
+      const retriage = req.body.retriage === true || req.body.retriage === "true"
+      const traceId = uuidv4()
+
+      const ticket = await Ticket.findById(req.params.id)
+      if (!ticket) {
+        return res.status(404).json({ message: "Ticket not found" })
+      }
+
+      if (ticket.createdBy.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ message: "Access denied" })
+      }
+
+      if (ticket.status === "closed") {
+        return res.status(409).json({ message: "Closed tickets cannot be reopened" })
+      }
+
+      const previousStatus = ticket.status
+
+      // A re-triaged ticket starts over from open; otherwise a reply on a resolved
+      // ticket means the answer didn't help, so it goes back to a human.
+      let nextStatus = ticket.status
+      if (retriage) {
+        nextStatus = "open"
+      } else if (ticket.status === "resolved") {
+        nextStatus = "waiting_human"
+      }
+
+      await withStoredAttachments(req.files, req.user._id, ticket, (attachments) => {
+        ticket.replies.push({
+          content,
+          author: req.user._id,
+          isAgent: false,
+          attachments,
+          timestamp: new Date(),
+        })
+        return changeStatus(ticket, nextStatus, {
+          actor: "user",
+          traceId,
+          userId: req.user._id,
+          reason: "requester_reply",
+        })
+      })
+
+      await new AuditLog({
+        ticketId: ticket._id,
+        traceId,
+        actor: "user",
+        action: "REQUESTER_REPLIED",
+        meta: {
+          userId: req.user._id,
+          previousStatus,
           newStatus: ticket.status,
+          retriage,
         },
       }).save()
 
+      if (retriage) {
+        // The requester is pushing back on an answer, so never auto-close again
+        await triggerTriage(ticket._id, traceId, { autoClose: false })
+      }
+
       await ticket.populate("createdBy", "name email")
       await ticket.populate("assignee", "name email")
       await ticket.populate("replies.author", "name email")
 
-      logger.info(`Reply added to ticket ${ticket._id} by ${req.user.email}`, { ticketId: ticket._id, traceId })
-      res.json(ticket)
+      logger.info(`Requester reply added to ticket ${ticket._id} by ${req.user.email}`, {
+        ticketId: ticket._id,
+        traceId,
+      })
+      res.json(ticketForUser(ticket, req.user))
     } catch (error) {
-      logger.error("Reply error:", error)
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      logger.error("Requester reply error:", error)
       res.status(500).json({ message: "Server error" })
     }
   },
@@ -217,37 +596,265 @@ router.post(
         return res.status(404).json({ message: "Ticket not found" })
       }
 
-      ticket.assignee = assigneeId
-      ticket.status = "waiting_human"
+      await assignTicket(ticket, assigneeId, { user: req.user, traceId })
+
+      await ticket.populate("createdBy", "name email")
+      await ticket.populate("assignee", "name email")
+
+      logger.info(`Ticket ${ticket._id} assigned to ${assigneeId} by ${req.user.email}`, {
+        ticketId: ticket._id,
+        traceId,
+      })
+      res.json(ticketForUser(ticket, req.user))
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      logger.error("Assignment error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @desc    Change ticket status
+// @route   PATCH /api/tickets/:id/status
+// @access  Private (Ticket creator/Agent/Admin, subject to the status transition table)
+router.patch(
+  "/:id/status",
+  [
+    auth,
+    body("status").isIn(TICKET_STATUSES).withMessage("Invalid status"),
+    body("reason").optional().trim().isLength({ max: 500 }).withMessage("Reason cannot be more than 500 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { status, reason } = req.body
+      const traceId = uuidv4()
+
+      const ticket = await Ticket.findById(req.params.id)
+      if (!ticket) {
+        return res.status(404).json({ message: "Ticket not found" })
+      }
+
+      if (req.user.role === "user" && ticket.createdBy.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ message: "Access denied" })
+      }
+
+      if (status === ticket.status) {
+        return res.status(409).json({ message: `Ticket is already ${status}` })
+      }
+
+      const actor = actorForRole(req.user.role)
+      await changeStatus(ticket, status, { actor, traceId, userId: req.user._id, reason })
+
+      await ticket.populate("createdBy", "name email")
+      await ticket.populate("assignee", "name email")
+
+      logger.info(`Ticket ${ticket._id} status changed to ${status} by ${req.user.email}`, {
+        ticketId: ticket._id,
+        traceId,
+      })
+      res.json(ticketForUser(ticket, req.user))
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      logger.error("Status change error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @desc    Change ticket priority
+// @route   PATCH /api/tickets/:id/priority
+// @access  Private (Ticket creator/Agent/Admin)
+router.patch(
+  "/:id/priority",
+  [auth, body("priority").isIn(TICKET_PRIORITIES).withMessage("Invalid priority")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { priority } = req.body
+      const traceId = uuidv4()
+
+      const ticket = await Ticket.findById(req.params.id)
+      if (!ticket) {
+        return res.status(404).json({ message: "Ticket not found" })
+      }
+
+      if (req.user.role === "user" && ticket.createdBy.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ message: "Access denied" })
+      }
+
+      const previousPriority = ticket.priority
+      const actor = actorForRole(req.user.role)
+
+      ticket.priority = priority
+      ticket.prioritySource = actor === "user" ? "requester" : "agent"
+
+      const config = (await Config.findOne()) || new Config()
+      applySlaDueDates(ticket, config)
+
       await ticket.save()
 
-      // Log assignment
       await new AuditLog({
         ticketId: ticket._id,
         traceId,
-        actor: "agent",
-        action: "TICKET_ASSIGNED",
+        actor,
+        action: "PRIORITY_CHANGED",
         meta: {
-          assignedBy: req.user._id,
-          assignedTo: assigneeId,
+          userId: req.user._id,
+          from: previousPriority,
+          to: priority,
         },
       }).save()
 
       await ticket.populate("createdBy", "name email")
       await ticket.populate("assignee", "name email")
 
-      logger.info(`Ticket ${ticket._id} assigned to ${assigneeId} by ${req.user.email}`, {
+      logger.info(`Ticket ${ticket._id} priority set to ${priority} by ${req.user.email}`, {
         ticketId: ticket._id,
         traceId,
       })
-      res.json(ticket)
+      res.json(ticketForUser(ticket, req.user))
     } catch (error) {
-      logger.error("Assignment error:", error)
+      logger.error("Priority change error:", error)
       res.status(500).json({ message: "Server error" })
     }
   },
 )
 
+// @desc    Merge a duplicate ticket into a primary ticket
+// @route   POST /api/tickets/:id/merge
+// @access  Private (Agent/Admin)
+router.post(
+  "/:id/merge",
+  [auth, authorize("agent", "admin"), body("primaryTicketId").isMongoId().withMessage("Valid primary ticket ID is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { primaryTicketId } = req.body
+      const traceId = uuidv4()
+
+      if (primaryTicketId === req.params.id) {
+        return res.status(400).json({ message: "A ticket cannot be merged into itself" })
+      }
+
+      const [duplicate, primary] = await Promise.all([Ticket.findById(req.params.id), Ticket.findById(primaryTicketId)])
+      if (!duplicate || !primary) {
+        return res.status(404).json({ message: "Ticket not found" })
+      }
+
+      if (duplicate.mergedInto) {
+        return res.status(409).json({ message: `Ticket was already merged into ${duplicate.mergedInto}` })
+      }
+      if (primary.status === "closed" || primary.mergedInto) {
+        return res.status(409).json({ message: "Cannot merge into a closed ticket" })
+      }
+
+      await mergeTickets(duplicate, primary, { userId: req.user._id, traceId })
+
+      await primary.populate("createdBy", "name email")
+      await primary.populate("assignee", "name email")
+      await primary.populate("replies.author", "name email")
+
+      logger.info(`Ticket ${duplicate._id} merged into ${primary._id} by ${req.user.email}`, {
+        ticketId: primary._id,
+        traceId,
+      })
+      res.json(primary)
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      logger.error("Merge error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @desc    Update ticket tags and custom fields
+// @route   PATCH /api/tickets/:id
+// @access  Private (Ticket creator/Agent/Admin)
+router.patch("/:id", [auth, ...ticketFieldValidators], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const { tags } = req.body
+    const traceId = uuidv4()
+
+    const ticket = await Ticket.findById(req.params.id)
+    if (!ticket) {
+      return res.status(404).json({ message: "Ticket not found" })
+    }
+
+    if (req.user.role === "user" && ticket.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    const changes = {}
+
+    if (req.body.customFields !== undefined) {
+      const customFields = validateCustomFields(req.body.customFields, await getActiveDefinitions(), { partial: true })
+      if (customFields.errors.length > 0) {
+        return res.status(400).json({ errors: customFields.errors })
+      }
+
+      for (const [key, value] of Object.entries(customFields.values)) {
+        if (value === null) {
+          ticket.customFields.delete(key)
+        } else {
+          ticket.customFields.set(key, value)
+        }
+      }
+      changes.customFields = customFields.values
+    }
+
+    if (tags !== undefined) {
+      changes.tags = { from: [...ticket.tags], to: tags }
+      ticket.tags = tags
+    }
+
+    await ticket.save()
+
+    await new AuditLog({
+      ticketId: ticket._id,
+      traceId,
+      actor: actorForRole(req.user.role),
+      action: "TICKET_UPDATED",
+      meta: {
+        userId: req.user._id,
+        changes,
+      },
+    }).save()
+
+    await ticket.populate("createdBy", "name email")
+    await ticket.populate("assignee", "name email")
+
+    logger.info(`Ticket ${ticket._id} updated by ${req.user.email}`, { ticketId: ticket._id, traceId })
+    res.json(ticketForUser(ticket, req.user))
+  } catch (error) {
+    logger.error("Ticket update error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
 // @desc    Get tickets audit logs
 // @route   GET /api/tickets/:id/audit
 // @access  Private
@@ -267,9 +874,9 @@ router.get("/:id/audit", auth, async (req, res) => {
       return res.status(403).json({ message: "Access denied" })
     }
 
-    const auditLogs = await AuditLog.find({ ticketId: req.params.id }).sort({ timestamp: -1 }).limit(50)
+    const auditLogs = await AuditLog.find(auditFilterForUser(req.params.id, req.user)).sort({ timestamp: -1 }).limit(50)
 
-    res.json(auditLogs)
+    res.json(auditLogsForUser(auditLogs, req.user))
   } catch (error) {
     logger.error("Audit logs fetch error:", error)
     res.status(500).json({ message: "Server error" })
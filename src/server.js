@@ -6,6 +6,8 @@ require("dotenv").config()
 
 const app = require("./app")
 const logger = require("./config/logger")
+const { startSlaSweeper } = require("./services/sla.service")
+const { startTriageWorker } = require("./services/triageQueue.service")
 
 const PORT = process.env.PORT || 8080
 
@@ -15,6 +17,14 @@ const server = app.listen(PORT, () => {
   logger.info(`Stub Mode: ${process.env.STUB_MODE === "true" ? "enabled" : "disabled"}`)
 })
 
+// Flag SLA breaches in the background
+startSlaSweeper()
+
+// Run queued triage jobs in this process unless a separate worker (npm run worker) handles them
+if (process.env.TRIAGE_WORKER !== "external") {
+  startTriageWorker()
+}
+
 // Handle unhandled promise rejections
 process.on("unhandledRejection", (err, promise) => {
   logger.error("Unhandled Promise Rejection:", err)
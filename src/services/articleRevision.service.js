@@ -0,0 +1,61 @@
+const ArticleRevision = require("../models/ArticleRevision")
+const { diffLines } = require("./suggestionDiff.service")
+
+// KB article history. Revisions are written by the Article save hook; this
+// module reads, compares and restores them.
+
+const listRevisions = (articleId) =>
+  ArticleRevision.find({ articleId }).sort({ revision: -1 }).select("-body").populate("author", "name email")
+
+const getRevision = (articleId, revision) =>
+  ArticleRevision.findOne({ articleId, revision }).populate("author", "name email")
+
+const diffRevisions = (from, to) => {
+  const changes = {}
+
+  if (from.title !== to.title) {
+    changes.title = { from: from.title, to: to.title }
+  }
+  if (from.status !== to.status) {
+    changes.status = { from: from.status, to: to.status }
+  }
+
+  const tags = {
+    added: to.tags.filter((tag) => !from.tags.includes(tag)),
+    removed: from.tags.filter((tag) => !to.tags.includes(tag)),
+  }
+  if (tags.added.length > 0 || tags.removed.length > 0) {
+    changes.tags = tags
+  }
+
+  if (from.body !== to.body) {
+    changes.body = diffLines(from.body, to.body)
+  }
+
+  return {
+    from: { id: from._id, revision: from.revision, createdAt: from.createdAt },
+    to: { id: to._id, revision: to.revision, createdAt: to.createdAt },
+    identical: Object.keys(changes).length === 0,
+    changes,
+  }
+}
+
+// Restoring never rewrites history: the old content is saved as a new revision
+const restoreRevision = async (article, revision, user) => {
+  article.title = revision.title
+  article.body = revision.body
+  article.tags = revision.tags
+  article.status = revision.status
+  article.updatedBy = user._id
+  article.$locals.restoredFrom = revision.revision
+
+  await article.save()
+  return article
+}
+
+module.exports = {
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+}
@@ -0,0 +1,76 @@
+// Decides whether triage may auto-close a ticket. Every rule that blocks it is
+// reported, so the ASSIGNED_TO_HUMAN audit entry says why a human got it.
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// Per-category settings from Config, falling back to the global ones
+const categorySettings = (config, category) => {
+  const rule = config.categoryAutoClose?.get?.(category) || config.categoryAutoClose?.[category] || {}
+  return {
+    enabled: rule.enabled !== false,
+    threshold: rule.confidenceThreshold ?? config.confidenceThreshold,
+  }
+}
+
+// Risky terms present in the ticket text, matched as whole words
+const findRiskyTerms = (text, terms = []) =>
+  terms.filter((term) => term && new RegExp(`\\b${escapeRegExp(term)}\\b`, "i").test(text))
+
+// A draft references an article when it names it: the full title, or most
+// of the title's significant words
+const draftReferencesArticle = (draftReply, article) => {
+  const draft = draftReply.toLowerCase()
+  const title = article.title.toLowerCase().replace(/\s+/g, " ").trim()
+  if (draft.includes(title)) return true
+
+  const words = title.split(/\W+/).filter((word) => word.length > 3)
+  if (words.length === 0) return false
+  return words.filter((word) => draft.includes(word)).length / words.length >= 0.6
+}
+
+const evaluateAutoClose = ({
+  config,
+  options = {},
+  category,
+  confidence,
+  highlyNegative,
+  articles,
+  draftReply,
+  text,
+}) => {
+  const { enabled, threshold } = categorySettings(config, category)
+  const reasons = []
+
+  if (!config.autoCloseEnabled) reasons.push("auto_close_disabled")
+  if (!enabled) reasons.push("category_auto_close_disabled")
+  if (options.autoClose === false) reasons.push("auto_close_suppressed")
+  if (highlyNegative) reasons.push("negative_sentiment")
+  if (confidence < threshold) reasons.push("low_confidence")
+
+  // Grounding: an auto-sent reply must rest on KB articles it actually uses
+  const referenced = articles.filter((article) => draftReferencesArticle(draftReply, article))
+  if (articles.length === 0) {
+    reasons.push("no_citations")
+  } else if (referenced.length === 0) {
+    reasons.push("draft_not_grounded")
+  }
+
+  const riskyTerms = findRiskyTerms(text, config.riskyTerms)
+  if (riskyTerms.length > 0) reasons.push("risky_terms")
+
+  return {
+    allowed: reasons.length === 0,
+    reason: reasons[0] || null,
+    reasons,
+    threshold,
+    referencedArticleIds: referenced.map((article) => article._id),
+    riskyTerms,
+  }
+}
+
+module.exports = {
+  categorySettings,
+  findRiskyTerms,
+  draftReferencesArticle,
+  evaluateAutoClose,
+}
@@ -0,0 +1,79 @@
+const Category = require("../models/Category")
+const logger = require("../config/logger")
+
+// Catch-all category for tickets that match nothing else. Classifiers fall back
+// to it, so it can't be deactivated or deleted.
+const FALLBACK_CATEGORY = "other"
+
+// The categories the app shipped with before they became admin-managed. They
+// are written to an empty collection on first use, so existing tickets keep a
+// valid category, and they are what offline tools use without a database.
+const DEFAULT_CATEGORIES = [
+  {
+    name: "billing",
+    description: "Payment issues, refunds, invoices",
+    keywords: ["refund", "invoice", "payment", "charge", "billing", "money", "cost", "price"],
+  },
+  {
+    name: "tech",
+    description: "Login problems, bugs, errors",
+    keywords: ["error", "bug", "crash", "stack", "login", "password", "technical", "broken"],
+  },
+  {
+    name: "shipping",
+    description: "Delivery, tracking, packages",
+    keywords: ["delivery", "shipment", "package", "tracking", "shipping", "order"],
+  },
+  {
+    name: FALLBACK_CATEGORY,
+    description: "General inquiries",
+    keywords: [],
+  },
+]
+
+let defaultsEnsured = false
+
+const ensureDefaultCategories = async () => {
+  if (defaultsEnsured) return
+  if (!(await Category.exists({}))) {
+    try {
+      await Category.insertMany(DEFAULT_CATEGORIES, { ordered: false })
+      logger.info("Created default ticket categories")
+    } catch (error) {
+      // Another process seeded them at the same time
+      if (error.code !== 11000) throw error
+    }
+  }
+  defaultsEnsured = true
+}
+
+// Categories in creation order, which is also the stub classifier's tie-break order
+const getCategories = async ({ includeInactive = false } = {}) => {
+  await ensureDefaultCategories()
+  return Category.find(includeInactive ? {} : { active: true }).sort({ createdAt: 1, _id: 1 })
+}
+
+const getCategoryNames = async (options) => (await getCategories(options)).map((category) => category.name)
+
+// express-validator custom validator: every given category (a single name, an
+// array or a comma-separated list) must exist. New tickets and corrections need
+// an active category; filters may also name inactive ones.
+const categoryValidator =
+  ({ includeInactive = false } = {}) =>
+  async (value) => {
+    const names = await getCategoryNames({ includeInactive })
+    const values = Array.isArray(value) ? value : String(value).split(",")
+    if (!values.every((name) => names.includes(name))) {
+      throw new Error("Invalid category")
+    }
+    return true
+  }
+
+module.exports = {
+  FALLBACK_CATEGORY,
+  DEFAULT_CATEGORIES,
+  ensureDefaultCategories,
+  getCategories,
+  getCategoryNames,
+  categoryValidator,
+}
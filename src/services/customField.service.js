@@ -0,0 +1,105 @@
+const CustomField = require("../models/CustomField")
+
+const getActiveDefinitions = () => CustomField.find({ active: true }).sort({ key: 1 })
+
+// Convert a raw value (JSON or query string) to the field's type. Returns
+// undefined when the value can't be represented as that type.
+const coerceValue = (definition, value) => {
+  switch (definition.type) {
+    case "number": {
+      const number = typeof value === "number" ? value : Number.parseFloat(value)
+      return Number.isFinite(number) ? number : undefined
+    }
+    case "date": {
+      const date = new Date(value)
+      return Number.isNaN(date.getTime()) ? undefined : date
+    }
+    case "enum":
+      return definition.options.includes(String(value)) ? String(value) : undefined
+    default:
+      return typeof value === "string" || typeof value === "number" ? String(value).trim() : undefined
+  }
+}
+
+// Validate custom field values against the active definitions. On create every
+// required field must be present; on update (partial) only the given keys are
+// checked, but a required field still can't be cleared.
+const validateCustomFields = (values = {}, definitions, { partial = false } = {}) => {
+  const errors = []
+  const result = {}
+  const byKey = new Map(definitions.map((definition) => [definition.key, definition]))
+
+  if (values === null || typeof values !== "object" || Array.isArray(values)) {
+    return { errors: [{ path: "customFields", msg: "customFields must be an object" }], values: result }
+  }
+
+  for (const key of Object.keys(values)) {
+    if (!byKey.has(key)) {
+      errors.push({ path: `customFields.${key}`, msg: `Unknown custom field: ${key}` })
+    }
+  }
+
+  for (const definition of definitions) {
+    const present = Object.prototype.hasOwnProperty.call(values, definition.key)
+    const raw = values[definition.key]
+    const empty = raw === null || raw === undefined || raw === ""
+
+    if (empty) {
+      if (definition.required && (present || !partial)) {
+        errors.push({ path: `customFields.${definition.key}`, msg: `${definition.label} is required` })
+      } else if (present) {
+        result[definition.key] = null
+      }
+      continue
+    }
+
+    const value = coerceValue(definition, raw)
+    if (value === undefined) {
+      const expected = definition.type === "enum" ? `one of ${definition.options.join(", ")}` : `a ${definition.type}`
+      errors.push({ path: `customFields.${definition.key}`, msg: `${definition.label} must be ${expected}` })
+      continue
+    }
+
+    result[definition.key] = value
+  }
+
+  return { errors, values: result }
+}
+
+// Mongo conditions for custom field filters from the ticket list, e.g.
+// ?customFields[orderNumber]=1234
+const buildCustomFieldFilter = (filters, definitions) => {
+  const byKey = new Map(definitions.map((definition) => [definition.key, definition]))
+  const conditions = {}
+
+  for (const [key, raw] of Object.entries(filters)) {
+    const definition = byKey.get(key)
+    const value = definition && coerceValue(definition, raw)
+    if (value === undefined) {
+      const error = new Error(`Invalid custom field filter: ${key}`)
+      error.statusCode = 400
+      throw error
+    }
+    conditions[`customFields.${key}`] = value
+  }
+
+  return conditions
+}
+
+// Human-readable "Label: value" lines for the triage prompt
+const describeCustomFields = (ticket, definitions) => {
+  return definitions
+    .filter((definition) => ticket.customFields?.get(definition.key) != null)
+    .map((definition) => {
+      const value = ticket.customFields.get(definition.key)
+      return `${definition.label}: ${value instanceof Date ? value.toISOString().slice(0, 10) : value}`
+    })
+}
+
+module.exports = {
+  getActiveDefinitions,
+  coerceValue,
+  validateCustomFields,
+  buildCustomFieldFilter,
+  describeCustomFields,
+}
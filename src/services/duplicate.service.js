@@ -0,0 +1,118 @@
+const Ticket = require("../models/Ticket")
+const AuditLog = require("../models/AuditLog")
+const { changeStatus } = require("./ticketStatus.service")
+
+const OPEN_STATUSES = ["open", "triaged", "waiting_human"]
+const MAX_CANDIDATES = 5
+const MAX_SCANNED = 200
+
+// Words too common to say anything about whether two tickets are the same issue
+const STOP_WORDS = new Set(
+  `the a an and or but is are was were be to of in on for with my i me it this that
+  you your we our have has not can please help hi hello thanks`.split(/\s+/),
+)
+
+const tokenize = (text) => {
+  return new Set(
+    text
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((token) => token.length > 1 && !STOP_WORDS.has(token)),
+  )
+}
+
+// Jaccard similarity of two token sets, 0..1
+const similarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0
+
+  let shared = 0
+  for (const token of a) {
+    if (b.has(token)) shared++
+  }
+  return shared / (a.size + b.size - shared)
+}
+
+// Look for open tickets in the recent window that are probably the same issue:
+// anything else open from the same requester, or any ticket with very similar text.
+const findDuplicateCandidates = async (ticket, config) => {
+  const since = new Date(Date.now() - config.duplicateWindowHours * 60 * 60 * 1000)
+
+  const recent = await Ticket.find({
+    _id: { $ne: ticket._id },
+    status: { $in: OPEN_STATUSES },
+    createdAt: { $gte: since },
+  })
+    .select("title description createdBy createdAt")
+    .sort({ createdAt: -1 })
+    .limit(MAX_SCANNED)
+
+  const tokens = tokenize(`${ticket.title} ${ticket.description}`)
+
+  return recent
+    .map((other) => {
+      const score = similarity(tokens, tokenize(`${other.title} ${other.description}`))
+      const sameRequester = other.createdBy.toString() === ticket.createdBy.toString()
+
+      return {
+        ticketId: other._id,
+        score: Number.parseFloat(score.toFixed(2)),
+        reason: score >= config.duplicateSimilarityThreshold ? "similar_text" : "same_requester",
+        sameRequester,
+      }
+    })
+    .filter((candidate) => candidate.sameRequester || candidate.score >= config.duplicateSimilarityThreshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CANDIDATES)
+}
+
+// Fold a duplicate ticket into a primary one. The duplicate's original request and
+// its replies move to the primary in timestamp order, and the duplicate is closed
+// with a link back to the primary. Both tickets must belong to the same
+// requester: the moved replies and attachments become visible to the primary's
+// requester.
+const mergeTickets = async (duplicate, primary, { userId, traceId }) => {
+  if (duplicate.createdBy.toString() !== primary.createdBy.toString()) {
+    throw Object.assign(new Error("Tickets from different requesters cannot be merged"), { statusCode: 409 })
+  }
+
+  const movedReplies = [
+    {
+      content: `[Merged from ticket ${duplicate._id}] ${duplicate.title}\n\n${duplicate.description}`,
+      author: duplicate.createdBy,
+      isAgent: false,
+      attachments: duplicate.attachments.map((a) => a.toObject()),
+      timestamp: duplicate.createdAt,
+    },
+    ...duplicate.replies.map((reply) => reply.toObject()),
+  ]
+
+  primary.replies = [...primary.replies.map((reply) => reply.toObject()), ...movedReplies].sort(
+    (a, b) => new Date(a.timestamp) - new Date(b.timestamp),
+  )
+  await primary.save()
+
+  duplicate.replies = []
+  duplicate.mergedInto = primary._id
+  await changeStatus(duplicate, "closed", { actor: "agent", traceId, userId, reason: "merged" })
+
+  const meta = {
+    primaryTicketId: primary._id,
+    duplicateTicketId: duplicate._id,
+    movedReplies: movedReplies.length,
+    mergedBy: userId,
+  }
+
+  await AuditLog.insertMany([
+    { ticketId: primary._id, traceId, actor: "agent", action: "TICKET_MERGED", meta: { ...meta, role: "primary" } },
+    { ticketId: duplicate._id, traceId, actor: "agent", action: "TICKET_MERGED", meta: { ...meta, role: "duplicate" } },
+  ])
+
+  return primary
+}
+
+module.exports = {
+  tokenize,
+  similarity,
+  findDuplicateCandidates,
+  mergeTickets,
+}
@@ -0,0 +1,213 @@
+const AgentSuggestion = require("../models/AgentSuggestion")
+const Config = require("../models/Config")
+const Ticket = require("../models/Ticket")
+const { triageService } = require("./triage.service")
+const { Redactor } = require("./redaction.service")
+const { getActiveDefinitions } = require("./customField.service")
+const { DEFAULT_CATEGORIES } = require("./category.service")
+
+// Offline evaluation of the classify and retrieveKB triage steps against a
+// labeled dataset (see scripts/eval-triage.js). Each dataset record is
+//   { id, title, description, tags?, text?, category, expectedArticleIds? }
+// where `text` overrides the text built from title/description/tags.
+
+const recordText = (record) =>
+  record.text ||
+  triageService.buildTriageText({
+    title: record.title || "",
+    description: record.description || "",
+    tags: record.tags || [],
+    replies: [],
+  })
+
+// Accuracy and confusion matrix. matrix[label][predicted] counts records.
+const classificationReport = (results) => {
+  const categories = [...new Set(results.flatMap((r) => [r.label, r.predicted]))].sort()
+  const matrix = Object.fromEntries(
+    categories.map((label) => [label, Object.fromEntries(categories.map((predicted) => [predicted, 0]))]),
+  )
+
+  let correct = 0
+  for (const result of results) {
+    matrix[result.label][result.predicted]++
+    if (result.label === result.predicted) correct++
+  }
+
+  const perCategory = categories.map((category) => {
+    const truePositives = matrix[category][category]
+    const labeled = categories.reduce((sum, predicted) => sum + matrix[category][predicted], 0)
+    const predicted = categories.reduce((sum, label) => sum + matrix[label][category], 0)
+    return {
+      category,
+      support: labeled,
+      precision: predicted > 0 ? truePositives / predicted : 0,
+      recall: labeled > 0 ? truePositives / labeled : 0,
+    }
+  })
+
+  return {
+    total: results.length,
+    accuracy: results.length > 0 ? correct / results.length : 0,
+    categories,
+    matrix,
+    perCategory,
+  }
+}
+
+// Reliability table: records bucketed by confidence, with the accuracy actually
+// achieved in each bucket, plus the expected calibration error (ECE)
+const calibrationTable = (results, bins = 10) => {
+  const buckets = Array.from({ length: bins }, (_, i) => ({
+    from: i / bins,
+    to: (i + 1) / bins,
+    count: 0,
+    correct: 0,
+    confidenceSum: 0,
+  }))
+
+  for (const result of results) {
+    const bucket = buckets[Math.min(bins - 1, Math.floor(result.confidence * bins))]
+    bucket.count++
+    bucket.confidenceSum += result.confidence
+    if (result.label === result.predicted) bucket.correct++
+  }
+
+  const rows = buckets.map(({ from, to, count, correct, confidenceSum }) => ({
+    from,
+    to,
+    count,
+    avgConfidence: count > 0 ? confidenceSum / count : null,
+    accuracy: count > 0 ? correct / count : null,
+  }))
+
+  const ece = rows.reduce(
+    (sum, row) =>
+      row.count > 0 ? sum + (row.count / results.length) * Math.abs(row.accuracy - row.avgConfidence) : sum,
+    0,
+  )
+
+  return { rows, ece }
+}
+
+// Share of records with expected articles that have at least one of them in
+// the top k retrieved, for each k
+const hitRateAtK = (results, ks) => {
+  const judged = results.filter((r) => r.expectedArticleIds && r.expectedArticleIds.length > 0)
+
+  return {
+    judged: judged.length,
+    hitRate: Object.fromEntries(
+      ks.map((k) => {
+        const hits = judged.filter((r) => r.retrievedIds.slice(0, k).some((id) => r.expectedArticleIds.includes(id)))
+        return [k, judged.length > 0 ? hits.length / judged.length : null]
+      }),
+    ),
+  }
+}
+
+// Run classify (and retrieveKB for records with expected articles) over a
+// dataset. Retrieval uses the predicted category, as the live pipeline does.
+// The provider is called directly, without the pipeline's stub fallback, so a
+// failing provider aborts the run instead of silently scoring the stub.
+const evaluateDataset = async (
+  records,
+  provider,
+  { categories = DEFAULT_CATEGORIES, ks = [1, 3], bins = 10, retrieval = true } = {},
+) => {
+  const results = []
+
+  for (const record of records) {
+    const text = recordText(record)
+    const classification = await provider.classify(text, categories)
+
+    const result = {
+      id: record.id,
+      label: record.category,
+      predicted: classification.predictedCategory,
+      confidence: classification.confidence,
+      expectedArticleIds: (record.expectedArticleIds || []).map(String),
+      retrievedIds: [],
+    }
+
+    if (retrieval && result.expectedArticleIds.length > 0) {
+      const hits = await triageService.retrieveKB(text, classification.predictedCategory, record.tags || [])
+      result.retrievedIds = hits.map((hit) => hit.article._id.toString())
+    }
+
+    results.push(result)
+  }
+
+  return {
+    provider: { name: provider.name, model: provider.model },
+    classification: classificationReport(results),
+    calibration: calibrationTable(results, bins),
+    retrieval: retrieval ? hitRateAtK(results, ks) : null,
+    results,
+  }
+}
+
+// Build dataset records from real tickets whose suggestion got agent feedback.
+// The label is the agent's corrected category, or the predicted one when the
+// draft was sent without a correction; rejected suggestions without a
+// correction carry no label and are skipped. Articles cited by a sent draft
+// become the expected articles. Ticket text is redacted the way triage redacts
+// it for the provider, so the dataset holds no PII.
+const exportFeedbackDataset = async ({ since } = {}) => {
+  const filter = { "feedback.action": { $exists: true } }
+  if (since) {
+    filter["feedback.createdAt"] = { $gte: new Date(since) }
+  }
+
+  const suggestions = await AgentSuggestion.find(filter).sort({ ticketId: 1, version: -1 }).lean()
+  const definitions = await getActiveDefinitions()
+  const { redactionDetectors } = (await Config.findOne()) || new Config()
+
+  const records = []
+  const seen = new Set()
+  for (const suggestion of suggestions) {
+    const ticketKey = suggestion.ticketId.toString()
+    if (seen.has(ticketKey)) continue
+    seen.add(ticketKey)
+
+    const { action, correctedCategory } = suggestion.feedback
+    const sent = action !== "rejected"
+    const category = correctedCategory || (sent ? suggestion.predictedCategory : null)
+    if (!category) continue
+
+    const ticket = await Ticket.findById(suggestion.ticketId)
+    if (!ticket) continue
+
+    const redactor = new Redactor(redactionDetectors)
+    records.push({
+      id: ticketKey,
+      title: redactor.redact(ticket.title),
+      description: redactor.redact(ticket.description),
+      tags: ticket.tags,
+      // Replies are left out: they include the reply sent from this suggestion
+      text: redactor.redact(
+        triageService.buildTriageText(
+          {
+            title: ticket.title,
+            description: ticket.description,
+            tags: ticket.tags,
+            customFields: ticket.customFields,
+            replies: [],
+          },
+          definitions,
+        ),
+      ),
+      category,
+      expectedArticleIds: sent ? suggestion.articleIds.map(String) : [],
+    })
+  }
+
+  return records
+}
+
+module.exports = {
+  classificationReport,
+  calibrationTable,
+  hitRateAtK,
+  evaluateDataset,
+  exportFeedbackDataset,
+}
@@ -0,0 +1,45 @@
+// Identify an upload from its leading bytes rather than the MIME type the client
+// claims. Only types listed here can be recognised, so only they can be allowed
+// as attachments (see Config.attachmentAllowedMimeTypes).
+const SIGNATURES = [
+  { mimeType: "image/png", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38, 0x37, 0x61] },
+  { mimeType: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38, 0x39, 0x61] },
+  // RIFF container, then "WEBP" at offset 8
+  { mimeType: "image/webp", bytes: [0x52, 0x49, 0x46, 0x46], at: { 8: [0x57, 0x45, 0x42, 0x50] } },
+  { mimeType: "application/pdf", bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+]
+
+const SNIFFABLE_MIME_TYPES = [...new Set(SIGNATURES.map((signature) => signature.mimeType)), "text/plain"]
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte)
+
+// Plain text has no signature: accept valid UTF-8 without NUL bytes
+const isText = (buffer) => {
+  if (buffer.includes(0)) return false
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(buffer)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+// The MIME type of the content, or null when it isn't one we can recognise
+const sniffMimeType = (buffer) => {
+  const signature = SIGNATURES.find(
+    ({ bytes, at = {} }) =>
+      startsWith(buffer, bytes) &&
+      Object.entries(at).every(([offset, more]) => startsWith(buffer, more, Number(offset))),
+  )
+  if (signature) return signature.mimeType
+
+  return isText(buffer) ? "text/plain" : null
+}
+
+module.exports = {
+  SNIFFABLE_MIME_TYPES,
+  sniffMimeType,
+}
@@ -0,0 +1,180 @@
+const Article = require("../models/Article")
+const ArticleVote = require("../models/ArticleVote")
+const AgentSuggestion = require("../models/AgentSuggestion")
+const AuditLog = require("../models/AuditLog")
+const Ticket = require("../models/Ticket")
+
+// KB article helpfulness votes and the deflection report: how often each
+// article is read, cited, voted helpful, and how often the tickets it
+// auto-closed came back.
+
+const ANALYTICS_SORTS = ["views", "citations", "helpfulness", "reopenRate"]
+
+const voteError = (message, statusCode) => Object.assign(new Error(message), { statusCode })
+
+// Record (or change) a user's vote on an article. A vote with a ticket comes
+// from that ticket's requester, and only counts for articles cited on it.
+const recordVote = async (article, user, { helpful, ticketId }) => {
+  let source = "reader"
+
+  if (ticketId) {
+    const ticket = await Ticket.findById(ticketId).select("createdBy")
+    if (!ticket) {
+      throw voteError("Ticket not found", 404)
+    }
+    if (ticket.createdBy.toString() !== user._id.toString()) {
+      throw voteError("Access denied", 403)
+    }
+    if (!(await AgentSuggestion.exists({ ticketId, articleIds: article._id }))) {
+      throw voteError("Article was not cited on this ticket", 400)
+    }
+    source = "requester"
+  }
+
+  return ArticleVote.findOneAndUpdate(
+    { articleId: article._id, user: user._id },
+    { helpful, source, ticketId: ticketId || null },
+    { upsert: true, new: true, setDefaultsOnInsert: true },
+  )
+}
+
+// Helpful / not helpful counts for one article, by source
+const getVoteSummary = async (articleId) => {
+  const groups = await ArticleVote.aggregate([
+    { $match: { articleId } },
+    { $group: { _id: { source: "$source", helpful: "$helpful" }, count: { $sum: 1 } } },
+  ])
+
+  const summary = { helpful: 0, notHelpful: 0, bySource: {} }
+  for (const { _id, count } of groups) {
+    const key = _id.helpful ? "helpful" : "notHelpful"
+    summary[key] += count
+    summary.bySource[_id.source] = summary.bySource[_id.source] || { helpful: 0, notHelpful: 0 }
+    summary.bySource[_id.source][key] += count
+  }
+  return summary
+}
+
+const compareBy = (sort) => (a, b) => {
+  // Articles without data for the metric (no votes, nothing auto-closed) go last
+  if (a[sort] === null || b[sort] === null) return (a[sort] === null) - (b[sort] === null)
+  // A low reopen rate is the good end
+  return sort === "reopenRate" ? a[sort] - b[sort] : b[sort] - a[sort]
+}
+
+const dateRange = (field, { from, to }) => {
+  const range = {}
+  if (from) range.$gte = new Date(from)
+  if (to) range.$lte = new Date(to)
+  return Object.keys(range).length > 0 ? { [field]: range } : {}
+}
+
+const votesByArticle = (period) =>
+  ArticleVote.aggregate([
+    { $match: dateRange("updatedAt", period) },
+    {
+      $group: {
+        _id: "$articleId",
+        helpful: { $sum: { $cond: ["$helpful", 1, 0] } },
+        notHelpful: { $sum: { $cond: ["$helpful", 0, 1] } },
+      },
+    },
+  ])
+
+// articleIds rather than citations: suggestions made before citations were
+// recorded only have the former
+const citationsByArticle = (period) =>
+  AgentSuggestion.aggregate([
+    { $match: dateRange("createdAt", period) },
+    { $unwind: "$articleIds" },
+    { $group: { _id: "$articleIds", citations: { $sum: 1 }, tickets: { $addToSet: "$ticketId" } } },
+    { $project: { citations: 1, citedTickets: { $size: "$tickets" } } },
+  ])
+
+// A ticket auto-closed as resolved counts as reopened when it later moves
+// from resolved back to open or to a human
+const deflectionByArticle = (period) =>
+  AgentSuggestion.aggregate([
+    { $match: { autoClosed: true, ...dateRange("createdAt", period) } },
+    {
+      $lookup: {
+        from: AuditLog.collection.name,
+        let: { ticketId: "$ticketId", closedAt: "$createdAt" },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $and: [{ $eq: ["$ticketId", "$$ticketId"] }, { $gt: ["$timestamp", "$$closedAt"] }] },
+              action: "STATUS_CHANGED",
+              "meta.from": "resolved",
+              "meta.to": { $in: ["open", "waiting_human"] },
+            },
+          },
+          { $limit: 1 },
+          { $project: { _id: 1 } },
+        ],
+        as: "reopens",
+      },
+    },
+    { $unwind: "$articleIds" },
+    {
+      $group: {
+        _id: "$articleIds",
+        autoClosed: { $sum: 1 },
+        reopened: { $sum: { $cond: [{ $gt: [{ $size: "$reopens" }, 0] }, 1, 0] } },
+      },
+    },
+  ])
+
+// Per-article report. Votes, citations and auto-closes are counted in MongoDB,
+// limited to the from/to period when given; views are a running total.
+const getArticleAnalytics = async ({ sort = "views", limit = 50, from, to } = {}) => {
+  const period = { from, to }
+  const [articles, votes, citations, deflections] = await Promise.all([
+    Article.find().select("title status views").lean(),
+    votesByArticle(period),
+    citationsByArticle(period),
+    deflectionByArticle(period),
+  ])
+
+  const byArticle = (groups) => new Map(groups.map((group) => [group._id.toString(), group]))
+  const votesById = byArticle(votes)
+  const citationsById = byArticle(citations)
+  const deflectionsById = byArticle(deflections)
+
+  const report = articles.map((article) => {
+    const id = article._id.toString()
+    const { helpful = 0, notHelpful = 0 } = votesById.get(id) || {}
+    const { citations = 0, citedTickets = 0 } = citationsById.get(id) || {}
+    const { autoClosed = 0, reopened = 0 } = deflectionsById.get(id) || {}
+
+    return {
+      articleId: article._id,
+      title: article.title,
+      status: article.status,
+      views: article.views || 0,
+      citations,
+      citedTickets,
+      helpful,
+      notHelpful,
+      helpfulness: helpful + notHelpful > 0 ? helpful / (helpful + notHelpful) : null,
+      autoClosed,
+      reopened,
+      reopenRate: autoClosed > 0 ? reopened / autoClosed : null,
+    }
+  })
+
+  return {
+    sort,
+    from: from || null,
+    to: to || null,
+    total: report.length,
+    articles: report.sort(compareBy(sort)).slice(0, limit),
+  }
+}
+
+module.exports = {
+  ANALYTICS_SORTS,
+  recordVote,
+  getVoteSummary,
+  getArticleAnalytics,
+}
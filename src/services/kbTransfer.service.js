@@ -0,0 +1,292 @@
+const fs = require("fs/promises")
+const path = require("path")
+const AdmZip = require("adm-zip")
+const yaml = require("js-yaml")
+const mongoose = require("mongoose")
+const Article = require("../models/Article")
+
+// Bulk import and export of KB articles. Sources are Markdown files with YAML
+// front-matter (title, tags, status, optionally slug) or JSON arrays of
+// { slug, title, body, tags, status }, given as single files, a zip or a
+// directory. Articles are matched by slug; a Markdown file without one in its
+// front-matter gets it from its path, so re-importing the same tree updates
+// rather than duplicates.
+
+const EXPORT_FORMATS = ["json", "markdown"]
+const ARTICLE_FIELDS = ["title", "body", "tags", "status"]
+
+// Uncompressed size limits for zip imports, checked against each entry's
+// declared size before it is inflated (adm-zip never inflates past that size),
+// so a small upload can't expand into something that exhausts memory
+const ZIP_ENTRY_MAX_BYTES = 5 * 1024 * 1024
+const ZIP_TOTAL_MAX_BYTES = 50 * 1024 * 1024
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/
+
+const isMarkdown = (file) => /\.(md|markdown)$/i.test(file)
+const isJson = (file) => /\.json$/i.test(file)
+
+// Files worth reading: Markdown or JSON, no hidden files or zip metadata
+const isImportable = (file) =>
+  (isMarkdown(file) || isJson(file)) && !file.split("/").some((part) => part.startsWith(".") || part === "__MACOSX")
+
+const transferError = (message, statusCode) => Object.assign(new Error(message), { statusCode })
+
+const slugFromPath = (file) => Article.slugify(file.replace(/\.[^./]+$/, "").replace(/\//g, "-"))
+
+// Entries are { file, content } with "/"-separated paths relative to the source
+const readZip = (buffer) => {
+  const zipEntries = new AdmZip(buffer)
+    .getEntries()
+    .filter((entry) => !entry.isDirectory && isImportable(entry.entryName))
+
+  let total = 0
+  for (const entry of zipEntries) {
+    if (entry.header.size > ZIP_ENTRY_MAX_BYTES) {
+      throw transferError(`${entry.entryName} is larger than ${ZIP_ENTRY_MAX_BYTES / 1024 / 1024} MB`, 413)
+    }
+    total += entry.header.size
+    if (total > ZIP_TOTAL_MAX_BYTES) {
+      throw transferError(`The zip unpacks to more than ${ZIP_TOTAL_MAX_BYTES / 1024 / 1024} MB`, 413)
+    }
+  }
+
+  return zipEntries.map((entry) => ({ file: entry.entryName, content: entry.getData().toString("utf8") }))
+}
+
+const readDirectory = async (dir, prefix = "") => {
+  const entries = []
+  for (const dirent of await fs.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+    const file = prefix ? `${prefix}/${dirent.name}` : dirent.name
+    if (dirent.isDirectory() && !dirent.name.startsWith(".")) {
+      entries.push(...(await readDirectory(dir, file)))
+    } else if (dirent.isFile() && isImportable(file)) {
+      entries.push({ file, content: await fs.readFile(path.join(dir, file), "utf8") })
+    }
+  }
+  return entries.sort((a, b) => a.file.localeCompare(b.file))
+}
+
+// Entries for one uploaded or local file: a zip, or a single Markdown/JSON file
+const readFileEntries = (name, buffer) => {
+  if (/\.zip$/i.test(name)) return readZip(buffer)
+  if (isImportable(name)) return [{ file: name, content: buffer.toString("utf8") }]
+  throw transferError("Import a .zip, .md or .json file", 400)
+}
+
+const parseMarkdown = (file, content) => {
+  const match = content.match(FRONT_MATTER)
+  const meta = match ? yaml.load(match[1]) || {} : {}
+  if (typeof meta !== "object" || Array.isArray(meta)) {
+    throw new Error("Front-matter must be a YAML mapping")
+  }
+
+  const body = (match ? content.slice(match[0].length) : content).trim()
+  const heading = body.match(/^#\s+(.+)$/m)
+
+  return {
+    slug: meta.slug ?? slugFromPath(file),
+    title: meta.title ?? heading?.[1].trim(),
+    tags: meta.tags ?? [],
+    status: meta.status,
+    body,
+  }
+}
+
+// Check a record against the Article schema; returns the normalized fields
+// (trimmed, lowercased tags) or the validation messages. A record without a
+// status keeps it undefined, so an update leaves the article's status alone.
+const validateRecord = (record) => {
+  if (typeof record !== "object" || record === null || Array.isArray(record)) {
+    return { messages: ["Article must be an object"] }
+  }
+  if (typeof record.slug !== "string" || !record.slug.trim()) {
+    return { messages: ["Slug is required"] }
+  }
+  const { tags = [] } = record
+  if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string")) {
+    return { messages: ["Tags must be an array of strings"] }
+  }
+
+  const article = new Article({
+    slug: record.slug,
+    title: record.title,
+    body: record.body,
+    tags,
+    status: record.status,
+    createdBy: new mongoose.Types.ObjectId(),
+  })
+  const error = article.validateSync()
+  if (error) {
+    return { messages: Object.values(error.errors).map((fieldError) => fieldError.message) }
+  }
+
+  return {
+    record: {
+      slug: article.slug,
+      title: article.title,
+      body: article.body,
+      tags: [...article.tags],
+      status: record.status === undefined ? undefined : article.status,
+    },
+  }
+}
+
+// Parse and validate entries. Errors are collected per file (JSON array items
+// as "file[index]"); a slug used twice is an error on the later file.
+const parseEntries = (entries) => {
+  const records = []
+  const errors = []
+  const seen = new Map()
+
+  const add = (file, raw) => {
+    const { record, messages } = validateRecord(raw)
+    if (messages) {
+      errors.push({ file, messages })
+    } else if (seen.has(record.slug)) {
+      errors.push({ file, messages: [`Duplicate slug "${record.slug}" (also in ${seen.get(record.slug)})`] })
+    } else {
+      seen.set(record.slug, file)
+      records.push({ file, record })
+    }
+  }
+
+  for (const { file, content } of entries) {
+    try {
+      if (isJson(file)) {
+        const items = JSON.parse(content)
+        if (!Array.isArray(items)) {
+          throw new Error("JSON file must contain an array of articles")
+        }
+        items.forEach((item, index) => add(`${file}[${index}]`, item))
+      } else {
+        add(file, parseMarkdown(file, content))
+      }
+    } catch (error) {
+      errors.push({ file, messages: [error.message] })
+    }
+  }
+
+  return { records, errors }
+}
+
+const changedFields = (article, record) =>
+  ARTICLE_FIELDS.filter((field) => {
+    if (record[field] === undefined) return false
+    return field === "tags" ? article.tags.join("\n") !== record.tags.join("\n") : article[field] !== record[field]
+  })
+
+// Import entries. With dryRun, or when any file fails validation, nothing is
+// written and the result only reports what would be created, updated and
+// deleted. deleteMissing deletes every article whose slug is not imported; it
+// is refused unless every file parsed and there is at least one article, so an
+// empty or broken import can't wipe the KB. Articles without a slug (created
+// before slugs existed, see scripts/migrate.js) are never matched or deleted.
+const importArticles = async (entries, { user, dryRun = false, deleteMissing = false }) => {
+  const { records, errors } = parseEntries(entries)
+
+  if (deleteMissing && (records.length === 0 || errors.length > 0)) {
+    throw transferError("deleteMissing needs an import with at least one article and no invalid files", 400)
+  }
+
+  const slugs = records.map(({ record }) => record.slug)
+  const existing = new Map((await Article.find({ slug: { $in: slugs } })).map((article) => [article.slug, article]))
+
+  const plan = { created: [], updated: [], unchanged: [], deleted: [] }
+  const writes = []
+
+  for (const { file, record } of records) {
+    const article = existing.get(record.slug)
+    if (!article) {
+      plan.created.push({ slug: record.slug, title: record.title, file })
+      writes.push(() => new Article({ ...record, createdBy: user._id, updatedBy: user._id }).save())
+      continue
+    }
+
+    const changes = changedFields(article, record)
+    if (changes.length === 0) {
+      plan.unchanged.push({ slug: record.slug, file })
+      continue
+    }
+
+    plan.updated.push({ slug: record.slug, title: record.title, file, changes })
+    writes.push(() => {
+      for (const field of changes) article[field] = record[field]
+      article.updatedBy = user._id
+      return article.save()
+    })
+  }
+
+  if (deleteMissing) {
+    const missing = await Article.find({ slug: { $nin: [...slugs, null] } }).select("slug title")
+    for (const article of missing) {
+      plan.deleted.push({ slug: article.slug, title: article.title, articleId: article._id })
+      writes.push(() => Article.deleteOne({ _id: article._id }))
+    }
+  }
+
+  const applied = !dryRun && errors.length === 0
+  if (applied) {
+    for (const write of writes) {
+      await write()
+    }
+  }
+
+  return { dryRun, applied, ...plan, errors }
+}
+
+// Every record has a slug and a status, so re-importing an export matches the
+// same articles and keeps them published. Articles stored without a slug get
+// one from their title, numbered like the Article validate hook does when
+// another article already uses it, so no two records (or zip files) clash.
+const exportArticles = async ({ status } = {}) => {
+  const articles = await Article.find(status ? { status } : {})
+    .sort({ slug: 1 })
+    .lean()
+
+  const taken = new Set(articles.map((article) => article.slug).filter(Boolean))
+  const uniqueSlug = (title) => {
+    const base = Article.slugify(title) || "article"
+    let slug = base
+    for (let n = 2; taken.has(slug); n++) {
+      slug = `${base}-${n}`
+    }
+    taken.add(slug)
+    return slug
+  }
+
+  return articles.map(({ slug, title, body, tags = [], status = "draft" }) => ({
+    slug: slug || uniqueSlug(title),
+    title,
+    body,
+    tags,
+    status,
+  }))
+}
+
+const toMarkdown = ({ slug, title, body, tags, status }) =>
+  `---\n${yaml.dump({ slug, title, tags, status })}---\n\n${body.trim()}\n`
+
+// One Markdown file per article, named after its slug
+const toMarkdownFiles = (records) =>
+  records.map((record) => ({ file: `${record.slug}.md`, content: toMarkdown(record) }))
+
+const buildZip = (files) => {
+  const zip = new AdmZip()
+  for (const { file, content } of files) {
+    zip.addFile(file, Buffer.from(content, "utf8"))
+  }
+  return zip.toBuffer()
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  readZip,
+  readDirectory,
+  readFileEntries,
+  parseEntries,
+  importArticles,
+  exportArticles,
+  toMarkdownFiles,
+  buildZip,
+}
@@ -0,0 +1,51 @@
+const StubProvider = require("./stub.provider")
+const OpenAIProvider = require("./openai.provider")
+const MockHttpProvider = require("./mockHttp.provider")
+const logger = require("../../config/logger")
+
+const PROVIDERS = ["stub", "openai", "mock"]
+
+const stubProvider = new StubProvider()
+const cache = new Map()
+
+const createProvider = (name, { model, baseURL }) => {
+  switch (name) {
+    case "openai": {
+      const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY
+      // A custom base URL may point at a local server that needs no key
+      if (!apiKey && !baseURL) {
+        logger.warn("OpenAI provider selected but no API key is set, using stub provider")
+        return stubProvider
+      }
+      return new OpenAIProvider({ apiKey, baseURL, model })
+    }
+    case "mock":
+      return new MockHttpProvider({ baseURL: baseURL || process.env.LLM_MOCK_URL, model })
+    default:
+      return stubProvider
+  }
+}
+
+// Provider for the current Config. STUB_MODE=true still forces the stub so local
+// and CI runs never reach a real model.
+const getProvider = (config) => {
+  if (process.env.STUB_MODE === "true") {
+    return stubProvider
+  }
+
+  const name = config.llmProvider || "stub"
+  const model = config.llmModel || undefined
+  const baseURL = config.llmBaseUrl || process.env.LLM_BASE_URL || undefined
+
+  const key = `${name}|${model || ""}|${baseURL || ""}`
+  if (!cache.has(key)) {
+    cache.set(key, createProvider(name, { model, baseURL }))
+  }
+  return cache.get(key)
+}
+
+module.exports = {
+  PROVIDERS,
+  stubProvider,
+  getProvider,
+}
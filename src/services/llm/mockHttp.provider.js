@@ -0,0 +1,74 @@
+const { DEFAULT_CATEGORIES } = require("../category.service")
+const { BUILTIN_PROMPTS, buildVariables, renderPrompt } = require("../prompt.service")
+const { parseClassification, parseDraft, parsePriority, parseSentiment } = require("./response")
+
+// Provider that calls a local mock LLM server over HTTP (see scripts/mock-llm-server.js).
+// It exercises the real network path - timeouts, bad responses, fallbacks -
+// without leaving the machine, which makes it the provider to use in tests.
+class MockHttpProvider {
+  constructor({ baseURL, model, timeoutMs = 5000 }) {
+    this.name = "mock"
+    this.model = model || "mock-v1"
+    this.baseURL = (baseURL || "http://localhost:4010").replace(/\/$/, "")
+    this.timeoutMs = timeoutMs
+  }
+
+  async post(path, payload) {
+    const response = await fetch(`${this.baseURL}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ model: this.model, ...payload }),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    })
+
+    if (!response.ok) {
+      throw new Error(`Mock LLM ${path} responded with ${response.status}`)
+    }
+
+    return response.json()
+  }
+
+  // The rendered prompt is sent along so the mock server sees what a real
+  // model would
+  async classify(text, categories = DEFAULT_CATEGORIES, prompt = BUILTIN_PROMPTS.classify) {
+    const result = await this.post("/classify", {
+      text,
+      categories: categories.map(({ name, description, keywords }) => ({ name, description, keywords })),
+      messages: renderPrompt(prompt, buildVariables("classify", { text, categories })),
+    })
+    return { ...parseClassification(result, categories), promptVersion: prompt.version, promptId: prompt._id }
+  }
+
+  async predictPriority(text, prompt = BUILTIN_PROMPTS.priority) {
+    const result = await this.post("/priority", {
+      text,
+      messages: renderPrompt(prompt, buildVariables("priority", { text })),
+    })
+    return { ...parsePriority(result), promptVersion: prompt.version, promptId: prompt._id }
+  }
+
+  async analyzeSentiment(text, prompt = BUILTIN_PROMPTS.sentiment) {
+    const result = await this.post("/sentiment", {
+      text,
+      messages: renderPrompt(prompt, buildVariables("sentiment", { text })),
+    })
+    return { ...parseSentiment(result), promptVersion: prompt.version, promptId: prompt._id }
+  }
+
+  async draft(text, articles, prompt = BUILTIN_PROMPTS.draft) {
+    const result = await this.post("/draft", {
+      text,
+      articles: articles.map((article) => ({
+        id: article._id,
+        title: article.title,
+        body: article.body,
+        passage: article.passage,
+        snippet: article.snippet,
+      })),
+      messages: renderPrompt(prompt, buildVariables("draft", { text, articles })),
+    })
+    return { ...parseDraft(result), promptVersion: prompt.version, promptId: prompt._id }
+  }
+}
+
+module.exports = MockHttpProvider
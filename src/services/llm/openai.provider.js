@@ -0,0 +1,92 @@
+const OpenAI = require("openai")
+
+const { DEFAULT_CATEGORIES } = require("../category.service")
+const { BUILTIN_PROMPTS, buildVariables, renderPrompt } = require("../prompt.service")
+const { parseClassification, parseDraft, parsePriority, parseSentiment } = require("./response")
+
+// Provider for any OpenAI-compatible chat completions API (OpenAI itself, Azure,
+// vLLM, Ollama, LM Studio, ...), selected by base URL and model.
+class OpenAIProvider {
+  // A hung request is cut off after timeoutMs and retried once; after that the
+  // step falls back to the stub provider
+  constructor({ apiKey, baseURL, model, timeoutMs = 20000 }) {
+    this.name = "openai"
+    this.model = model || "gpt-3.5-turbo"
+    this.client = new OpenAI({
+      apiKey: apiKey || "not-needed",
+      baseURL: baseURL || undefined,
+      timeout: timeoutMs,
+      maxRetries: 1,
+    })
+  }
+
+  async complete(messages, { temperature, maxTokens }) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+    })
+
+    return completion.choices[0].message.content
+  }
+
+  // Classify with the given prompt template (the built-in one if none is passed)
+  async classify(text, categories = DEFAULT_CATEGORIES, prompt = BUILTIN_PROMPTS.classify) {
+    const { system, user } = renderPrompt(prompt, buildVariables("classify", { text, categories }))
+    const response = await this.complete(
+      [
+        { role: "system", content: system },
+        { role: "user", content: user },
+      ],
+      { temperature: 0.1, maxTokens: 100 },
+    )
+
+    return {
+      ...parseClassification(JSON.parse(response), categories),
+      promptVersion: prompt.version,
+      promptId: prompt._id,
+    }
+  }
+
+  async predictPriority(text, prompt = BUILTIN_PROMPTS.priority) {
+    const { system, user } = renderPrompt(prompt, buildVariables("priority", { text }))
+    const response = await this.complete(
+      [
+        { role: "system", content: system },
+        { role: "user", content: user },
+      ],
+      { temperature: 0.1, maxTokens: 100 },
+    )
+
+    return { ...parsePriority(JSON.parse(response)), promptVersion: prompt.version, promptId: prompt._id }
+  }
+
+  async analyzeSentiment(text, prompt = BUILTIN_PROMPTS.sentiment) {
+    const { system, user } = renderPrompt(prompt, buildVariables("sentiment", { text }))
+    const response = await this.complete(
+      [
+        { role: "system", content: system },
+        { role: "user", content: user },
+      ],
+      { temperature: 0.1, maxTokens: 100 },
+    )
+
+    return { ...parseSentiment(JSON.parse(response)), promptVersion: prompt.version, promptId: prompt._id }
+  }
+
+  async draft(text, articles, prompt = BUILTIN_PROMPTS.draft) {
+    const { system, user } = renderPrompt(prompt, buildVariables("draft", { text, articles }))
+    const draftReply = await this.complete(
+      [
+        { role: "system", content: system },
+        { role: "user", content: user },
+      ],
+      { temperature: 0.7, maxTokens: 500 },
+    )
+
+    return { ...parseDraft({ draftReply }), promptVersion: prompt.version, promptId: prompt._id }
+  }
+}
+
+module.exports = OpenAIProvider
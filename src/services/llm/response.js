@@ -0,0 +1,64 @@
+// Checks on what a remote model returned before triage relies on it. A field
+// that is missing, of the wrong type or outside its options throws, so runStep
+// falls back to the stub provider instead of storing NaN or an unknown label.
+
+const PRIORITIES = ["low", "normal", "high", "urgent"]
+const SENTIMENTS = ["positive", "neutral", "negative", "very_negative"]
+
+const invalid = (field, value) => new Error(`Invalid ${field} from model: ${JSON.stringify(value)}`)
+
+// A finite number, clamped to [min, max]. Numeric strings are refused rather
+// than coerced.
+const number = (result, field, min, max) => {
+  const value = result?.[field]
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    throw invalid(field, value)
+  }
+  return Math.min(max, Math.max(min, value))
+}
+
+const oneOf = (result, field, options) => {
+  const value = result?.[field]
+  if (!options.includes(value)) {
+    throw invalid(field, value)
+  }
+  return value
+}
+
+const parseClassification = (result, categories) => ({
+  predictedCategory: oneOf(
+    result,
+    "predictedCategory",
+    categories.map((category) => category.name),
+  ),
+  confidence: number(result, "confidence", 0.1, 0.95),
+})
+
+const parsePriority = (result) => ({
+  predictedPriority: oneOf(result, "predictedPriority", PRIORITIES),
+  confidence: number(result, "confidence", 0.1, 0.95),
+})
+
+const parseSentiment = (result) => ({
+  sentiment: oneOf(result, "sentiment", SENTIMENTS),
+  score: number(result, "score", -1, 1),
+  frustration: number(result, "frustration", 0, 1),
+  confidence: number(result, "confidence", 0.1, 0.95),
+})
+
+const parseDraft = (result) => {
+  const draftReply = result?.draftReply
+  if (typeof draftReply !== "string" || draftReply.trim() === "") {
+    throw invalid("draftReply", draftReply)
+  }
+  return { draftReply }
+}
+
+module.exports = {
+  PRIORITIES,
+  SENTIMENTS,
+  parseClassification,
+  parsePriority,
+  parseSentiment,
+  parseDraft,
+}
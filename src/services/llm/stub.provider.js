@@ -0,0 +1,164 @@
+const { DEFAULT_CATEGORIES, FALLBACK_CATEGORY } = require("../category.service")
+
+// Deterministic keyword-based provider. Needs no network access, so it is the
+// default, the fallback when another provider fails, and what tests run against.
+class StubProvider {
+  constructor() {
+    this.name = "stub"
+    this.model = "deterministic-v1"
+  }
+
+  // Classify ticket category by counting each category's keywords in the text
+  async classify(text, categories = DEFAULT_CATEGORIES) {
+    const lowerText = text.toLowerCase()
+
+    let category = FALLBACK_CATEGORY
+    let matchCount = 0
+
+    // Highest match count wins; ties go to the category listed first
+    for (const candidate of categories) {
+      const matches = (candidate.keywords || []).filter((keyword) => lowerText.includes(keyword)).length
+      if (matches > matchCount) {
+        category = candidate.name
+        matchCount = matches
+      }
+    }
+
+    // Calculate confidence based on keyword matches and text length
+    const totalWords = text.split(" ").length
+    const confidence = Math.min(0.95, Math.max(0.3, (matchCount * 2) / Math.max(totalWords, 5)))
+
+    return {
+      predictedCategory: category,
+      confidence: Number.parseFloat(confidence.toFixed(2)),
+    }
+  }
+
+  // Predict ticket priority (urgency) from keywords
+  async predictPriority(text) {
+    const lowerText = text.toLowerCase()
+
+    // Keyword-based urgency heuristics, checked from most to least urgent
+    const urgentKeywords = ["outage", "site is down", "is down", "losing money", "emergency", "critical", "asap", "production"]
+    const highKeywords = ["urgent", "cannot", "can't", "unable", "broken", "charged twice", "failed", "not working"]
+    const lowKeywords = ["how do i", "how can i", "question", "wondering", "feature request", "suggestion", "avatar"]
+
+    const urgentMatches = urgentKeywords.filter((keyword) => lowerText.includes(keyword)).length
+    const highMatches = highKeywords.filter((keyword) => lowerText.includes(keyword)).length
+    const lowMatches = lowKeywords.filter((keyword) => lowerText.includes(keyword)).length
+
+    let predictedPriority = "normal"
+    let matchCount = 0
+
+    if (urgentMatches > 0) {
+      predictedPriority = "urgent"
+      matchCount = urgentMatches
+    } else if (highMatches > 0) {
+      predictedPriority = "high"
+      matchCount = highMatches
+    } else if (lowMatches > 0) {
+      predictedPriority = "low"
+      matchCount = lowMatches
+    }
+
+    const confidence = matchCount === 0 ? 0.5 : Math.min(0.95, 0.6 + matchCount * 0.15)
+
+    return {
+      predictedPriority,
+      confidence: Number.parseFloat(confidence.toFixed(2)),
+    }
+  }
+
+  // Score sentiment and frustration from a weighted lexicon plus "shouting"
+  // signals (repeated exclamation marks, words in capitals)
+  async analyzeSentiment(text) {
+    const lowerText = text.toLowerCase()
+
+    const negativeTerms = {
+      unacceptable: 3,
+      furious: 3,
+      worst: 3,
+      scam: 3,
+      incompetent: 3,
+      lawyer: 3,
+      ridiculous: 2,
+      terrible: 2,
+      awful: 2,
+      horrible: 2,
+      angry: 2,
+      frustrated: 2,
+      frustrating: 2,
+      useless: 2,
+      hate: 2,
+      "fed up": 2,
+      "sick of": 2,
+      "waste of": 2,
+      disappointed: 1,
+      annoyed: 1,
+      "still not": 1,
+      "again and again": 1,
+      "no one": 1,
+    }
+    const positiveTerms = ["thank", "great", "love", "appreciate", "happy", "awesome", "excellent", "please"]
+
+    const negative = Object.entries(negativeTerms)
+      .filter(([term]) => lowerText.includes(term))
+      .reduce((sum, [, weight]) => sum + weight, 0)
+    const positive = positiveTerms.filter((term) => lowerText.includes(term)).length
+
+    const exclamations = (text.match(/!{2,}/g) || []).length
+    const shouting = (text.match(/\b[A-Z]{3,}\b/g) || []).length >= 2 ? 1 : 0
+
+    const score = (positive - negative) / Math.max(3, positive + negative)
+    const frustration = Math.min(1, negative / 6 + Math.min(exclamations, 2) * 0.1 + shouting * 0.15)
+
+    let sentiment = "neutral"
+    if (frustration >= 0.7) {
+      sentiment = "very_negative"
+    } else if (score <= -0.2) {
+      sentiment = "negative"
+    } else if (score >= 0.2) {
+      sentiment = "positive"
+    }
+
+    const signals = negative + positive + exclamations + shouting
+    const confidence = signals === 0 ? 0.5 : Math.min(0.95, 0.55 + signals * 0.05)
+
+    return {
+      sentiment,
+      score: Number.parseFloat(Math.max(-1, Math.min(1, score)).toFixed(2)),
+      frustration: Number.parseFloat(frustration.toFixed(2)),
+      confidence: Number.parseFloat(confidence.toFixed(2)),
+    }
+  }
+
+  // Draft a reply listing the retrieved articles
+  async draft(text, articles) {
+    let draftReply = "Thank you for contacting our support team. "
+
+    if (articles.length === 0) {
+      draftReply +=
+        "We've received your request and will review it shortly. Our team will get back to you with a detailed response."
+    } else {
+      draftReply += "Based on your inquiry, here are some resources that might help:\n\n"
+
+      articles.forEach((article, index) => {
+        draftReply += `${index + 1}. ${article.title}\n`
+        // Quote the passage that matched the inquiry, or else the start of the body
+        const snippet = article.snippet
+          ? article.snippet.text.replace(/\s+/g, " ")
+          : article.body.substring(0, 150) + (article.body.length > 150 ? "..." : "")
+        draftReply += `   ${snippet}\n\n`
+      })
+
+      draftReply +=
+        "If these resources don't fully address your concern, please let us know and we'll provide additional assistance."
+    }
+
+    draftReply += "\n\nBest regards,\nSupport Team"
+
+    return { draftReply }
+  }
+}
+
+module.exports = StubProvider
@@ -0,0 +1,227 @@
+const PromptTemplate = require("../models/PromptTemplate")
+
+// Versioned prompt templates for the LLM provider steps. Templates use
+// {{variable}} placeholders; the variables each step provides are listed in
+// STEP_VARIABLES and filled in by buildVariables().
+
+const STEP_VARIABLES = {
+  classify: ["ticket", "categories", "categoryOptions", "categoryExamples"],
+  priority: ["ticket"],
+  sentiment: ["ticket"],
+  draft: ["ticket", "articles"],
+}
+
+// How often a new version is retried when another admin took its number first
+const MAX_VERSION_ATTEMPTS = 5
+
+// The prompts the app shipped with. Stored as version 1 of each step the first
+// time prompts are used, and used directly when no template is stored.
+const BUILTIN_PROMPTS = {
+  classify: {
+    step: "classify",
+    version: 1,
+    description: "Built-in classifier prompt",
+    system: `You are a support ticket classifier. Classify the following ticket into one of these categories: {{categories}}.
+
+Respond with a JSON object containing:
+- predictedCategory: one of {{categoryOptions}}
+- confidence: a number between 0 and 1
+
+Examples:
+{{categoryExamples}}`,
+    user: "{{ticket}}",
+  },
+  priority: {
+    step: "priority",
+    version: 1,
+    description: "Built-in priority prompt",
+    system: `You are a support ticket triager. Rate the urgency of the following ticket as one of: low, normal, high, urgent.
+
+Respond with a JSON object containing:
+- predictedPriority: one of "low", "normal", "high", "urgent"
+- confidence: a number between 0 and 1
+
+Examples:
+- Service outage, losing money, production down → urgent
+- Customer blocked, payment failed, cannot log in → high
+- Ordinary problems and requests → normal
+- How-to questions, cosmetic issues, feature ideas → low`,
+    user: "{{ticket}}",
+  },
+  sentiment: {
+    step: "sentiment",
+    version: 1,
+    description: "Built-in sentiment prompt",
+    system: `You are a support ticket triager. Judge the customer's mood in the following ticket.
+
+Respond with a JSON object containing:
+- sentiment: one of "positive", "neutral", "negative", "very_negative"
+- score: a number between -1 (very negative) and 1 (very positive)
+- frustration: a number between 0 (calm) and 1 (furious, threatening to leave or escalate)
+- confidence: a number between 0 and 1`,
+    user: "{{ticket}}",
+  },
+  draft: {
+    step: "draft",
+    version: 1,
+    description: "Built-in reply drafting prompt",
+    system: `You are a helpful customer support agent. Draft a professional, empathetic response to the customer's inquiry using the provided knowledge base articles as reference.
+
+Guidelines:
+- Be professional and empathetic
+- Reference relevant articles when applicable
+- Keep responses concise but helpful
+- End with an offer for further assistance
+- Sign as "Support Team"`,
+    user: `Customer inquiry: {{ticket}}
+
+Available knowledge base articles:
+{{articles}}
+
+Please draft a response.`,
+  },
+}
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g
+
+const templateVariables = (...templates) => [
+  ...new Set(templates.flatMap((template) => [...String(template || "").matchAll(PLACEHOLDER)].map((m) => m[1]))),
+]
+
+// Problems with a template for the given step: unknown variables, or no
+// {{ticket}} anywhere (the model would never see the ticket)
+const validateTemplate = (step, { system, user }) => {
+  const errors = []
+  const variables = templateVariables(system, user)
+
+  for (const variable of variables) {
+    if (!STEP_VARIABLES[step].includes(variable)) {
+      errors.push(`Unknown variable {{${variable}}} for ${step} (available: ${STEP_VARIABLES[step].join(", ")})`)
+    }
+  }
+  if (!variables.includes("ticket")) {
+    errors.push("Template must include {{ticket}}")
+  }
+
+  return errors
+}
+
+// The retrieved passage (the article's best-matching chunk) when there is one,
+// else the start of the body
+const articleContent = (article) => {
+  if (!article.passage) return `${article.body.substring(0, 500)}...`
+  return article.heading ? `(${article.heading}) ${article.passage}` : article.passage
+}
+
+const buildVariables = (step, { text = "", categories = [], articles = [] }) => {
+  if (step === "classify") {
+    return {
+      ticket: text,
+      categories: categories.map((category) => category.name).join(", "),
+      categoryOptions: categories.map((category) => `"${category.name}"`).join(", "),
+      categoryExamples: categories
+        .map((category) => {
+          const hint = category.description || (category.keywords || []).join(", ")
+          return hint ? `- ${hint} → ${category.name}` : null
+        })
+        .filter(Boolean)
+        .join("\n"),
+    }
+  }
+
+  if (step === "draft") {
+    return {
+      ticket: text,
+      articles: articles.map((article) => `Title: ${article.title}\nContent: ${articleContent(article)}`).join("\n\n"),
+    }
+  }
+
+  return { ticket: text }
+}
+
+const renderTemplate = (template, variables) =>
+  template.replace(PLACEHOLDER, (match, name) => (variables[name] !== undefined ? String(variables[name]) : ""))
+
+// Rendered system and user messages for a stored or built-in prompt
+const renderPrompt = (prompt, variables) => ({
+  system: renderTemplate(prompt.system, variables),
+  user: renderTemplate(prompt.user, variables),
+})
+
+let builtinsEnsured = false
+
+const ensureBuiltinPrompts = async () => {
+  if (builtinsEnsured) return
+  for (const builtin of Object.values(BUILTIN_PROMPTS)) {
+    if (!(await PromptTemplate.exists({ step: builtin.step }))) {
+      try {
+        await PromptTemplate.create({
+          ...builtin,
+          variables: templateVariables(builtin.system, builtin.user),
+          active: true,
+          activatedAt: new Date(),
+        })
+      } catch (error) {
+        // Another process stored it at the same time
+        if (error.code !== 11000) throw error
+      }
+    }
+  }
+  builtinsEnsured = true
+}
+
+// The active template for a step, or the built-in one if none is active
+const getActivePrompt = async (step) => {
+  await ensureBuiltinPrompts()
+  return (await PromptTemplate.findOne({ step, active: true })) || BUILTIN_PROMPTS[step]
+}
+
+// Store a template as the next version of its step. Two admins saving at once
+// clash on the unique (step, version) index; the later one takes the next number.
+const createPromptVersion = async (step, { system, user, description }, createdBy) => {
+  await ensureBuiltinPrompts()
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await PromptTemplate.findOne({ step }).sort({ version: -1 }).select("version")
+    try {
+      return await PromptTemplate.create({
+        step,
+        version: latest ? latest.version + 1 : 1,
+        system,
+        user,
+        description,
+        variables: templateVariables(system, user),
+        createdBy,
+      })
+    } catch (error) {
+      if (error.code !== 11000) throw error
+      if (attempt >= MAX_VERSION_ATTEMPTS) {
+        throw Object.assign(new Error(`Another ${step} prompt version was saved at the same time, try again`), {
+          statusCode: 409,
+        })
+      }
+    }
+  }
+}
+
+// Make a template the one version of its step that triage uses
+const activatePrompt = async (template) => {
+  await PromptTemplate.updateMany({ step: template.step, _id: { $ne: template._id } }, { active: false })
+  template.active = true
+  template.activatedAt = new Date()
+  await template.save()
+  return template
+}
+
+module.exports = {
+  STEP_VARIABLES,
+  BUILTIN_PROMPTS,
+  templateVariables,
+  validateTemplate,
+  buildVariables,
+  renderPrompt,
+  ensureBuiltinPrompts,
+  getActivePrompt,
+  createPromptVersion,
+  activatePrompt,
+}
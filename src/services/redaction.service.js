@@ -0,0 +1,165 @@
+// PII detection and masking. Ticket text is redacted with reversible
+// placeholders before it is sent to an LLM provider, and log lines and audit
+// meta are masked for good. Which detectors run comes from Config.
+//
+// This module must not require the logger: the logger uses it to mask output.
+
+// A match must not be glued to other word characters or dashes, so IDs,
+// UUIDs and ISO timestamps aren't mistaken for phone or card numbers
+const BOUNDARY_START = "(?<![\\w-])"
+const BOUNDARY_END = "(?![\\w-])"
+
+const digitsOf = (value) => value.replace(/\D/g, "")
+
+const luhnValid = (value) => {
+  const digits = digitsOf(value)
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i])
+    if (i % 2 === 1) {
+      digit *= 2
+      if (digit > 9) digit -= 9
+    }
+    sum += digit
+  }
+  return sum % 10 === 0
+}
+
+// ISO 13616 check: move the country code and check digits to the end, map
+// letters to numbers and the result mod 97 must be 1
+const ibanValid = (value) => {
+  const iban = value.replace(/\s/g, "").toUpperCase()
+  const rearranged = iban.slice(4) + iban.slice(0, 4)
+  let remainder = 0
+  for (const char of rearranged) {
+    const code = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97
+    }
+  }
+  return remainder === 1
+}
+
+// Checked in this order, so e.g. a card number is not also taken for a phone number
+const DETECTORS = {
+  email: {
+    label: "EMAIL",
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  },
+  iban: {
+    label: "IBAN",
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    validate: ibanValid,
+  },
+  card: {
+    label: "CARD",
+    pattern: new RegExp(`${BOUNDARY_START}\\d(?:[ -]?\\d){12,18}${BOUNDARY_END}`, "g"),
+    validate: luhnValid,
+  },
+  phone: {
+    label: "PHONE",
+    pattern: new RegExp(`${BOUNDARY_START}\\+?\\(?\\d[\\d\\s().-]{7,}\\d${BOUNDARY_END}`, "g"),
+    // Written like a phone number: international, or split into groups. A bare
+    // run of digits is more likely an order or account number.
+    validate: (value) =>
+      digitsOf(value).length >= 9 && digitsOf(value).length <= 15 && /^\+|[\s().-]/.test(value),
+  },
+  address: {
+    label: "ADDRESS",
+    pattern:
+      /\b\d{1,5}[A-Za-z]?\s+(?:[A-Z][A-Za-z'-]*\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Square|Sq)\b\.?/g,
+  },
+}
+
+const DETECTOR_NAMES = Object.keys(DETECTORS)
+
+// Detectors used for log and audit masking; updated whenever Config is loaded
+let activeDetectors = [...DETECTOR_NAMES]
+
+const setActiveDetectors = (names) => {
+  activeDetectors = DETECTOR_NAMES.filter((name) => (names || DETECTOR_NAMES).includes(name))
+}
+
+const getActiveDetectors = () => activeDetectors
+
+// Replace every detected value in text with replacement(detectorName, value)
+const replaceDetected = (text, detectors, replacement) => {
+  let result = text
+  for (const name of DETECTOR_NAMES) {
+    if (!detectors.includes(name)) continue
+    const { pattern, validate } = DETECTORS[name]
+    result = result.replace(pattern, (match) => (validate && !validate(match) ? match : replacement(name, match)))
+  }
+  return result
+}
+
+// Reversible redaction for one piece of work, e.g. one triage run. The same
+// value always gets the same placeholder, so redacting the title and the
+// description separately still lines up, and restore() puts the originals
+// back into text generated from the redacted input.
+class Redactor {
+  constructor(detectors = activeDetectors) {
+    this.detectors = detectors
+    this.placeholders = new Map()
+    this.originals = new Map()
+    this.counts = {}
+  }
+
+  redact(text) {
+    if (typeof text !== "string" || this.detectors.length === 0) return text
+
+    return replaceDetected(text, this.detectors, (name, value) => {
+      if (!this.placeholders.has(value)) {
+        this.counts[name] = (this.counts[name] || 0) + 1
+        const placeholder = `[${DETECTORS[name].label}_${this.counts[name]}]`
+        this.placeholders.set(value, placeholder)
+        this.originals.set(placeholder, value)
+      }
+      return this.placeholders.get(value)
+    })
+  }
+
+  restore(text) {
+    if (typeof text !== "string" || this.originals.size === 0) return text
+    return text.replace(/\[(?:EMAIL|IBAN|CARD|PHONE|ADDRESS)_\d+\]/g, (placeholder) =>
+      this.originals.has(placeholder) ? this.originals.get(placeholder) : placeholder,
+    )
+  }
+}
+
+// Keys whose values are secrets regardless of what they look like
+const SECRET_KEYS = /^(password|newpassword|currentpassword|token|accesstoken|refreshtoken|authorization|apikey|secret)$/i
+
+// Irreversibly mask PII in a string, or in the strings of a plain object or
+// array (recursively). Other values - numbers, dates, ObjectIds - are returned
+// as they are.
+const maskValue = (value, detectors = activeDetectors, depth = 0) => {
+  if (typeof value === "string") {
+    return detectors.length === 0 ? value : replaceDetected(value, detectors, (name) => `[${DETECTORS[name].label}]`)
+  }
+  if (depth > 8 || value === null || typeof value !== "object") {
+    return value
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => maskValue(item, detectors, depth + 1))
+  }
+
+  const prototype = Object.getPrototypeOf(value)
+  if (prototype !== Object.prototype && prototype !== null) {
+    return value
+  }
+
+  const masked = {}
+  for (const [key, item] of Object.entries(value)) {
+    masked[key] = SECRET_KEYS.test(key) ? "[REDACTED]" : maskValue(item, detectors, depth + 1)
+  }
+  return masked
+}
+
+module.exports = {
+  DETECTOR_NAMES,
+  Redactor,
+  maskValue,
+  setActiveDetectors,
+  getActiveDetectors,
+}
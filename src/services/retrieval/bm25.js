@@ -0,0 +1,53 @@
+// Okapi BM25 over an in-memory set of documents (KB article chunks)
+class Bm25Index {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1
+    this.b = b
+    this.documents = new Map()
+    this.documentFrequency = new Map()
+    this.totalLength = 0
+  }
+
+  add(id, tokens) {
+    const termFrequency = new Map()
+    for (const token of tokens) {
+      termFrequency.set(token, (termFrequency.get(token) || 0) + 1)
+    }
+    for (const token of termFrequency.keys()) {
+      this.documentFrequency.set(token, (this.documentFrequency.get(token) || 0) + 1)
+    }
+
+    this.documents.set(id, { termFrequency, length: tokens.length })
+    this.totalLength += tokens.length
+  }
+
+  idf(token) {
+    const n = this.documents.size
+    const df = this.documentFrequency.get(token) || 0
+    return Math.log(1 + (n - df + 0.5) / (df + 0.5))
+  }
+
+  // Map of document id to score, for documents sharing at least one query term
+  search(queryTokens) {
+    const scores = new Map()
+    if (this.documents.size === 0) return scores
+
+    const averageLength = this.totalLength / this.documents.size || 1
+    const terms = [...new Set(queryTokens)].filter((token) => this.documentFrequency.has(token))
+
+    for (const [id, { termFrequency, length }] of this.documents) {
+      let score = 0
+      for (const term of terms) {
+        const tf = termFrequency.get(term)
+        if (!tf) continue
+        const norm = tf + this.k1 * (1 - this.b + (this.b * length) / averageLength)
+        score += (this.idf(term) * tf * (this.k1 + 1)) / norm
+      }
+      if (score > 0) scores.set(id, score)
+    }
+
+    return scores
+  }
+}
+
+module.exports = Bm25Index
@@ -0,0 +1,53 @@
+// Local text embeddings: words and character trigrams hashed into a fixed-size
+// vector (the "hashing trick"). Needs no model download or network access, and
+// catches near matches BM25 misses, e.g. "passwd" vs "password".
+
+const DIMENSIONS = 256
+
+// FNV-1a, 32 bit
+const hash = (value) => {
+  let h = 0x811c9dc5
+  for (let i = 0; i < value.length; i++) {
+    h ^= value.charCodeAt(i)
+    h = Math.imul(h, 0x01000193)
+  }
+  return h >>> 0
+}
+
+const addFeature = (vector, feature, weight) => {
+  const h = hash(feature)
+  // One hash bit picks the sign so collisions tend to cancel out
+  vector[h % DIMENSIONS] += h & 0x80000000 ? -weight : weight
+}
+
+// Unit-length vector for a list of tokens (see ./text)
+const embed = (tokens) => {
+  const vector = new Float32Array(DIMENSIONS)
+  for (const token of tokens) {
+    addFeature(vector, `w:${token}`, 1)
+    const padded = `^${token}$`
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      addFeature(vector, `t:${padded.slice(i, i + 3)}`, 0.5)
+    }
+  }
+
+  let norm = 0
+  for (const value of vector) norm += value * value
+  norm = Math.sqrt(norm)
+  if (norm > 0) {
+    for (let i = 0; i < DIMENSIONS; i++) vector[i] /= norm
+  }
+  return vector
+}
+
+// Cosine similarity of two unit vectors, clamped to 0..1
+const cosine = (a, b) => {
+  let dot = 0
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i]
+  return Math.max(0, dot)
+}
+
+module.exports = {
+  embed,
+  cosine,
+}
@@ -0,0 +1,161 @@
+const Article = require("../../models/Article")
+const Bm25Index = require("./bm25")
+const { tokenize, chunkArticle } = require("./text")
+const { embed, cosine } = require("./embedding")
+const { extractSnippet, bestPassage } = require("./snippet")
+
+// KB retrieval for triage: BM25 over published article chunks, optionally
+// blended with local embeddings, plus boosts for the predicted category, the
+// ticket's tags and recently updated articles. Weights come from
+// Config.retrieval; anything missing falls back to DEFAULT_WEIGHTS.
+
+const DEFAULT_WEIGHTS = {
+  bm25Weight: 1,
+  embeddingWeight: 0.3,
+  categoryBoost: 0.3,
+  tagBoost: 0.2,
+  recencyWeight: 0.05,
+  recencyHalfLifeDays: 180,
+  maxResults: 3,
+  minScore: 0.15,
+}
+
+// Hashed embeddings of unrelated texts still overlap a little; below this an
+// article needs a keyword or tag match to be considered at all
+const MIN_EMBEDDING_SIMILARITY = 0.2
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const round = (value) => Number.parseFloat(value.toFixed(4))
+
+const resolveWeights = (weights = {}) =>
+  Object.fromEntries(Object.entries(DEFAULT_WEIGHTS).map(([key, value]) => [key, weights[key] ?? value]))
+
+// Any save or delete changes the article count or the latest updatedAt, so the
+// index is rebuilt after changes made by this or any other process
+const articlesSignature = async () => {
+  const [stats] = await Article.aggregate([
+    { $group: { _id: null, count: { $sum: 1 }, updatedAt: { $max: "$updatedAt" } } },
+  ])
+  return stats ? `${stats.count}:${stats.updatedAt ? stats.updatedAt.getTime() : 0}` : "empty"
+}
+
+const buildIndex = async () => {
+  const articles = await Article.find({ status: "published" }).lean()
+
+  const bm25 = new Bm25Index()
+  const chunks = []
+  for (const article of articles) {
+    for (const chunk of chunkArticle(article)) {
+      bm25.add(chunk.id, chunk.tokens)
+      chunks.push({ ...chunk, vector: embed(chunk.tokens) })
+    }
+  }
+
+  return {
+    articles: new Map(articles.map((article) => [article._id.toString(), article])),
+    bm25,
+    chunks,
+  }
+}
+
+let cached = null
+
+const getIndex = async () => {
+  const signature = await articlesSignature()
+  if (!cached || cached.signature !== signature) {
+    const index = buildIndex()
+    cached = { signature, index }
+    // Don't keep a failed build around
+    index.catch(() => {
+      if (cached && cached.index === index) cached = null
+    })
+  }
+  return cached.index
+}
+
+// Best matching articles for the text, highest score first. Each hit has the
+// (lean) article, its total score, the weighted parts that make up the score,
+// the chunk that matched best and a snippet from that chunk.
+const retrieve = async (text, { category, tags = [], weights } = {}) => {
+  const w = resolveWeights(weights)
+  const index = await getIndex()
+
+  const queryTokens = tokenize(text)
+  const bm25Scores = index.bm25.search(queryTokens)
+  const maxBm25 = Math.max(0, ...bm25Scores.values())
+  const queryVector = w.embeddingWeight > 0 ? embed(queryTokens) : null
+
+  // An article is as relevant as its best chunk
+  const best = new Map()
+  for (const chunk of index.chunks) {
+    const bm25 = maxBm25 > 0 ? (bm25Scores.get(chunk.id) || 0) / maxBm25 : 0
+    const embedding = queryVector ? cosine(queryVector, chunk.vector) : 0
+    const relevance = w.bm25Weight * bm25 + w.embeddingWeight * embedding
+
+    const current = best.get(chunk.articleId)
+    if (!current || relevance > current.relevance) {
+      best.set(chunk.articleId, { chunk, bm25, embedding, relevance })
+    }
+  }
+
+  const ticketTags = tags.map((tag) => tag.toLowerCase())
+  const now = Date.now()
+  const hits = []
+
+  for (const [articleId, match] of best) {
+    const article = index.articles.get(articleId)
+    const articleTags = article.tags.map((tag) => tag.toLowerCase())
+
+    const categoryMatch = category && articleTags.includes(category.toLowerCase()) ? 1 : 0
+    const tagMatch =
+      ticketTags.length > 0 ? ticketTags.filter((tag) => articleTags.includes(tag)).length / ticketTags.length : 0
+    if (match.bm25 === 0 && match.embedding < MIN_EMBEDDING_SIMILARITY && !categoryMatch && !tagMatch) {
+      continue
+    }
+
+    const ageDays = Math.max(0, (now - new Date(article.updatedAt).getTime()) / DAY_MS)
+    const scores = {
+      bm25: w.bm25Weight * match.bm25,
+      embedding: w.embeddingWeight * match.embedding,
+      category: w.categoryBoost * categoryMatch,
+      tags: w.tagBoost * tagMatch,
+      recency: w.recencyWeight * 0.5 ** (ageDays / w.recencyHalfLifeDays),
+    }
+    const score = Object.values(scores).reduce((sum, value) => sum + value, 0)
+    if (score < w.minScore) continue
+
+    hits.push({
+      article,
+      score: round(score),
+      scores: Object.fromEntries(Object.entries(scores).map(([key, value]) => [key, round(value)])),
+      chunk: {
+        id: match.chunk.id,
+        index: match.chunk.index,
+        heading: match.chunk.heading,
+        start: match.chunk.start,
+        end: match.chunk.end,
+        text: match.chunk.text,
+      },
+    })
+  }
+
+  return hits
+    .sort((a, b) => b.score - a.score)
+    .slice(0, w.maxResults)
+    .map((hit) => ({ ...hit, snippet: extractSnippet(hit.chunk.text, queryTokens, { offset: hit.chunk.start }) }))
+}
+
+// The hits' articles as the draft step gets them: with the best-matching
+// chunk as passage and the query snippet, so the draft quotes the relevant
+// part instead of the start of the article
+const withPassages = (hits) =>
+  hits.map((hit) => ({ ...hit.article, passage: hit.chunk.text, heading: hit.chunk.heading, snippet: hit.snippet }))
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  tokenize,
+  retrieve,
+  withPassages,
+  bestPassage,
+}
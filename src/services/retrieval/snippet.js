@@ -0,0 +1,99 @@
+const { tokenize, chunkArticle } = require("./text")
+
+// Query-focused snippets: the window of a chunk with the most query matches,
+// with the matches' offsets so clients can highlight them.
+
+const SNIPPET_LENGTH = 160
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char])
+
+// Words of text whose token (after stemming) is one of the query tokens
+const findMatches = (text, queryTokens) => {
+  const terms = new Set(queryTokens)
+  const matches = []
+  for (const { 0: word, index } of text.matchAll(/[A-Za-z0-9]+/g)) {
+    const [token] = tokenize(word)
+    if (token && terms.has(token)) {
+      matches.push({ start: index, end: index + word.length })
+    }
+  }
+  return matches
+}
+
+// Snippet of text around its densest run of query matches. start and end are
+// offsets in the article body (text starts at offset there); highlights are
+// offsets within the snippet. highlighted is the snippet as HTML-escaped text
+// with the matches wrapped in <mark>.
+const extractSnippet = (text, queryTokens, { offset = 0, length = SNIPPET_LENGTH } = {}) => {
+  const matches = findMatches(text, queryTokens)
+
+  // The match that starts the window holding the most matches
+  let anchor = 0
+  let bestCount = 0
+  for (let i = 0; i < matches.length; i++) {
+    let count = 0
+    for (let j = i; j < matches.length && matches[j].end <= matches[i].start + length; j++) count++
+    if (count > bestCount) {
+      bestCount = count
+      anchor = matches[i].start
+    }
+  }
+
+  // Some context before the first match, cut at word boundaries
+  let start = Math.max(0, anchor - Math.floor(length / 4))
+  while (start > 0 && start < anchor && !/\s/.test(text[start - 1])) start++
+  let end = Math.min(text.length, start + length)
+  while (end < text.length && end > anchor && !/\s/.test(text[end])) end--
+  if (end <= start) end = Math.min(text.length, start + length)
+
+  const highlights = matches
+    .filter((match) => match.start >= start && match.end <= end)
+    .map((match) => ({ start: match.start - start, end: match.end - start }))
+
+  const snippet = text.slice(start, end)
+  let highlighted = ""
+  let position = 0
+  for (const highlight of highlights) {
+    highlighted += escapeHtml(snippet.slice(position, highlight.start))
+    highlighted += `<mark>${escapeHtml(snippet.slice(highlight.start, highlight.end))}</mark>`
+    position = highlight.end
+  }
+  highlighted += escapeHtml(snippet.slice(position))
+
+  return {
+    text: snippet,
+    start: offset + start,
+    end: offset + end,
+    highlights,
+    highlighted,
+  }
+}
+
+// The chunk of an article that best matches the query (most distinct query
+// terms, then most matches; the first chunk when nothing matches) and a
+// snippet from it
+const bestPassage = (article, queryTokens) => {
+  const terms = new Set(queryTokens)
+  let best = null
+  let bestScore = -1
+
+  for (const chunk of chunkArticle(article)) {
+    const matched = chunk.tokens.filter((token) => terms.has(token))
+    const score = new Set(matched).size + matched.length * 0.01
+    if (score > bestScore) {
+      best = chunk
+      bestScore = score
+    }
+  }
+
+  return {
+    chunk: { index: best.index, heading: best.heading, start: best.start, end: best.end, text: best.text },
+    snippet: extractSnippet(best.text, queryTokens, { offset: best.start }),
+  }
+}
+
+module.exports = {
+  extractSnippet,
+  bestPassage,
+}
@@ -0,0 +1,123 @@
+// Tokenizing and chunking shared by the BM25 index and the local embeddings
+
+const STOP_WORDS = new Set(
+  `the a an and or but is are was were be been to of in on for with at by from as
+  my i me it its this that these those you your we our us they them have has had
+  do does did not no can could will would should please help hi hello thanks thank`.split(/\s+/),
+)
+
+const MAX_CHUNK_LENGTH = 600
+
+// Light suffix stripping so "refunds", "refunded" and "refunding" match "refund"
+const stem = (token) => {
+  if (token.length > 5 && token.endsWith("ing")) return token.slice(0, -3)
+  if (token.length > 4 && token.endsWith("ed")) return token.slice(0, -2)
+  if (token.length > 4 && token.endsWith("ies")) return `${token.slice(0, -3)}y`
+  if (token.length > 3 && token.endsWith("s") && !token.endsWith("ss")) return token.slice(0, -1)
+  return token
+}
+
+const tokenize = (text = "") =>
+  text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token.length > 1 && !STOP_WORDS.has(token))
+    .map(stem)
+
+const HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/
+const FENCE = /^\s*(```|~~~)/
+
+// Sections of a Markdown body, split at headings (not inside code fences).
+// Each has its heading trail, e.g. ["Billing", "Refunds"], and the offsets of
+// the text under the heading in the body.
+const splitSections = (body) => {
+  const sections = []
+  const trail = []
+  let start = 0
+  let inFence = false
+
+  for (const { 0: line, index } of body.matchAll(/^.*$/gm)) {
+    if (FENCE.test(line)) inFence = !inFence
+    const heading = !inFence && line.match(HEADING)
+    if (!heading) continue
+
+    sections.push({ headings: trail.map((entry) => entry.text), start, end: index })
+    const level = heading[1].length
+    while (trail.length > 0 && trail[trail.length - 1].level >= level) trail.pop()
+    trail.push({ level, text: heading[2] })
+    start = index + line.length
+  }
+  sections.push({ headings: trail.map((entry) => entry.text), start, end: body.length })
+
+  return sections
+}
+
+// Trimmed, non-empty [start, end) ranges of body between separator matches
+const splitRanges = (body, start, end, separator) => {
+  const ranges = []
+  let from = start
+  const text = body.slice(start, end)
+  for (const match of [...text.matchAll(separator), { index: text.length, 0: "" }]) {
+    let rangeStart = from
+    let rangeEnd = start + match.index
+    while (rangeStart < rangeEnd && /\s/.test(body[rangeStart])) rangeStart++
+    while (rangeEnd > rangeStart && /\s/.test(body[rangeEnd - 1])) rangeEnd--
+    if (rangeEnd > rangeStart) ranges.push({ start: rangeStart, end: rangeEnd })
+    from = start + match.index + match[0].length
+  }
+  return ranges
+}
+
+// Split an article body into chunks that follow its headings: one or more per
+// section, each up to about MAX_CHUNK_LENGTH characters (paragraphs are kept
+// whole unless a single one is longer, then it is split between sentences).
+// Chunks carry their heading trail and their offsets in the body; their tokens
+// include the article title and headings, so a chunk that never repeats them
+// still matches queries about the topic.
+const chunkArticle = (article) => {
+  const body = article.body
+  const chunks = []
+
+  for (const section of splitSections(body)) {
+    const pieces = splitRanges(body, section.start, section.end, /\n\s*\n/g).flatMap((paragraph) =>
+      paragraph.end - paragraph.start > MAX_CHUNK_LENGTH
+        ? splitRanges(body, paragraph.start, paragraph.end, /(?<=[.!?])\s+/g)
+        : [paragraph],
+    )
+    // A heading with nothing under it only adds to its subsections' trail
+    if (pieces.length === 0) continue
+
+    let current = null
+    for (const piece of pieces) {
+      if (current && piece.end - current.start > MAX_CHUNK_LENGTH) {
+        chunks.push({ ...current, headings: section.headings })
+        current = null
+      }
+      current = current ? { start: current.start, end: piece.end } : { ...piece }
+    }
+    chunks.push({ ...current, headings: section.headings })
+  }
+
+  if (chunks.length === 0) {
+    chunks.push({ start: 0, end: body.length, headings: [] })
+  }
+
+  return chunks.map(({ start, end, headings }, index) => {
+    const text = body.slice(start, end)
+    return {
+      id: `${article._id}:${index}`,
+      articleId: article._id.toString(),
+      index,
+      heading: headings.length > 0 ? headings.join(" > ") : null,
+      start,
+      end,
+      text,
+      tokens: tokenize(`${article.title}\n${headings.join("\n")}\n${text}`),
+    }
+  })
+}
+
+module.exports = {
+  tokenize,
+  chunkArticle,
+}
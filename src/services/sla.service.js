@@ -0,0 +1,163 @@
+const Ticket = require("../models/Ticket")
+const AuditLog = require("../models/AuditLog")
+const Config = require("../models/Config")
+const logger = require("../config/logger")
+const { v4: uuidv4 } = require("uuid")
+
+const HOUR_MS = 60 * 60 * 1000
+
+// A ticket is "at risk" once less than this share of its SLA window is left
+const AT_RISK_FRACTION = 0.25
+
+const OPEN_STATUSES = ["open", "triaged", "waiting_human"]
+const TICKET_PRIORITIES = Ticket.schema.path("priority").enumValues
+
+const slaFactor = (config, priority) => config.prioritySlaFactors?.[priority] || 1
+
+// Stamp first-response and resolution due times on a ticket, scaled by its
+// priority. Called on creation and again whenever the priority changes; a
+// breach that no longer holds against the moved due time is cleared. New
+// breaches are left to the sweep, so each one is still audited.
+const applySlaDueDates = (ticket, config, now = new Date()) => {
+  const createdAt = ticket.createdAt || now
+  const factor = slaFactor(config, ticket.priority)
+  const sla = ticket.sla
+
+  sla.firstResponseDueAt = new Date(createdAt.getTime() + config.firstResponseHours * factor * HOUR_MS)
+  sla.resolutionDueAt = new Date(createdAt.getTime() + config.slaHours * factor * HOUR_MS)
+
+  if (sla.firstResponseBreached && (sla.firstRespondedAt || now) <= sla.firstResponseDueAt) {
+    sla.firstResponseBreached = false
+  }
+  if (sla.resolutionBreached && (sla.resolvedAt || now) <= sla.resolutionDueAt) {
+    sla.resolutionBreached = false
+  }
+  if (!sla.firstResponseBreached && !sla.resolutionBreached) {
+    sla.breachedAt = undefined
+  }
+}
+
+const recordBreach = async (ticket, type, dueAt) => {
+  await new AuditLog({
+    ticketId: ticket._id,
+    traceId: uuidv4(),
+    actor: "system",
+    action: "SLA_BREACHED",
+    meta: {
+      type,
+      dueAt,
+      status: ticket.status,
+    },
+  }).save()
+
+  logger.warn(`SLA ${type} breached for ticket ${ticket._id}`, { ticketId: ticket._id, dueAt })
+}
+
+// Flag tickets whose first response or resolution is overdue. Each breach is
+// flagged and audited once.
+const sweepSlaBreaches = async (now = new Date()) => {
+  const firstResponseOverdue = await Ticket.find({
+    status: { $in: OPEN_STATUSES },
+    "sla.firstResponseDueAt": { $lt: now },
+    "sla.firstRespondedAt": null,
+    "sla.firstResponseBreached": { $ne: true },
+  })
+
+  for (const ticket of firstResponseOverdue) {
+    ticket.sla.firstResponseBreached = true
+    ticket.sla.breachedAt = ticket.sla.breachedAt || now
+    await ticket.save()
+    await recordBreach(ticket, "first_response", ticket.sla.firstResponseDueAt)
+  }
+
+  const resolutionOverdue = await Ticket.find({
+    status: { $in: OPEN_STATUSES },
+    "sla.resolutionDueAt": { $lt: now },
+    "sla.resolutionBreached": { $ne: true },
+  })
+
+  for (const ticket of resolutionOverdue) {
+    ticket.sla.resolutionBreached = true
+    ticket.sla.breachedAt = ticket.sla.breachedAt || now
+    await ticket.save()
+    await recordBreach(ticket, "resolution", ticket.sla.resolutionDueAt)
+  }
+
+  return {
+    firstResponseBreaches: firstResponseOverdue.length,
+    resolutionBreaches: resolutionOverdue.length,
+  }
+}
+
+// Open tickets that are already in breach, or whose first response or
+// resolution is due soon. "Soon" is a share of each priority's own window, so
+// an urgent ticket isn't at risk for as long as a low one.
+const getSlaReport = async (now = new Date()) => {
+  const config = (await Config.findOne()) || new Config()
+  const atRiskBefore = Object.fromEntries(
+    TICKET_PRIORITIES.map((priority) => {
+      const windowEnd = (hours) =>
+        new Date(now.getTime() + hours * slaFactor(config, priority) * AT_RISK_FRACTION * HOUR_MS)
+      return [priority, { firstResponse: windowEnd(config.firstResponseHours), resolution: windowEnd(config.slaHours) }]
+    }),
+  )
+
+  const populate = (q) => q.populate("createdBy", "name email").populate("assignee", "name email")
+
+  const [breached, atRisk] = await Promise.all([
+    populate(
+      Ticket.find({
+        status: { $in: OPEN_STATUSES },
+        $or: [{ "sla.firstResponseBreached": true }, { "sla.resolutionBreached": true }],
+      }).sort({ "sla.resolutionDueAt": 1 }),
+    ),
+    populate(
+      Ticket.find({
+        status: { $in: OPEN_STATUSES },
+        "sla.firstResponseBreached": { $ne: true },
+        "sla.resolutionBreached": { $ne: true },
+        $or: TICKET_PRIORITIES.flatMap((priority) => [
+          {
+            priority,
+            "sla.firstRespondedAt": null,
+            "sla.firstResponseDueAt": { $lte: atRiskBefore[priority].firstResponse },
+          },
+          { priority, "sla.resolutionDueAt": { $lte: atRiskBefore[priority].resolution } },
+        ]),
+      }).sort({ "sla.resolutionDueAt": 1 }),
+    ),
+  ])
+
+  return {
+    generatedAt: now,
+    slaHours: config.slaHours,
+    firstResponseHours: config.firstResponseHours,
+    atRiskBefore,
+    breached,
+    atRisk,
+  }
+}
+
+// Run the breach sweep on an interval. Returns the timer so callers can stop it.
+const startSlaSweeper = (intervalMs = Number.parseInt(process.env.SLA_SWEEP_INTERVAL_MS) || 60 * 1000) => {
+  const timer = setInterval(async () => {
+    try {
+      const result = await sweepSlaBreaches()
+      if (result.firstResponseBreaches || result.resolutionBreaches) {
+        logger.info("SLA sweep flagged breaches", result)
+      }
+    } catch (error) {
+      logger.error("SLA sweep failed:", error)
+    }
+  }, intervalMs)
+
+  timer.unref()
+  return timer
+}
+
+module.exports = {
+  applySlaDueDates,
+  sweepSlaBreaches,
+  getSlaReport,
+  startSlaSweeper,
+}
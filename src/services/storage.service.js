@@ -0,0 +1,107 @@
+const fs = require("fs")
+const path = require("path")
+const { v4: uuidv4 } = require("uuid")
+const logger = require("../config/logger")
+
+// Stores attachment bytes on the local filesystem. Keys are generated here and
+// never derived from user input, so they are safe to join onto the base directory.
+class LocalDiskStorage {
+  constructor(baseDir = process.env.UPLOAD_DIR || "uploads") {
+    this.name = "local"
+    this.baseDir = path.resolve(baseDir)
+  }
+
+  async save({ buffer, originalName }) {
+    await fs.promises.mkdir(this.baseDir, { recursive: true })
+
+    const key = `${uuidv4()}${path.extname(originalName || "").toLowerCase()}`
+    await fs.promises.writeFile(path.join(this.baseDir, key), buffer)
+
+    return key
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(path.join(this.baseDir, path.basename(key)))
+  }
+
+  async remove(key) {
+    await fs.promises.rm(path.join(this.baseDir, path.basename(key)), { force: true })
+  }
+}
+
+// Storage backends by name. Other backends (S3, GCS, ...) only need to implement
+// save/createReadStream/remove and register here.
+const backends = {
+  local: () => new LocalDiskStorage(),
+}
+
+let storage = null
+
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_BACKEND || "local"
+    if (!backends[name]) {
+      throw new Error(`Unknown storage backend: ${name}`)
+    }
+    storage = backends[name]()
+  }
+  return storage
+}
+
+// Persist uploaded files (from multer's memory storage) and return attachment metadata
+const storeAttachments = async (files = [], userId) => {
+  const backend = getStorage()
+  const attachments = []
+
+  for (const file of files) {
+    const storageKey = await backend.save({ buffer: file.buffer, originalName: file.originalname })
+    attachments.push({
+      filename: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      storageBackend: backend.name,
+      storageKey,
+      uploadedBy: userId,
+      uploadedAt: new Date(),
+    })
+  }
+
+  if (attachments.length > 0) {
+    logger.info(`Stored ${attachments.length} attachment(s)`, { userId })
+  }
+
+  return attachments
+}
+
+const removeAttachments = async (attachments = []) => {
+  const backend = getStorage()
+  for (const attachment of attachments) {
+    await backend.remove(attachment.storageKey)
+  }
+}
+
+// Store the uploaded files and hand their metadata to write, which adds them to
+// the ticket and saves it. If that fails before the ticket is written (validation,
+// refused status change, database error), the files are removed again so no
+// upload is left behind without a ticket pointing at it.
+const withStoredAttachments = async (files, userId, ticket, write) => {
+  const attachments = await storeAttachments(files, userId)
+  try {
+    return await write(attachments)
+  } catch (error) {
+    if (attachments.length > 0 && (ticket.isNew || ticket.isModified())) {
+      await removeAttachments(attachments).catch((removeError) =>
+        logger.error("Attachment cleanup error:", removeError),
+      )
+    }
+    throw error
+  }
+}
+
+module.exports = {
+  LocalDiskStorage,
+  getStorage,
+  storeAttachments,
+  removeAttachments,
+  withStoredAttachments,
+}
@@ -0,0 +1,100 @@
+// Compare two agent suggestions for the same ticket, e.g. before and after a
+// manual re-triage.
+
+const FIELDS = ["predictedCategory", "confidence", "predictedPriority", "priorityConfidence", "autoClosed"]
+const MODEL_FIELDS = ["provider", "model", "promptVersion", "latencyMs"]
+
+// Line diff of two texts via longest common subsequence. Returns a list of
+// { op: "equal" | "added" | "removed", line }.
+const diffLines = (fromText = "", toText = "") => {
+  const a = fromText.split("\n")
+  const b = toText.split("\n")
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+
+  const lines = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ op: "equal", line: a[i] })
+      i++
+      j++
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ op: "removed", line: a[i++] })
+    } else {
+      lines.push({ op: "added", line: b[j++] })
+    }
+  }
+  while (i < a.length) lines.push({ op: "removed", line: a[i++] })
+  while (j < b.length) lines.push({ op: "added", line: b[j++] })
+
+  return lines
+}
+
+const idOf = (value) => (value && value._id ? value._id : value).toString()
+
+const diffSuggestions = (from, to) => {
+  const changes = {}
+
+  for (const field of FIELDS) {
+    if (from[field] !== to[field]) {
+      changes[field] = { from: from[field], to: to[field] }
+    }
+  }
+
+  const modelInfo = {}
+  for (const field of MODEL_FIELDS) {
+    const before = from.modelInfo?.[field]
+    const after = to.modelInfo?.[field]
+    if (before !== after) {
+      modelInfo[field] = { from: before, to: after }
+    }
+  }
+  if (Object.keys(modelInfo).length > 0) {
+    changes.modelInfo = modelInfo
+  }
+
+  const fromArticles = from.articleIds.map(idOf)
+  const toArticles = to.articleIds.map(idOf)
+  const articles = {
+    added: toArticles.filter((id) => !fromArticles.includes(id)),
+    removed: fromArticles.filter((id) => !toArticles.includes(id)),
+  }
+  if (articles.added.length > 0 || articles.removed.length > 0) {
+    changes.articleIds = articles
+  }
+
+  // Articles cited by both versions, but at different revisions
+  const revisionOf = (suggestion, articleId) =>
+    (suggestion.citations || []).find((citation) => idOf(citation.articleId) === articleId)?.revision
+  const revised = fromArticles
+    .filter((id) => toArticles.includes(id))
+    .map((id) => ({ articleId: id, from: revisionOf(from, id), to: revisionOf(to, id) }))
+    .filter((citation) => citation.from !== citation.to)
+  if (revised.length > 0) {
+    changes.citations = revised
+  }
+
+  const draftReply = from.draftReply === to.draftReply ? null : diffLines(from.draftReply, to.draftReply)
+  if (draftReply) {
+    changes.draftReply = draftReply
+  }
+
+  return {
+    from: { id: from._id, version: from.version, createdAt: from.createdAt },
+    to: { id: to._id, version: to.version, createdAt: to.createdAt },
+    identical: Object.keys(changes).length === 0,
+    changes,
+  }
+}
+
+module.exports = {
+  diffLines,
+  diffSuggestions,
+}
@@ -0,0 +1,224 @@
+const AgentSuggestion = require("../models/AgentSuggestion")
+const AuditLog = require("../models/AuditLog")
+const { replyToTicket } = require("./ticketActions.service")
+
+const FEEDBACK_ACTIONS = ["accepted", "edited", "rejected"]
+
+// Longest edited reply an agent can send, and the largest edit distance
+// measured exactly; a bigger edit is recorded as a full rewrite
+const MAX_REPLY_LENGTH = 10000
+const MAX_EDIT_DISTANCE = 1000
+
+// Levenshtein distance if it is at most limit, otherwise null. Only cells
+// within limit of the diagonal can stay under it, so the cost is
+// O(length * limit) however long the texts are. Two rows are kept; cells just
+// outside the band are set to Infinity so the next row never reads a stale value.
+const distanceWithin = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) return null
+
+  let previous = new Float64Array(b.length + 1)
+  let current = new Float64Array(b.length + 1)
+  for (let j = 0; j <= Math.min(b.length, limit); j++) previous[j] = j
+  if (limit + 1 <= b.length) previous[limit + 1] = Infinity
+
+  for (let i = 1; i <= a.length; i++) {
+    const from = Math.max(1, i - limit)
+    const to = Math.min(b.length, i + limit)
+    current[from - 1] = from === 1 && i <= limit ? i : Infinity
+    let rowMin = current[from - 1]
+
+    for (let j = from; j <= to; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+      rowMin = Math.min(rowMin, current[j])
+    }
+    if (to < b.length) current[to + 1] = Infinity
+    if (rowMin > limit) return null
+    ;[previous, current] = [current, previous]
+  }
+
+  return previous[b.length] <= limit ? previous[b.length] : null
+}
+
+// Levenshtein distance, or null when it is more than limit. The band starts
+// narrow and doubles until it holds the distance, so small edits of long
+// drafts stay cheap.
+const editDistance = (a = "", b = "", limit = Math.max(a.length, b.length)) => {
+  if (a === b) return 0
+
+  for (let band = Math.min(32, limit); ; band = Math.min(band * 2, limit)) {
+    const distance = distanceWithin(a, b, band)
+    if (distance !== null || band === limit) return distance
+  }
+}
+
+const feedbackError = (message, statusCode) => Object.assign(new Error(message), { statusCode })
+
+// Record an agent's verdict on a suggestion. Accepted and edited drafts are
+// sent to the requester as a normal agent reply; a corrected category is
+// applied to the ticket as well. The feedback is claimed atomically before
+// anything is sent, so two agents acting at once can't both reply; if the
+// reply then fails, the claim is released again. Returns the updated
+// suggestion.
+const recordFeedback = async (
+  suggestion,
+  ticket,
+  { action, content, reason, correctedCategory, status },
+  { user, traceId },
+) => {
+  if (suggestion.feedback?.action) {
+    throw feedbackError("Feedback has already been recorded for this suggestion", 409)
+  }
+
+  const sendsReply = action !== "rejected"
+  if (sendsReply && suggestion.autoClosed) {
+    throw feedbackError("Suggestion was already sent to the requester by auto-close", 409)
+  }
+
+  const feedback = {
+    action,
+    reason,
+    correctedCategory,
+    agentId: user._id,
+    createdAt: new Date(),
+  }
+
+  if (sendsReply) {
+    feedback.finalReply = action === "edited" ? content : suggestion.draftReply
+    const longest = Math.max(suggestion.draftReply.length, feedback.finalReply.length)
+    feedback.editDistance = editDistance(suggestion.draftReply, feedback.finalReply, MAX_EDIT_DISTANCE) ?? longest
+    feedback.editRatio = longest > 0 ? Math.round((feedback.editDistance / longest) * 1000) / 1000 : 0
+  }
+
+  const claimed = await AgentSuggestion.findOneAndUpdate(
+    { _id: suggestion._id, "feedback.action": { $exists: false } },
+    { $set: { feedback } },
+    { new: true, runValidators: true },
+  )
+  if (!claimed) {
+    throw feedbackError("Feedback has already been recorded for this suggestion", 409)
+  }
+
+  if (correctedCategory && correctedCategory !== ticket.category) {
+    ticket.category = correctedCategory
+  }
+
+  try {
+    if (sendsReply) {
+      // Saves the ticket, including any category correction
+      await replyToTicket(ticket, { content: feedback.finalReply, status }, { user, traceId })
+    } else {
+      await ticket.save()
+    }
+  } catch (error) {
+    await AgentSuggestion.updateOne(
+      { _id: suggestion._id, "feedback.createdAt": feedback.createdAt },
+      { $unset: { feedback: "" } },
+    )
+    throw error
+  }
+
+  await new AuditLog({
+    ticketId: ticket._id,
+    traceId,
+    actor: "agent",
+    action: "SUGGESTION_FEEDBACK",
+    meta: {
+      suggestionId: suggestion._id,
+      version: suggestion.version,
+      action,
+      agentId: user._id,
+      editDistance: feedback.editDistance,
+      editRatio: feedback.editRatio,
+      reason,
+      predictedCategory: suggestion.predictedCategory,
+      correctedCategory,
+    },
+  }).save()
+
+  return claimed
+}
+
+const GROUP_FIELDS = {
+  category: "$predictedCategory",
+  provider: "$modelInfo.provider",
+  promptVersion: "$modelInfo.promptVersion",
+}
+
+// Acceptance rates over all suggestions that received feedback, broken down by
+// predicted category, provider and prompt version
+const getFeedbackStats = async ({ from, to } = {}) => {
+  const match = { "feedback.action": { $in: FEEDBACK_ACTIONS } }
+  if (from || to) {
+    match["feedback.createdAt"] = {}
+    if (from) match["feedback.createdAt"].$gte = new Date(from)
+    if (to) match["feedback.createdAt"].$lte = new Date(to)
+  }
+
+  const countsFor = (groupId) => [
+    {
+      $group: {
+        _id: groupId,
+        total: { $sum: 1 },
+        accepted: { $sum: { $cond: [{ $eq: ["$feedback.action", "accepted"] }, 1, 0] } },
+        edited: { $sum: { $cond: [{ $eq: ["$feedback.action", "edited"] }, 1, 0] } },
+        rejected: { $sum: { $cond: [{ $eq: ["$feedback.action", "rejected"] }, 1, 0] } },
+        categoryCorrected: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $gt: ["$feedback.correctedCategory", null] },
+                  { $ne: ["$feedback.correctedCategory", "$predictedCategory"] },
+                ],
+              },
+              1,
+              0,
+            ],
+          },
+        },
+        avgEditRatio: { $avg: { $cond: [{ $eq: ["$feedback.action", "edited"] }, "$feedback.editRatio", null] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]
+
+  const [result] = await AgentSuggestion.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        overall: countsFor(null),
+        ...Object.fromEntries(Object.entries(GROUP_FIELDS).map(([name, field]) => [name, countsFor(field)])),
+      },
+    },
+  ])
+
+  // acceptanceRate counts drafts sent unchanged; usableRate also counts edited ones
+  const withRates = ({ _id, total, accepted, edited, rejected, categoryCorrected, avgEditRatio }) => ({
+    key: _id,
+    total,
+    accepted,
+    edited,
+    rejected,
+    categoryCorrected,
+    acceptanceRate: total > 0 ? accepted / total : 0,
+    usableRate: total > 0 ? (accepted + edited) / total : 0,
+    avgEditRatio: avgEditRatio ?? null,
+  })
+
+  const emptyOverall = { _id: null, total: 0, accepted: 0, edited: 0, rejected: 0, categoryCorrected: 0 }
+  const { key, ...overall } = withRates(result.overall[0] || emptyOverall)
+
+  return {
+    overall,
+    ...Object.fromEntries(Object.keys(GROUP_FIELDS).map((name) => [name, result[name].map(withRates)])),
+  }
+}
+
+module.exports = {
+  FEEDBACK_ACTIONS,
+  MAX_REPLY_LENGTH,
+  editDistance,
+  recordFeedback,
+  getFeedbackStats,
+}
@@ -0,0 +1,187 @@
+const { v4: uuidv4 } = require("uuid")
+const Ticket = require("../models/Ticket")
+const AuditLog = require("../models/AuditLog")
+const logger = require("../config/logger")
+const { InvalidTransitionError, actorForRole, canTransition, changeStatus } = require("./ticketStatus.service")
+const { triggerTriage } = require("./triageQueue.service")
+const { buildTicketFilter } = require("./ticketQuery.service")
+
+const BULK_MAX_TICKETS = 500
+
+// Agent-side ticket operations shared by the single-ticket routes and the bulk
+// endpoint, so both apply the same transition checks and audit entries.
+
+const assignTicket = async (ticket, assigneeId, { user, traceId, bulk = false }) => {
+  ticket.assignee = assigneeId
+  await changeStatus(ticket, "waiting_human", {
+    actor: "agent",
+    traceId,
+    userId: user._id,
+    reason: "assigned",
+  })
+
+  await new AuditLog({
+    ticketId: ticket._id,
+    traceId,
+    actor: "agent",
+    action: "TICKET_ASSIGNED",
+    meta: {
+      assignedBy: user._id,
+      assignedTo: assigneeId,
+      bulk,
+    },
+  }).save()
+
+  return ticket
+}
+
+const replyToTicket = async (ticket, { content, status, attachments = [] }, { user, traceId, bulk = false }) => {
+  const actor = actorForRole(user.role)
+  if (status && status !== ticket.status && !canTransition(ticket.status, status, actor)) {
+    throw new InvalidTransitionError(ticket.status, status, actor)
+  }
+
+  ticket.replies.push({
+    content,
+    author: user._id,
+    isAgent: true,
+    attachments,
+    timestamp: new Date(),
+  })
+
+  await changeStatus(ticket, status || ticket.status, { actor, traceId, userId: user._id })
+
+  await new AuditLog({
+    ticketId: ticket._id,
+    traceId,
+    actor: "agent",
+    action: "REPLY_SENT",
+    meta: {
+      agentId: user._id,
+      newStatus: ticket.status,
+      bulk,
+    },
+  }).save()
+
+  return ticket
+}
+
+const setTicketStatus = async (ticket, status, { user, traceId, reason, bulk = false }) => {
+  await changeStatus(ticket, status, {
+    actor: actorForRole(user.role),
+    traceId,
+    userId: user._id,
+    reason: reason || (bulk ? "bulk" : undefined),
+  })
+
+  return ticket
+}
+
+const addTicketTag = async (ticket, tag, { user, traceId, bulk = false }) => {
+  const normalized = tag.trim().toLowerCase()
+  if (ticket.tags.includes(normalized)) {
+    return ticket
+  }
+
+  ticket.tags.push(normalized)
+  await ticket.save()
+
+  await new AuditLog({
+    ticketId: ticket._id,
+    traceId,
+    actor: actorForRole(user.role),
+    action: "TICKET_TAGGED",
+    meta: {
+      userId: user._id,
+      tag: normalized,
+      bulk,
+    },
+  }).save()
+
+  return ticket
+}
+
+const retriageTicket = async (ticket, { traceId }) => {
+  if (ticket.status !== "triaged" && !canTransition(ticket.status, "triaged", "system")) {
+    throw new InvalidTransitionError(ticket.status, "triaged", "system")
+  }
+
+  await triggerTriage(ticket._id, traceId)
+  return ticket
+}
+
+const BULK_OPERATIONS = {
+  assign: (ticket, params, ctx) => assignTicket(ticket, params.assigneeId, ctx),
+  status: (ticket, params, ctx) => setTicketStatus(ticket, params.status, { ...ctx, reason: params.reason }),
+  add_tag: (ticket, params, ctx) => addTicketTag(ticket, params.tag, ctx),
+  reply: (ticket, params, ctx) => replyToTicket(ticket, { content: params.content, status: params.status }, ctx),
+  retriage: (ticket, params, ctx) => retriageTicket(ticket, ctx),
+}
+
+// Apply one operation to many tickets, selected either by ID or by a list filter.
+// Every ticket is handled independently and reported on, so one failure doesn't
+// stop the rest.
+const runBulkOperation = async ({ ticketIds, filter, operation, params = {} }, user) => {
+  const traceId = uuidv4()
+  const apply = BULK_OPERATIONS[operation]
+
+  const query = ticketIds ? { _id: { $in: ticketIds } } : await buildTicketFilter(filter, user)
+  const tickets = await Ticket.find(query).sort({ _id: 1 }).limit(BULK_MAX_TICKETS + 1)
+
+  if (tickets.length > BULK_MAX_TICKETS) {
+    const error = new Error(`Bulk operations are limited to ${BULK_MAX_TICKETS} tickets`)
+    error.statusCode = 400
+    throw error
+  }
+
+  const results = []
+
+  // Requested IDs that don't exist are reported rather than silently dropped
+  if (ticketIds) {
+    const found = new Set(tickets.map((ticket) => ticket._id.toString()))
+    for (const id of ticketIds.filter((id) => !found.has(id))) {
+      results.push({ ticketId: id, success: false, statusCode: 404, message: "Ticket not found" })
+    }
+  }
+
+  for (const ticket of tickets) {
+    try {
+      await apply(ticket, params, { user, traceId, bulk: true })
+      results.push({ ticketId: ticket._id, success: true, status: ticket.status })
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error(`Bulk ${operation} failed for ticket ${ticket._id}:`, error)
+      }
+      results.push({
+        ticketId: ticket._id,
+        success: false,
+        statusCode: error.statusCode || 500,
+        message: error.statusCode ? error.message : "Server error",
+      })
+    }
+  }
+
+  const succeeded = results.filter((result) => result.success).length
+
+  logger.info(`Bulk ${operation} applied to ${succeeded}/${results.length} tickets by ${user.email}`, { traceId })
+
+  return {
+    operation,
+    traceId,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results,
+  }
+}
+
+module.exports = {
+  BULK_MAX_TICKETS,
+  BULK_OPERATIONS,
+  runBulkOperation,
+  assignTicket,
+  replyToTicket,
+  setTicketStatus,
+  addTicketTag,
+  retriageTicket,
+}
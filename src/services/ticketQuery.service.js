@@ -0,0 +1,160 @@
+const mongoose = require("mongoose")
+const Ticket = require("../models/Ticket")
+const { getActiveDefinitions, buildCustomFieldFilter } = require("./customField.service")
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 100
+
+// Sort keys accepted by the list, the field each one sorts on, how its cursor
+// value is revived and whether tickets may lack the field (stored before it
+// existed, or never triaged)
+const SORT_FIELDS = {
+  updatedAt: { path: "updatedAt", type: "date" },
+  createdAt: { path: "createdAt", type: "date" },
+  priority: { path: "priorityRank", type: "number", nullable: true },
+  // Tickets never analyzed have no frustration and sort below the calmest ones
+  frustration: { path: "sentiment.frustration", type: "number", nullable: true },
+}
+
+const DEFAULT_SORT = "-updatedAt"
+
+const parseSort = (sort = DEFAULT_SORT) => {
+  const direction = sort.startsWith("-") ? -1 : 1
+  const { path, type, nullable = false } = SORT_FIELDS[sort.replace(/^-/, "")]
+  return { field: path, type, nullable, direction }
+}
+
+// Tickets stored before a sort field existed have no value for it; Mongoose
+// fills in the schema default when loading them, but the database sorts them
+// as null, so the cursor has to carry null too
+const encodeCursor = (ticket, field) => {
+  const value = ticket.$isDefault(field) ? null : (ticket.get(field) ?? null)
+  return Buffer.from(JSON.stringify({ v: value, id: ticket._id.toString() })).toString("base64url")
+}
+
+const decodeCursor = (cursor, type) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"))
+    if (!mongoose.Types.ObjectId.isValid(id) || v === undefined) return null
+
+    const value = type === "date" && v !== null ? new Date(v) : v
+    return { value, id: new mongoose.Types.ObjectId(id) }
+  } catch (error) {
+    return null
+  }
+}
+
+// Filter for the tickets after the cursor. MongoDB sorts missing and null
+// values before any number or date, so they come first in ascending order
+// and last in descending order.
+const afterCursor = ({ field, nullable, direction }, cursor) => {
+  const op = direction === -1 ? "$lt" : "$gt"
+  const sameValue = { [field]: cursor.value, _id: { [op]: cursor.id } }
+
+  if (cursor.value === null) {
+    return direction === -1 ? sameValue : { $or: [sameValue, { [field]: { $ne: null } }] }
+  }
+
+  const after = [{ [field]: { [op]: cursor.value } }, sameValue]
+  if (nullable && direction === -1) after.push({ [field]: null })
+  return { $or: after }
+}
+
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(",")).filter(Boolean)
+
+const dateRange = (from, to) => {
+  const range = {}
+  if (from) range.$gte = new Date(from)
+  if (to) range.$lte = new Date(to)
+  return range
+}
+
+// Build a Mongo filter from list query parameters, scoped to what the user may see.
+// Custom field filters need the active field definitions to coerce their values.
+const buildTicketFilter = async (params, user) => {
+  const filter = {}
+
+  if (params.status) filter.status = { $in: toList(params.status) }
+  if (params.category) filter.category = { $in: toList(params.category) }
+  if (params.priority) filter.priority = { $in: toList(params.priority) }
+  if (params.tags) filter.tags = { $all: toList(params.tags).map((tag) => tag.trim().toLowerCase()) }
+
+  if (params.customFields && typeof params.customFields === "object") {
+    Object.assign(filter, buildCustomFieldFilter(params.customFields, await getActiveDefinitions()))
+  }
+
+  if (params.assignee === "unassigned") {
+    filter.assignee = null
+  } else if (params.assignee === "me") {
+    filter.assignee = user._id
+  } else if (params.assignee) {
+    filter.assignee = params.assignee
+  }
+
+  if (params.createdBy) filter.createdBy = params.createdBy
+
+  if (params.createdFrom || params.createdTo) {
+    filter.createdAt = dateRange(params.createdFrom, params.createdTo)
+  }
+  if (params.updatedFrom || params.updatedTo) {
+    filter.updatedAt = dateRange(params.updatedFrom, params.updatedTo)
+  }
+
+  if (params.hasSuggestion !== undefined) {
+    const hasSuggestion = params.hasSuggestion === true || params.hasSuggestion === "true"
+    filter.agentSuggestionId = hasSuggestion ? { $ne: null } : null
+  }
+
+  // Requesters only ever see their own tickets
+  if (String(params.my) === "true" || user.role === "user") {
+    filter.createdBy = user._id
+  }
+
+  return filter
+}
+
+// List tickets with cursor pagination. The cursor encodes the sort value and _id of
+// the last returned ticket, so pages stay stable while tickets are being updated.
+const listTickets = async (params, user) => {
+  const filter = await buildTicketFilter(params, user)
+  const sort = parseSort(params.sort)
+  const { field, type, direction } = sort
+  const limit = Math.min(Number.parseInt(params.limit) || DEFAULT_LIMIT, MAX_LIMIT)
+
+  const pageFilter = { ...filter }
+  if (params.cursor) {
+    const cursor = decodeCursor(params.cursor, type)
+    if (!cursor) {
+      const error = new Error("Invalid cursor")
+      error.statusCode = 400
+      throw error
+    }
+
+    pageFilter.$and = [afterCursor(sort, cursor)]
+  }
+
+  const [tickets, total] = await Promise.all([
+    Ticket.find(pageFilter)
+      .populate("createdBy", "name email")
+      .populate("assignee", "name email")
+      .sort({ [field]: direction, _id: direction })
+      .limit(limit + 1),
+    Ticket.countDocuments(filter),
+  ])
+
+  const hasMore = tickets.length > limit
+  const page = hasMore ? tickets.slice(0, limit) : tickets
+
+  return {
+    tickets: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], field) : null,
+    total,
+  }
+}
+
+module.exports = {
+  SORT_FIELDS,
+  MAX_LIMIT,
+  buildTicketFilter,
+  listTickets,
+}
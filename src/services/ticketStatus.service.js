@@ -0,0 +1,89 @@
+const AuditLog = require("../models/AuditLog")
+
+// Allowed status transitions: from -> to -> actors that may make the move.
+// Actors match AuditLog.actor; agents and admins both act as "agent".
+const TRANSITIONS = {
+  open: {
+    triaged: ["system"],
+    waiting_human: ["system", "agent"],
+    resolved: ["agent"],
+    closed: ["agent", "user"],
+  },
+  triaged: {
+    open: ["user"],
+    waiting_human: ["system", "agent"],
+    resolved: ["system", "agent"],
+    closed: ["agent", "user"],
+  },
+  waiting_human: {
+    open: ["agent", "user"],
+    triaged: ["system"],
+    resolved: ["agent"],
+    closed: ["agent", "user"],
+  },
+  resolved: {
+    open: ["agent", "user"],
+    waiting_human: ["agent", "user"],
+    closed: ["system", "agent", "user"],
+  },
+  closed: {},
+}
+
+class InvalidTransitionError extends Error {
+  constructor(from, to, actor) {
+    super(`Cannot change ticket status from ${from} to ${to} as ${actor}`)
+    this.name = "InvalidTransitionError"
+    this.statusCode = 409
+  }
+}
+
+const actorForRole = (role) => (role === "user" ? "user" : "agent")
+
+const canTransition = (from, to, actor) => {
+  return (TRANSITIONS[from]?.[to] || []).includes(actor)
+}
+
+// Triage may run again on a triaged ticket, otherwise the system must be able to move it to triaged
+const canTriage = (status) => status === "triaged" || canTransition(status, "triaged", "system")
+
+// Move a ticket to a new status, save it and record STATUS_CHANGED. The ticket is
+// saved even when the status is unchanged so callers can batch other edits with it.
+const changeStatus = async (ticket, to, { actor, traceId, userId, reason } = {}) => {
+  const from = ticket.status
+
+  if (from === to) {
+    await ticket.save()
+    return false
+  }
+
+  if (!canTransition(from, to, actor)) {
+    throw new InvalidTransitionError(from, to, actor)
+  }
+
+  ticket.status = to
+  await ticket.save()
+
+  await new AuditLog({
+    ticketId: ticket._id,
+    traceId,
+    actor,
+    action: "STATUS_CHANGED",
+    meta: {
+      from,
+      to,
+      userId,
+      reason,
+    },
+  }).save()
+
+  return true
+}
+
+module.exports = {
+  TRANSITIONS,
+  InvalidTransitionError,
+  actorForRole,
+  canTransition,
+  canTriage,
+  changeStatus,
+}
@@ -0,0 +1,79 @@
+// Internal notes, the triage sentiment read-out and the agent suggestion are
+// for agents and admins only. These helpers strip them (and their audit trail)
+// from anything returned to a requester.
+
+// Agent feedback on a suggestion holds the agent's rejection reason and edit
+// stats; duplicate candidates are other customers' tickets
+const INTERNAL_AUDIT_ACTIONS = [
+  "INTERNAL_NOTE_ADDED",
+  "SENTIMENT_ANALYZED",
+  "SUGGESTION_FEEDBACK",
+  "DUPLICATES_DETECTED",
+]
+
+const canSeeInternal = (user) => user.role !== "user"
+
+const isInternal = (reply) => reply.visibility === "internal"
+
+// Serialize a ticket for the given user, dropping internal notes, sentiment and
+// the agent suggestion for requesters
+const ticketForUser = (ticket, user) => {
+  if (canSeeInternal(user)) {
+    return ticket
+  }
+
+  const data = typeof ticket.toJSON === "function" ? ticket.toJSON() : { ...ticket }
+  data.replies = (data.replies || []).filter((reply) => !isInternal(reply))
+  delete data.sentiment
+  delete data.agentSuggestionId
+  return data
+}
+
+// Audit log query for a ticket, without internal-note entries for requesters
+const auditFilterForUser = (ticketId, user) => {
+  if (canSeeInternal(user)) {
+    return { ticketId }
+  }
+
+  return { ticketId, action: { $nin: INTERNAL_AUDIT_ACTIONS } }
+}
+
+// Why triage handed a ticket to a human is visible to the requester, but not
+// when the reason is the internal sentiment read-out
+const SENTIMENT_REASONS = ["negative_sentiment"]
+
+// Serialize audit entries for the given user: requesters get the entries that
+// auditFilterForUser lets through without the frustration score
+const auditLogsForUser = (auditLogs, user) => {
+  if (canSeeInternal(user)) {
+    return auditLogs
+  }
+
+  return auditLogs.map((entry) => {
+    const data = typeof entry.toJSON === "function" ? entry.toJSON() : { ...entry }
+    if (data.action !== "ASSIGNED_TO_HUMAN" || !data.meta) return data
+
+    const { frustration, ...meta } = data.meta
+    if (Array.isArray(meta.blockedBy)) {
+      meta.blockedBy = meta.blockedBy.filter((reason) => !SENTIMENT_REASONS.includes(reason))
+      meta.reason = meta.blockedBy[0] || null
+    }
+    return { ...data, meta }
+  })
+}
+
+// Attachments the user may download: the ticket's own plus those on visible replies
+const visibleAttachments = (ticket, user) => {
+  const replies = canSeeInternal(user) ? ticket.replies : ticket.replies.filter((reply) => !isInternal(reply))
+  return [...ticket.attachments, ...replies.flatMap((reply) => reply.attachments)]
+}
+
+module.exports = {
+  INTERNAL_AUDIT_ACTIONS,
+  canSeeInternal,
+  isInternal,
+  ticketForUser,
+  auditFilterForUser,
+  auditLogsForUser,
+  visibleAttachments,
+}
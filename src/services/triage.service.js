@@ -0,0 +1,401 @@
+const Ticket = require("../models/Ticket")
+const AgentSuggestion = require("../models/AgentSuggestion")
+const AuditLog = require("../models/AuditLog")
+const Config = require("../models/Config")
+const logger = require("../config/logger")
+const { getProvider, stubProvider } = require("./llm")
+const { applySlaDueDates } = require("./sla.service")
+const { findDuplicateCandidates } = require("./duplicate.service")
+const { getActiveDefinitions, describeCustomFields } = require("./customField.service")
+const { getCategories } = require("./category.service")
+const { Redactor } = require("./redaction.service")
+const { getActivePrompt } = require("./prompt.service")
+const { evaluateAutoClose } = require("./autoCloseGuard.service")
+const { retrieve, withPassages } = require("./retrieval")
+const { InvalidTransitionError, canTriage, changeStatus } = require("./ticketStatus.service")
+
+// Priorities triage may (re)set: never one a requester or agent chose
+const PREDICTABLE_PRIORITY_SOURCES = ["default", "system"]
+
+// Prompt versions as recorded in modelInfo.promptVersion, e.g.
+// "classify@2+draft@3", or "none" when no template was used
+const describePrompts = (prompts) =>
+  prompts.length > 0 ? prompts.map((prompt) => `${prompt.step}@${prompt.version}`).join("+") : "none"
+
+// The triage pipeline: classify, predict priority, find duplicates, retrieve KB
+// articles, draft a reply, then auto-close or hand off to a human. The model
+// work is delegated to the LLM provider selected in Config (see ./llm).
+class TriageService {
+  // Run one provider step (classify, predictPriority, analyzeSentiment or draft), timing it and
+  // falling back to the stub provider if the configured one fails.
+  async runStep(provider, step, ...args) {
+    const startTime = Date.now()
+
+    try {
+      const result = await provider[step](...args)
+      return { ...result, provider: provider.name, latencyMs: Date.now() - startTime }
+    } catch (error) {
+      if (provider === stubProvider) {
+        throw error
+      }
+
+      logger.error(`${step} failed with ${provider.name} provider, falling back to stub:`, error)
+      const result = await stubProvider[step](...args)
+      return { ...result, provider: stubProvider.name, fallback: true, latencyMs: Date.now() - startTime }
+    }
+  }
+
+  // Retrieve relevant KB articles, best first. Returns retrieval hits
+  // ({ article, score, scores, chunk, snippet }, see ./retrieval) so the scores
+  // can be recorded; weights come from Config.retrieval.
+  async retrieveKB(text, category, tags = [], config) {
+    try {
+      const { retrieval } = config || (await Config.findOne()) || new Config()
+      return await retrieve(text, { category, tags, weights: retrieval })
+    } catch (error) {
+      logger.error("KB retrieval error:", error)
+      return []
+    }
+  }
+
+  // Build the text the pipeline works on: the request, its tags and custom field
+  // values, and any follow-up replies so that a re-triage sees the whole conversation.
+  buildTriageText(ticket, customFieldDefinitions = []) {
+    const context = [...describeCustomFields(ticket, customFieldDefinitions)]
+    if (ticket.tags.length > 0) {
+      context.push(`Tags: ${ticket.tags.join(", ")}`)
+    }
+
+    // Internal notes stay out of the prompt so they can't leak into a customer draft
+    const conversation = ticket.replies
+      .filter((reply) => reply.visibility !== "internal")
+      .map((reply) => `${reply.isAgent ? "Agent" : "Customer"}: ${reply.content}`)
+
+    return [`${ticket.title} ${ticket.description}`, ...context, ...conversation].join("\n")
+  }
+
+  // Main triage workflow. Pass { autoClose: false } to always hand the result to a
+  // human, e.g. when the requester has just said the previous answer didn't help.
+  async performTriage(ticketId, traceId, options = {}) {
+    try {
+      logger.info(`Starting triage for ticket ${ticketId}`, { ticketId, traceId })
+
+      // Get ticket
+      const ticket = await Ticket.findById(ticketId)
+      if (!ticket) {
+        const error = new Error("Ticket not found")
+        error.statusCode = 404
+        throw error
+      }
+
+      if (!canTriage(ticket.status)) {
+        throw new InvalidTransitionError(ticket.status, "triaged", "system")
+      }
+
+      // Get config and the provider it selects
+      const config = (await Config.findOne()) || new Config()
+      const provider = getProvider(config)
+
+      // Step 1: Classify into one of the active categories
+      const customFieldDefinitions = await getActiveDefinitions()
+      const categories = await getCategories()
+      const classificationText = this.buildTriageText(ticket, customFieldDefinitions)
+      // Providers only ever see the text with PII swapped for placeholders;
+      // local steps (duplicates, KB retrieval) keep using the original
+      const redactor = new Redactor(config.redactionDetectors)
+      const promptText = redactor.redact(classificationText)
+      const classifyPrompt = await getActivePrompt("classify")
+      const classification = await this.runStep(provider, "classify", promptText, categories, classifyPrompt)
+
+      await new AuditLog({
+        ticketId,
+        traceId,
+        actor: "system",
+        action: "AGENT_CLASSIFIED",
+        meta: {
+          predictedCategory: classification.predictedCategory,
+          confidence: classification.confidence,
+          latencyMs: classification.latencyMs,
+          provider: classification.provider,
+          promptVersion: classification.promptVersion,
+          redactions: redactor.counts,
+        },
+      }).save()
+
+      // Step 1b: Predict priority. Only applied when nobody has set one
+      // explicitly; an earlier prediction is replaced on re-triage.
+      const priorityPrompt = await getActivePrompt("priority")
+      const priority = await this.runStep(provider, "predictPriority", promptText, priorityPrompt)
+      const applyPriority = PREDICTABLE_PRIORITY_SOURCES.includes(ticket.prioritySource)
+      if (applyPriority) {
+        ticket.priority = priority.predictedPriority
+        ticket.prioritySource = "system"
+        applySlaDueDates(ticket, config)
+      }
+
+      await new AuditLog({
+        ticketId,
+        traceId,
+        actor: "system",
+        action: "PRIORITY_PREDICTED",
+        meta: {
+          predictedPriority: priority.predictedPriority,
+          confidence: priority.confidence,
+          latencyMs: priority.latencyMs,
+          provider: priority.provider,
+          promptVersion: priority.promptVersion,
+          applied: applyPriority,
+        },
+      }).save()
+
+      // Step 1c: Gauge customer sentiment and frustration
+      const sentimentPrompt = await getActivePrompt("sentiment")
+      const sentiment = await this.runStep(provider, "analyzeSentiment", promptText, sentimentPrompt)
+      const highlyNegative = sentiment.frustration >= config.frustrationThreshold
+      ticket.sentiment = {
+        label: sentiment.sentiment,
+        score: sentiment.score,
+        frustration: sentiment.frustration,
+      }
+
+      // Surface frustrated customers first: raise a system-set priority to at
+      // least high, which also tightens the SLA
+      const escalatePriority =
+        highlyNegative && ticket.prioritySource === "system" && ["low", "normal"].includes(ticket.priority)
+      if (escalatePriority) {
+        ticket.priority = "high"
+        applySlaDueDates(ticket, config)
+      }
+
+      await new AuditLog({
+        ticketId,
+        traceId,
+        actor: "system",
+        action: "SENTIMENT_ANALYZED",
+        meta: {
+          sentiment: sentiment.sentiment,
+          score: sentiment.score,
+          frustration: sentiment.frustration,
+          confidence: sentiment.confidence,
+          highlyNegative,
+          priorityEscalated: escalatePriority,
+          latencyMs: sentiment.latencyMs,
+          provider: sentiment.provider,
+          promptVersion: sentiment.promptVersion,
+        },
+      }).save()
+
+      // Step 1d: Look for likely duplicates of this ticket
+      const duplicateCandidates = await findDuplicateCandidates(ticket, config)
+      if (duplicateCandidates.length > 0) {
+        await new AuditLog({
+          ticketId,
+          traceId,
+          actor: "system",
+          action: "DUPLICATES_DETECTED",
+          meta: {
+            candidateCount: duplicateCandidates.length,
+            candidates: duplicateCandidates,
+          },
+        }).save()
+      }
+
+      // Step 2: Retrieve KB articles
+      const hits = await this.retrieveKB(classificationText, classification.predictedCategory, ticket.tags, config)
+      const articles = withPassages(hits)
+
+      await new AuditLog({
+        ticketId,
+        traceId,
+        actor: "system",
+        action: "KB_RETRIEVED",
+        meta: {
+          articleCount: articles.length,
+          articleIds: articles.map((a) => a._id),
+          revisionIds: articles.map((a) => a.currentRevisionId),
+          scores: hits.map((hit) => ({
+            articleId: hit.article._id,
+            score: hit.score,
+            ...hit.scores,
+            chunk: hit.chunk.index,
+          })),
+        },
+      }).save()
+
+      // Step 3: Draft reply
+      const draftPrompt = await getActivePrompt("draft")
+      const draft = await this.runStep(provider, "draft", promptText, articles, draftPrompt)
+      draft.draftReply = redactor.restore(draft.draftReply)
+      draft.citations = hits.map((hit) => ({
+        articleId: hit.article._id,
+        revisionId: hit.article.currentRevisionId,
+        revision: hit.article.currentRevision,
+        score: hit.score,
+        passage: {
+          heading: hit.chunk.heading,
+          start: hit.chunk.start,
+          end: hit.chunk.end,
+        },
+      }))
+
+      await new AuditLog({
+        ticketId,
+        traceId,
+        actor: "system",
+        action: "DRAFT_GENERATED",
+        meta: {
+          draftLength: draft.draftReply.length,
+          citationCount: draft.citations.length,
+          promptVersion: draft.promptVersion,
+          latencyMs: draft.latencyMs,
+          provider: draft.provider,
+        },
+      }).save()
+
+      // Template versions the provider actually used; the stub (also as a
+      // fallback) uses none
+      const usedPrompts = [
+        ["classify", classification],
+        ["priority", priority],
+        ["sentiment", sentiment],
+        ["draft", draft],
+      ]
+        .filter(([, result]) => result.promptVersion != null)
+        .map(([step, result]) => ({ step, version: result.promptVersion, templateId: result.promptId }))
+
+      // Step 4: Create agent suggestion as the next version for this ticket
+      const suggestion = new AgentSuggestion({
+        ticketId,
+        traceId,
+        predictedCategory: classification.predictedCategory,
+        articleIds: articles.map((a) => a._id),
+        citations: draft.citations,
+        draftReply: draft.draftReply,
+        confidence: classification.confidence,
+        predictedPriority: priority.predictedPriority,
+        priorityConfidence: priority.confidence,
+        sentiment: {
+          label: sentiment.sentiment,
+          score: sentiment.score,
+          frustration: sentiment.frustration,
+          confidence: sentiment.confidence,
+        },
+        duplicateCandidates,
+        modelInfo: {
+          provider: provider.name,
+          model: provider.model,
+          promptVersion: describePrompts(usedPrompts),
+          prompts: usedPrompts,
+          latencyMs: classification.latencyMs + priority.latencyMs + sentiment.latencyMs + (draft.latencyMs || 0),
+        },
+      })
+
+      await suggestion.saveAsNextVersion()
+
+      // Update ticket with suggestion reference
+      ticket.agentSuggestionId = suggestion._id
+      await changeStatus(ticket, "triaged", { actor: "system", traceId })
+
+      // Step 5: Decision - Auto-close or assign to human. Besides confidence, the
+      // guardrails block auto-close for frustrated customers, ungrounded drafts
+      // and risky terms (see autoCloseGuard.service).
+      const decision = evaluateAutoClose({
+        config,
+        options,
+        category: classification.predictedCategory,
+        confidence: classification.confidence,
+        highlyNegative,
+        articles,
+        draftReply: draft.draftReply,
+        text: classificationText,
+      })
+
+      if (decision.allowed) {
+        // Auto-close ticket
+        ticket.replies.push({
+          content: draft.draftReply,
+          author: null, // System reply
+          isAgent: true,
+          timestamp: new Date(),
+        })
+
+        suggestion.autoClosed = true
+        await suggestion.save()
+        await changeStatus(ticket, "resolved", { actor: "system", traceId, reason: "auto_closed" })
+
+        await new AuditLog({
+          ticketId,
+          traceId,
+          actor: "system",
+          action: "AUTO_CLOSED",
+          meta: {
+            confidence: classification.confidence,
+            threshold: decision.threshold,
+            referencedArticleIds: decision.referencedArticleIds,
+          },
+        }).save()
+
+        logger.info(`Ticket ${ticketId} auto-closed with confidence ${classification.confidence}`, {
+          ticketId,
+          traceId,
+        })
+      } else {
+        // Assign to human, routed by the predicted category's default assignee and team
+        const category = categories.find((c) => c.name === classification.predictedCategory)
+        if (category?.defaultAssignee && !ticket.assignee) {
+          ticket.assignee = category.defaultAssignee
+        }
+        if (category?.team && !ticket.team) {
+          ticket.team = category.team
+        }
+        await changeStatus(ticket, "waiting_human", { actor: "system", traceId, reason: "assigned_to_human" })
+
+        await new AuditLog({
+          ticketId,
+          traceId,
+          actor: "system",
+          action: "ASSIGNED_TO_HUMAN",
+          meta: {
+            confidence: classification.confidence,
+            threshold: decision.threshold,
+            assignee: ticket.assignee,
+            team: ticket.team,
+            frustration: sentiment.frustration,
+            reason: decision.reason,
+            blockedBy: decision.reasons,
+            riskyTerms: decision.riskyTerms,
+          },
+        }).save()
+
+        logger.info(`Ticket ${ticketId} assigned to human with confidence ${classification.confidence}`, {
+          ticketId,
+          traceId,
+        })
+      }
+
+      logger.info(`Triage completed for ticket ${ticketId}`, { ticketId, traceId })
+      return suggestion
+    } catch (error) {
+      logger.error(`Triage failed for ticket ${ticketId}:`, error, { ticketId, traceId })
+
+      // Log the error
+      await new AuditLog({
+        ticketId,
+        traceId,
+        actor: "system",
+        action: "TRIAGE_FAILED",
+        meta: {
+          error: error.message,
+        },
+      }).save()
+
+      throw error
+    }
+  }
+}
+
+const triageService = new TriageService()
+
+module.exports = {
+  triageService,
+}
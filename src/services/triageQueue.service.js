@@ -0,0 +1,214 @@
+const os = require("os")
+const { v4: uuidv4 } = require("uuid")
+const TriageJob = require("../models/TriageJob")
+const Ticket = require("../models/Ticket")
+const AuditLog = require("../models/AuditLog")
+const logger = require("../config/logger")
+const { triageService } = require("./triage.service")
+
+const BACKOFF_BASE_MS = Number.parseInt(process.env.TRIAGE_BACKOFF_BASE_MS) || 5 * 1000
+const BACKOFF_MAX_MS = 30 * 60 * 1000
+// A running job whose lock is older than this is assumed to belong to a dead worker
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000
+// Open tickets older than this with no pending or dead job are re-queued on worker start
+const UNTRIAGED_GRACE_MS = 5 * 60 * 1000
+
+let activeWorker = null
+
+const backoffDelay = (attempts) => Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1))
+
+// Persist a triage job. A ticket that already has a queued job reuses it, so
+// repeated triggers don't stack up duplicate runs; the new options are merged
+// into that job, so e.g. a later { autoClose: false } still applies.
+const enqueueTriage = async (ticketId, traceId, options = {}) => {
+  const existing = await TriageJob.findOneAndUpdate(
+    { ticketId, status: "queued" },
+    { $set: Object.fromEntries(Object.entries(options).map(([key, value]) => [`options.${key}`, value])) },
+    { new: true },
+  )
+  if (existing) {
+    return existing
+  }
+
+  const job = await new TriageJob({ ticketId, traceId, options }).save()
+
+  if (activeWorker) {
+    activeWorker.wake()
+  }
+
+  return job
+}
+
+// Entry point used by routes: queue triage to run in the background
+const triggerTriage = async (ticketId, traceId, options = {}) => {
+  return enqueueTriage(ticketId, traceId, options)
+}
+
+// Atomically claim the next due job, including ones stranded by a crashed worker
+const claimNextJob = async (workerId) => {
+  const now = new Date()
+
+  return TriageJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        { status: "running", lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    {
+      $set: { status: "running", lockedAt: now, lockedBy: workerId },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true },
+  )
+}
+
+const processJob = async (job) => {
+  try {
+    await triageService.performTriage(job.ticketId, job.traceId, job.options)
+
+    job.status = "succeeded"
+    job.completedAt = new Date()
+    job.lastError = undefined
+    await job.save()
+  } catch (error) {
+    // Errors with a status code (ticket gone, ticket no longer triageable) won't
+    // go away on retry
+    const permanent = Boolean(error.statusCode)
+    job.lastError = error.message
+    job.lockedAt = undefined
+    job.lockedBy = undefined
+
+    if (permanent || job.attempts >= job.maxAttempts) {
+      job.status = "dead"
+      job.completedAt = new Date()
+      await job.save()
+
+      await new AuditLog({
+        ticketId: job.ticketId,
+        traceId: job.traceId,
+        actor: "system",
+        action: "TRIAGE_DEAD_LETTERED",
+        meta: {
+          jobId: job._id,
+          attempts: job.attempts,
+          error: error.message,
+        },
+      }).save()
+
+      logger.error(`Triage job ${job._id} dead-lettered after ${job.attempts} attempt(s)`, {
+        ticketId: job.ticketId,
+        traceId: job.traceId,
+      })
+    } else {
+      job.status = "queued"
+      job.runAt = new Date(Date.now() + backoffDelay(job.attempts))
+      await job.save()
+
+      logger.warn(`Triage job ${job._id} failed, retrying at ${job.runAt.toISOString()}`, {
+        ticketId: job.ticketId,
+        traceId: job.traceId,
+      })
+    }
+  }
+}
+
+// Queue open tickets that were never triaged, e.g. created before the queue
+// existed or while enqueueing failed. Tickets with a dead job are left for an
+// admin to retry, so a failing ticket isn't retried on every worker start.
+const recoverUntriagedTickets = async () => {
+  const tickets = await Ticket.find({
+    status: "open",
+    createdAt: { $lt: new Date(Date.now() - UNTRIAGED_GRACE_MS) },
+  }).select("_id")
+
+  let recovered = 0
+  for (const ticket of tickets) {
+    const hasJob = await TriageJob.exists({ ticketId: ticket._id, status: { $in: ["queued", "running", "dead"] } })
+    if (!hasJob) {
+      await enqueueTriage(ticket._id, uuidv4())
+      recovered++
+    }
+  }
+
+  if (recovered > 0) {
+    logger.info(`Re-queued triage for ${recovered} untriaged ticket(s)`)
+  }
+  return recovered
+}
+
+// Put a dead or finished job back on the queue with a fresh attempt budget
+const retryJob = async (job) => {
+  job.status = "queued"
+  job.attempts = 0
+  job.runAt = new Date()
+  job.lockedAt = undefined
+  job.lockedBy = undefined
+  job.completedAt = undefined
+  await job.save()
+
+  if (activeWorker) {
+    activeWorker.wake()
+  }
+
+  return job
+}
+
+// Poll for due jobs and run them one at a time. Used both in-process by the API
+// server and by the standalone worker (src/worker.js).
+const startTriageWorker = ({ pollIntervalMs = Number.parseInt(process.env.TRIAGE_POLL_INTERVAL_MS) || 2000 } = {}) => {
+  const workerId = `${os.hostname()}:${process.pid}`
+  let stopped = false
+  let running = false
+  let timer = null
+
+  const tick = async () => {
+    clearTimeout(timer)
+    if (stopped || running) return
+
+    running = true
+    try {
+      let job
+      while (!stopped && (job = await claimNextJob(workerId))) {
+        await processJob(job)
+      }
+    } catch (error) {
+      logger.error("Triage worker error:", error)
+    } finally {
+      running = false
+    }
+
+    if (!stopped) {
+      timer = setTimeout(tick, pollIntervalMs)
+      timer.unref()
+    }
+  }
+
+  const worker = {
+    workerId,
+    wake: () => setImmediate(tick),
+    stop: () => {
+      stopped = true
+      clearTimeout(timer)
+      if (activeWorker === worker) activeWorker = null
+    },
+  }
+
+  activeWorker = worker
+  logger.info(`Triage worker ${workerId} started`)
+
+  recoverUntriagedTickets().catch((error) => logger.error("Untriaged ticket recovery failed:", error))
+  tick()
+
+  return worker
+}
+
+module.exports = {
+  enqueueTriage,
+  triggerTriage,
+  claimNextJob,
+  processJob,
+  retryJob,
+  recoverUntriagedTickets,
+  startTriageWorker,
+}
@@ -0,0 +1,24 @@
+require("dotenv").config()
+
+const connectDB = require("./config/db")
+const logger = require("./config/logger")
+const { startTriageWorker } = require("./services/triageQueue.service")
+
+// Standalone triage worker. Run with TRIAGE_WORKER=external on the API servers
+// so that only these processes pick up triage jobs.
+const run = async () => {
+  await connectDB()
+
+  const worker = startTriageWorker()
+
+  const shutdown = (signal) => {
+    logger.info(`${signal} received. Stopping triage worker...`)
+    worker.stop()
+    process.exit(0)
+  }
+
+  process.on("SIGTERM", () => shutdown("SIGTERM"))
+  process.on("SIGINT", () => shutdown("SIGINT"))
+}
+
+run()
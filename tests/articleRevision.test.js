@@ -0,0 +1,149 @@
+const mongoose = require("mongoose")
+const Article = require("../src/models/Article")
+const ArticleRevision = require("../src/models/ArticleRevision")
+const { diffRevisions, restoreRevision } = require("../src/services/articleRevision.service")
+
+const author = new mongoose.Types.ObjectId()
+const editor = new mongoose.Types.ObjectId()
+
+const duplicateKey = () => Object.assign(new Error("E11000 duplicate key error"), { code: 11000 })
+
+const article = (fields = {}) =>
+  new Article({ title: "Reset your password", body: "Open settings", tags: ["account"], createdBy: author, ...fields })
+
+// Stands in for the database: revisions and article writes are recorded, not sent
+const mockStore = () => {
+  const store = { revisions: [], deleted: [] }
+  jest.spyOn(Article, "exists").mockResolvedValue(null)
+  jest.spyOn(ArticleRevision, "insertMany").mockImplementation(async (revisions) => {
+    store.revisions.push(...revisions)
+    return revisions
+  })
+  jest.spyOn(ArticleRevision, "deleteMany").mockImplementation(async ({ _id }) => {
+    store.deleted.push(..._id.$in)
+  })
+  jest
+    .spyOn(Article.collection, "insertOne")
+    .mockImplementation(async (doc) => ({ acknowledged: true, insertedId: doc._id }))
+  jest
+    .spyOn(Article.collection, "updateOne")
+    .mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 })
+  return store
+}
+
+describe("Article revisions", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it("writes a revision before every content change and points the article at it", async () => {
+    const store = mockStore()
+    const doc = article()
+
+    await doc.save()
+    expect(ArticleRevision.insertMany.mock.invocationCallOrder[0]).toBeLessThan(
+      Article.collection.insertOne.mock.invocationCallOrder[0],
+    )
+    expect(doc.currentRevision).toBe(1)
+    expect(doc.currentRevisionId).toEqual(store.revisions[0]._id)
+    expect(store.revisions[0]).toMatchObject({ articleId: doc._id, revision: 1, title: "Reset your password", author })
+
+    doc.body = "Open settings, then security"
+    doc.updatedBy = editor
+    await doc.save()
+    expect(doc.currentRevision).toBe(2)
+    expect(store.revisions[1]).toMatchObject({ revision: 2, body: "Open settings, then security", author: editor })
+
+    doc.views = 5
+    await doc.save()
+    expect(store.revisions).toHaveLength(2)
+  })
+
+  it("removes the revision and resets the pointer when the article write fails", async () => {
+    const store = mockStore()
+    const doc = article()
+    await doc.save()
+    const { currentRevisionId } = doc
+
+    Article.collection.updateOne.mockRejectedValueOnce(new Error("connection lost"))
+    doc.title = "Reset your password (new)"
+    await expect(doc.save()).rejects.toThrow("connection lost")
+
+    expect(store.deleted).toEqual([store.revisions[1]._id])
+    expect(doc.currentRevision).toBe(1)
+    expect(doc.currentRevisionId).toEqual(currentRevisionId)
+  })
+
+  it("refuses the save without writing the article when the revision number was taken", async () => {
+    mockStore()
+    const doc = article()
+    await doc.save()
+
+    ArticleRevision.insertMany.mockRejectedValueOnce(duplicateKey())
+    doc.body = "Someone else edited this too"
+    await expect(doc.save()).rejects.toMatchObject({ statusCode: 409 })
+
+    expect(Article.collection.updateOne).not.toHaveBeenCalled()
+    expect(doc.currentRevision).toBe(1)
+  })
+
+  it("keeps the stored content of a legacy article as revision 1 before its first edit", async () => {
+    const store = mockStore()
+    const doc = Article.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      title: "Old title",
+      body: "Old body",
+      tags: [],
+      status: "published",
+      slug: "old-title",
+      createdBy: author,
+    })
+    jest.spyOn(Article, "findById").mockReturnValue({
+      select: () => ({
+        lean: async () => ({ title: "Old title", body: "Old body", tags: [], status: "published", createdBy: author }),
+      }),
+    })
+
+    doc.body = "New body"
+    doc.updatedBy = editor
+    await doc.save()
+
+    expect(store.revisions.map(({ revision, body }) => ({ revision, body }))).toEqual([
+      { revision: 1, body: "Old body" },
+      { revision: 2, body: "New body" },
+    ])
+    expect(store.revisions[0].author).toEqual(author)
+    expect(doc.currentRevision).toBe(2)
+  })
+})
+
+describe("restoreRevision", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it("saves the old content as a new revision that records where it came from", async () => {
+    const store = mockStore()
+    const doc = article()
+    await doc.save()
+    doc.body = "A mistake"
+    await doc.save()
+
+    await restoreRevision(doc, store.revisions[0], { _id: editor })
+
+    expect(doc.body).toBe("Open settings")
+    expect(doc.currentRevision).toBe(3)
+    expect(store.revisions[2]).toMatchObject({ revision: 3, body: "Open settings", restoredFrom: 1, author: editor })
+    expect(doc.$locals.restoredFrom).toBeUndefined()
+  })
+})
+
+describe("diffRevisions", () => {
+  it("lists the changed fields only", () => {
+    const from = { revision: 1, title: "A", body: "one\ntwo", tags: ["x"], status: "draft" }
+    const to = { revision: 2, title: "A", body: "one\nthree", tags: ["y"], status: "draft" }
+
+    const diff = diffRevisions(from, to)
+
+    expect(diff.identical).toBe(false)
+    expect(Object.keys(diff.changes).sort()).toEqual(["body", "tags"])
+    expect(diff.changes.tags).toEqual({ added: ["y"], removed: ["x"] })
+    expect(diffRevisions(from, from).identical).toBe(true)
+  })
+})
@@ -0,0 +1,185 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const express = require("express")
+const request = require("supertest")
+const mongoose = require("mongoose")
+
+// Attachments are written to a scratch directory for the duration of the tests
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), "helpdesk-uploads-"))
+process.env.UPLOAD_DIR = uploadDir
+
+const Config = require("../src/models/Config")
+const Ticket = require("../src/models/Ticket")
+const { uploadAttachments } = require("../src/middleware/upload")
+const { sniffMimeType } = require("../src/services/fileType.service")
+const { withStoredAttachments } = require("../src/services/storage.service")
+
+const mockUser = { current: null }
+
+jest.mock("../src/middleware/auth", () => ({
+  auth: (req, res, next) => {
+    req.user = mockUser.current
+    next()
+  },
+  authorize: () => (req, res, next) => next(),
+}))
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00])
+const PDF = Buffer.from("%PDF-1.7\n...")
+const EXE = Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03, 0x00])
+
+const storedFiles = () => fs.readdirSync(uploadDir)
+
+afterAll(() => fs.rmSync(uploadDir, { recursive: true, force: true }))
+
+describe("sniffMimeType", () => {
+  it("recognises the allowed types from their content", () => {
+    expect(sniffMimeType(PNG)).toBe("image/png")
+    expect(sniffMimeType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe("image/jpeg")
+    expect(sniffMimeType(Buffer.from("GIF89a..."))).toBe("image/gif")
+    expect(sniffMimeType(Buffer.from("RIFF\x00\x00\x00\x00WEBPVP8 "))).toBe("image/webp")
+    expect(sniffMimeType(PDF)).toBe("application/pdf")
+    expect(sniffMimeType(Buffer.from("Order #123 never arrived\n"))).toBe("text/plain")
+  })
+
+  it("returns null for binary content it can't recognise", () => {
+    expect(sniffMimeType(EXE)).toBeNull()
+    expect(sniffMimeType(Buffer.from("RIFF\x00\x00\x00\x00WAVEfmt "))).toBeNull()
+    expect(sniffMimeType(Buffer.from([0xc3, 0x28]))).toBeNull()
+  })
+})
+
+describe("uploadAttachments", () => {
+  const app = express().post("/upload", uploadAttachments(), (req, res) =>
+    res.json(req.files.map((file) => file.mimetype)),
+  )
+
+  beforeEach(() => jest.spyOn(Config, "findOne").mockResolvedValue(null))
+  afterEach(() => jest.restoreAllMocks())
+
+  it("records the type found in the content, not the one the client claims", async () => {
+    const res = await request(app)
+      .post("/upload")
+      .attach("attachments", PNG, { filename: "screenshot.jpg", contentType: "image/jpeg" })
+
+    expect(res.status).toBe(200)
+    expect(res.body).toEqual(["image/png"])
+  })
+
+  it("rejects content that isn't an allowed type whatever the client claims", async () => {
+    const res = await request(app)
+      .post("/upload")
+      .attach("attachments", EXE, { filename: "invoice.pdf", contentType: "application/pdf" })
+
+    expect(res.status).toBe(415)
+    expect(res.body.message).toMatch("invoice.pdf")
+  })
+})
+
+describe("withStoredAttachments", () => {
+  const files = [{ buffer: PDF, originalname: "invoice.pdf", mimetype: "application/pdf", size: PDF.length }]
+  const userId = new mongoose.Types.ObjectId()
+
+  const newTicket = () => new Ticket({ title: "Refund", description: "Please refund", createdBy: userId })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+    for (const file of storedFiles()) fs.rmSync(path.join(uploadDir, file))
+  })
+
+  it("keeps the files once the ticket is written", async () => {
+    jest
+      .spyOn(Ticket.collection, "insertOne")
+      .mockImplementation(async (doc) => ({ acknowledged: true, insertedId: doc._id }))
+    const ticket = newTicket()
+
+    await withStoredAttachments(files, userId, ticket, (attachments) => {
+      ticket.attachments = attachments
+      return ticket.save()
+    })
+
+    expect(storedFiles()).toEqual([ticket.attachments[0].storageKey])
+  })
+
+  it("removes the files when the ticket fails validation", async () => {
+    const ticket = newTicket()
+    ticket.title = ""
+
+    await expect(
+      withStoredAttachments(files, userId, ticket, (attachments) => {
+        ticket.attachments = attachments
+        return ticket.save()
+      }),
+    ).rejects.toThrow(mongoose.Error.ValidationError)
+
+    expect(storedFiles()).toEqual([])
+  })
+
+  it("removes the files when the change is refused before the ticket is saved", async () => {
+    const ticket = Ticket.hydrate({ _id: new mongoose.Types.ObjectId(), status: "closed", createdBy: userId })
+    const refused = Object.assign(new Error("Cannot change ticket status"), { statusCode: 409 })
+
+    await expect(
+      withStoredAttachments(files, userId, ticket, (attachments) => {
+        ticket.replies.push({ content: "Reopen please", author: userId, attachments })
+        throw refused
+      }),
+    ).rejects.toBe(refused)
+
+    expect(storedFiles()).toEqual([])
+  })
+
+  it("keeps the files of a ticket that was written before a later step failed", async () => {
+    jest
+      .spyOn(Ticket.collection, "insertOne")
+      .mockImplementation(async (doc) => ({ acknowledged: true, insertedId: doc._id }))
+    const ticket = newTicket()
+
+    await expect(
+      withStoredAttachments(files, userId, ticket, async (attachments) => {
+        ticket.attachments = attachments
+        await ticket.save()
+        throw new Error("audit log unavailable")
+      }),
+    ).rejects.toThrow("audit log unavailable")
+
+    expect(storedFiles()).toHaveLength(1)
+  })
+})
+
+describe("GET /api/tickets/:id/attachments/:attachmentId", () => {
+  const app = express().use("/api/tickets", require("../src/routes/ticket.routes"))
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it("sends the file under its original name", async () => {
+    const storageKey = "download-test.pdf"
+    fs.writeFileSync(path.join(uploadDir, storageKey), PDF)
+    const agent = { _id: new mongoose.Types.ObjectId(), role: "agent" }
+    const ticket = Ticket.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      createdBy: new mongoose.Types.ObjectId(),
+      attachments: [
+        {
+          _id: new mongoose.Types.ObjectId(),
+          filename: 'Invoice "May" €.pdf',
+          mimeType: "application/pdf",
+          size: PDF.length,
+          storageKey,
+        },
+      ],
+    })
+    jest.spyOn(Ticket, "findById").mockResolvedValue(ticket)
+    mockUser.current = agent
+
+    const res = await request(app).get(`/api/tickets/${ticket._id}/attachments/${ticket.attachments[0]._id}`)
+
+    expect(res.status).toBe(200)
+    expect(res.headers["content-type"]).toBe("application/pdf")
+    expect(res.headers["content-disposition"]).toBe(
+      `attachment; filename="Invoice \\"May\\" ?.pdf"; filename*=UTF-8''Invoice%20%22May%22%20%E2%82%AC.pdf`,
+    )
+    expect(Buffer.from(res.body).equals(PDF)).toBe(true)
+  })
+})
@@ -0,0 +1,100 @@
+const mongoose = require("mongoose")
+const Config = require("../src/models/Config")
+const {
+  categorySettings,
+  findRiskyTerms,
+  draftReferencesArticle,
+  evaluateAutoClose,
+} = require("../src/services/autoCloseGuard.service")
+
+const article = { _id: new mongoose.Types.ObjectId(), title: "Resetting your password" }
+
+// A triage result that passes every rule; tests change one thing at a time
+const input = (overrides = {}) => ({
+  config: new Config(),
+  category: "account",
+  confidence: 0.95,
+  highlyNegative: false,
+  articles: [article],
+  draftReply: "Follow the steps in Resetting your password to get back in.",
+  text: "I forgot my password",
+  ...overrides,
+})
+
+describe("evaluateAutoClose", () => {
+  it("allows a confident, grounded reply", () => {
+    const result = evaluateAutoClose(input())
+
+    expect(result).toMatchObject({ allowed: true, reason: null, reasons: [], riskyTerms: [] })
+    expect(result.referencedArticleIds).toEqual([article._id])
+  })
+
+  it.each([
+    ["auto_close_disabled", { config: new Config({ autoCloseEnabled: false }) }],
+    ["category_auto_close_disabled", { config: new Config({ categoryAutoClose: { account: { enabled: false } } }) }],
+    ["auto_close_suppressed", { options: { autoClose: false } }],
+    ["negative_sentiment", { highlyNegative: true }],
+    ["low_confidence", { confidence: 0.5 }],
+    ["no_citations", { articles: [] }],
+    ["draft_not_grounded", { draftReply: "Please try again later." }],
+    ["risky_terms", { text: "Fix this or I'll call my lawyer" }],
+  ])("blocks with %s", (reason, overrides) => {
+    const result = evaluateAutoClose(input(overrides))
+
+    expect(result.allowed).toBe(false)
+    expect(result.reasons).toEqual([reason])
+    expect(result.reason).toBe(reason)
+  })
+
+  it("reports every rule that blocks", () => {
+    const result = evaluateAutoClose(input({ confidence: 0.1, articles: [], text: "chargeback" }))
+
+    expect(result.reasons).toEqual(["low_confidence", "no_citations", "risky_terms"])
+    expect(result.riskyTerms).toEqual(["chargeback"])
+  })
+
+  it("uses the category's own threshold", () => {
+    const config = new Config({
+      confidenceThreshold: 0.5,
+      categoryAutoClose: { account: { confidenceThreshold: 0.99 } },
+    })
+
+    expect(evaluateAutoClose(input({ config })).reasons).toEqual(["low_confidence"])
+    expect(evaluateAutoClose(input({ config, category: "billing" })).allowed).toBe(true)
+  })
+})
+
+describe("categorySettings", () => {
+  it("falls back to the global threshold", () => {
+    expect(categorySettings(new Config({ confidenceThreshold: 0.6 }), "billing")).toEqual({
+      enabled: true,
+      threshold: 0.6,
+    })
+  })
+
+  it("reads plain-object config too", () => {
+    const config = { confidenceThreshold: 0.6, categoryAutoClose: { billing: { enabled: false } } }
+
+    expect(categorySettings(config, "billing")).toEqual({ enabled: false, threshold: 0.6 })
+  })
+})
+
+describe("findRiskyTerms", () => {
+  it("matches whole words, ignoring case", () => {
+    expect(findRiskyTerms("Talking to my LAWYER", ["lawyer", "legal"])).toEqual(["lawyer"])
+    expect(findRiskyTerms("paralegal team", ["legal"])).toEqual([])
+  })
+
+  it("treats terms as text, not patterns", () => {
+    expect(findRiskyTerms("a charge.back request", ["charge.back"])).toEqual(["charge.back"])
+    expect(findRiskyTerms("a chargexback request", ["charge.back"])).toEqual([])
+  })
+})
+
+describe("draftReferencesArticle", () => {
+  it("accepts the full title or most of its significant words", () => {
+    expect(draftReferencesArticle("See resetting   your password.", { title: "Resetting your  password" })).toBe(true)
+    expect(draftReferencesArticle("Try resetting the password", article)).toBe(true)
+    expect(draftReferencesArticle("Try again later", article)).toBe(false)
+  })
+})
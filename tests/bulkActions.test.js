@@ -0,0 +1,120 @@
+const express = require("express")
+const request = require("supertest")
+const mongoose = require("mongoose")
+const AuditLog = require("../src/models/AuditLog")
+const Ticket = require("../src/models/Ticket")
+const { BULK_MAX_TICKETS } = require("../src/services/ticketActions.service")
+
+const mockUser = { current: null }
+
+jest.mock("../src/middleware/auth", () => ({
+  auth: (req, res, next) => {
+    req.user = mockUser.current
+    next()
+  },
+  authorize: () => (req, res, next) => next(),
+}))
+
+const app = express().use(express.json()).use("/api/tickets", require("../src/routes/ticket.routes"))
+
+const agent = { _id: new mongoose.Types.ObjectId(), role: "agent", email: "agent@example.com" }
+
+const ticket = (status, fields = {}) =>
+  Ticket.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    title: "Refund",
+    description: "Where is my refund?",
+    status,
+    tags: [],
+    createdBy: new mongoose.Types.ObjectId(),
+    ...fields,
+  })
+
+// Ticket.find returns the given tickets and records the query; returns the audit spy
+const mockTickets = (tickets) => {
+  jest.spyOn(Ticket, "find").mockReturnValue({ sort: () => ({ limit: async () => tickets }) })
+  jest.spyOn(Ticket.prototype, "save").mockImplementation(function () {
+    return Promise.resolve(this)
+  })
+  return jest.spyOn(AuditLog.prototype, "save").mockImplementation(function () {
+    return Promise.resolve(this)
+  })
+}
+
+const bulk = (body) => request(app).post("/api/tickets/bulk").send(body)
+
+describe("POST /api/tickets/bulk", () => {
+  beforeEach(() => {
+    mockUser.current = agent
+  })
+  afterEach(() => jest.restoreAllMocks())
+
+  it("applies the operation to every ticket and reports IDs that don't exist", async () => {
+    const tagged = ticket("open", { tags: ["vip"] })
+    const untagged = ticket("waiting_human")
+    const missing = new mongoose.Types.ObjectId().toString()
+    const audit = mockTickets([tagged, untagged])
+
+    const res = await bulk({
+      operation: "add_tag",
+      ticketIds: [tagged._id.toString(), untagged._id.toString(), missing],
+      params: { tag: " VIP " },
+    })
+
+    expect(res.status).toBe(200)
+    expect(res.body).toMatchObject({ operation: "add_tag", total: 3, succeeded: 2, failed: 1 })
+    expect(res.body.results[0]).toEqual({
+      ticketId: missing,
+      success: false,
+      statusCode: 404,
+      message: "Ticket not found",
+    })
+    expect(untagged.tags).toEqual(["vip"])
+    expect(tagged.tags).toEqual(["vip"])
+    // Only the ticket that changed is audited, and marked as part of a bulk run
+    expect(audit.mock.contexts.map((entry) => [entry.ticketId, entry.action, entry.meta.bulk])).toEqual([
+      [untagged._id, "TICKET_TAGGED", true],
+    ])
+  })
+
+  it("carries on past tickets that can't make the transition", async () => {
+    const closed = ticket("closed")
+    const open = ticket("open")
+    const audit = mockTickets([closed, open])
+
+    const res = await bulk({ operation: "status", filter: { status: "open,closed" }, params: { status: "resolved" } })
+
+    expect(res.status).toBe(200)
+    expect(res.body.results).toEqual([
+      {
+        ticketId: closed._id.toString(),
+        success: false,
+        statusCode: 409,
+        message: "Cannot change ticket status from closed to resolved as agent",
+      },
+      { ticketId: open._id.toString(), success: true, status: "resolved" },
+    ])
+    expect(Ticket.find).toHaveBeenCalledWith({ status: { $in: ["open", "closed"] } })
+    expect(audit.mock.contexts[0].meta).toMatchObject({ from: "open", to: "resolved", reason: "bulk" })
+  })
+
+  it("refuses more tickets than the limit", async () => {
+    mockTickets(Array.from({ length: BULK_MAX_TICKETS + 1 }, () => ticket("open")))
+
+    const res = await bulk({ operation: "add_tag", filter: {}, params: { tag: "vip" } })
+
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe(`Bulk operations are limited to ${BULK_MAX_TICKETS} tickets`)
+    expect(Ticket.prototype.save).not.toHaveBeenCalled()
+  })
+
+  it("needs exactly one selection and leaves retriage to admins", async () => {
+    const id = new mongoose.Types.ObjectId().toString()
+    mockTickets([])
+
+    expect((await bulk({ operation: "add_tag", params: { tag: "vip" } })).status).toBe(400)
+    expect((await bulk({ operation: "add_tag", ticketIds: [id], filter: {}, params: { tag: "vip" } })).status).toBe(400)
+    expect((await bulk({ operation: "retriage", ticketIds: [id] })).status).toBe(403)
+    expect(Ticket.find).not.toHaveBeenCalled()
+  })
+})
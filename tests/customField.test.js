@@ -0,0 +1,88 @@
+const Ticket = require("../src/models/Ticket")
+const {
+  coerceValue,
+  validateCustomFields,
+  buildCustomFieldFilter,
+  describeCustomFields,
+} = require("../src/services/customField.service")
+
+const definitions = [
+  { key: "orderNumber", label: "Order number", type: "text", required: true },
+  { key: "amount", label: "Amount", type: "number" },
+  { key: "plan", label: "Plan", type: "enum", options: ["free", "pro"] },
+  { key: "purchasedOn", label: "Purchased on", type: "date" },
+]
+const [orderNumber, amount, plan, purchasedOn] = definitions
+
+describe("coerceValue", () => {
+  it("converts raw values to the field's type", () => {
+    expect(coerceValue(amount, "12.5")).toBe(12.5)
+    expect(coerceValue(plan, "pro")).toBe("pro")
+    expect(coerceValue(purchasedOn, "2024-03-01")).toEqual(new Date("2024-03-01"))
+    expect(coerceValue(orderNumber, 1234)).toBe("1234")
+  })
+
+  it("returns undefined for values the type can't hold", () => {
+    expect(coerceValue(amount, "twelve")).toBeUndefined()
+    expect(coerceValue(plan, "enterprise")).toBeUndefined()
+    expect(coerceValue(purchasedOn, "someday")).toBeUndefined()
+    expect(coerceValue(orderNumber, { id: 1 })).toBeUndefined()
+  })
+})
+
+describe("validateCustomFields", () => {
+  it("coerces known fields and reports unknown, invalid and missing ones", () => {
+    const { errors, values } = validateCustomFields({ amount: "9", plan: "enterprise", color: "red" }, definitions)
+
+    expect(values).toEqual({ amount: 9 })
+    expect(errors).toEqual([
+      { path: "customFields.color", msg: "Unknown custom field: color" },
+      { path: "customFields.orderNumber", msg: "Order number is required" },
+      { path: "customFields.plan", msg: "Plan must be one of free, pro" },
+    ])
+  })
+
+  it("checks only the given keys on update but won't clear a required field", () => {
+    expect(validateCustomFields({ amount: "" }, definitions, { partial: true })).toEqual({
+      errors: [],
+      values: { amount: null },
+    })
+    expect(validateCustomFields({ orderNumber: null }, definitions, { partial: true }).errors).toEqual([
+      { path: "customFields.orderNumber", msg: "Order number is required" },
+    ])
+  })
+
+  it("refuses anything but an object", () => {
+    expect(validateCustomFields(["1234"], definitions).errors).toEqual([
+      { path: "customFields", msg: "customFields must be an object" },
+    ])
+  })
+})
+
+describe("buildCustomFieldFilter", () => {
+  it("matches list filters against the typed stored values", () => {
+    expect(buildCustomFieldFilter({ amount: "10", plan: "pro" }, definitions)).toEqual({
+      "customFields.amount": 10,
+      "customFields.plan": "pro",
+    })
+  })
+
+  it("answers 400 for unknown fields and bad values", () => {
+    expect(() => buildCustomFieldFilter({ color: "red" }, definitions)).toThrow(
+      expect.objectContaining({ statusCode: 400, message: "Invalid custom field filter: color" }),
+    )
+    expect(() => buildCustomFieldFilter({ amount: "ten" }, definitions)).toThrow("Invalid custom field filter: amount")
+  })
+})
+
+describe("describeCustomFields", () => {
+  it("lists the set fields for the triage prompt", () => {
+    const ticket = new Ticket({
+      title: "Refund",
+      description: "Refund please",
+      customFields: { orderNumber: "A-1", purchasedOn: new Date("2024-03-01T10:00:00Z"), plan: null },
+    })
+
+    expect(describeCustomFields(ticket, definitions)).toEqual(["Order number: A-1", "Purchased on: 2024-03-01"])
+  })
+})
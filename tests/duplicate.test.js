@@ -0,0 +1,48 @@
+const mongoose = require("mongoose")
+const Ticket = require("../src/models/Ticket")
+const AuditLog = require("../src/models/AuditLog")
+const { mergeTickets } = require("../src/services/duplicate.service")
+const { changeStatus } = require("../src/services/ticketStatus.service")
+
+jest.mock("../src/services/ticketStatus.service", () => ({ changeStatus: jest.fn() }))
+
+const newTicket = (createdBy, fields = {}) => {
+  const ticket = new Ticket({ title: "Cannot log in", description: "Password reset fails", createdBy, ...fields })
+  ticket.save = jest.fn().mockResolvedValue(ticket)
+  return ticket
+}
+
+describe("mergeTickets", () => {
+  beforeEach(() => {
+    jest.spyOn(AuditLog, "insertMany").mockResolvedValue([])
+    changeStatus.mockReset()
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it("rejects merging tickets from different requesters", async () => {
+    const primary = newTicket(new mongoose.Types.ObjectId())
+    const duplicate = newTicket(new mongoose.Types.ObjectId(), { description: "My card is 4111 1111 1111 1111" })
+
+    await expect(mergeTickets(duplicate, primary, { userId: "agent", traceId: "t" })).rejects.toMatchObject({
+      statusCode: 409,
+    })
+    expect(primary.replies).toHaveLength(0)
+    expect(primary.save).not.toHaveBeenCalled()
+    expect(changeStatus).not.toHaveBeenCalled()
+    expect(AuditLog.insertMany).not.toHaveBeenCalled()
+  })
+
+  it("moves the duplicate's request into the primary for the same requester", async () => {
+    const requester = new mongoose.Types.ObjectId()
+    const primary = newTicket(requester)
+    const duplicate = newTicket(requester, { title: "Login broken" })
+
+    await mergeTickets(duplicate, primary, { userId: "agent", traceId: "t" })
+
+    expect(primary.replies).toHaveLength(1)
+    expect(primary.replies[0].content).toContain("Login broken")
+    expect(duplicate.mergedInto).toEqual(primary._id)
+    expect(changeStatus).toHaveBeenCalledWith(duplicate, "closed", expect.objectContaining({ reason: "merged" }))
+  })
+})
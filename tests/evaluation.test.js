@@ -0,0 +1,97 @@
+const { triageService } = require("../src/services/triage.service")
+const {
+  classificationReport,
+  calibrationTable,
+  hitRateAtK,
+  evaluateDataset,
+} = require("../src/services/evaluation.service")
+
+const result = (label, predicted, confidence = 0.5) => ({ label, predicted, confidence })
+
+describe("classificationReport", () => {
+  it("counts predictions per label with accuracy, precision and recall", () => {
+    const report = classificationReport([
+      result("billing", "billing"),
+      result("billing", "tech"),
+      result("tech", "tech"),
+      result("other", "tech"),
+    ])
+
+    expect(report.accuracy).toBe(0.5)
+    expect(report.categories).toEqual(["billing", "other", "tech"])
+    expect(report.matrix.billing).toEqual({ billing: 1, other: 0, tech: 1 })
+    expect(report.perCategory).toEqual([
+      { category: "billing", support: 2, precision: 1, recall: 0.5 },
+      { category: "other", support: 1, precision: 0, recall: 0 },
+      { category: "tech", support: 1, precision: 1 / 3, recall: 1 },
+    ])
+  })
+})
+
+describe("calibrationTable", () => {
+  it("buckets records by confidence and measures the calibration error", () => {
+    const { rows, ece } = calibrationTable(
+      [result("a", "a", 0.9), result("a", "b", 0.9), result("a", "a", 1), result("a", "a", 0.1)],
+      2,
+    )
+
+    expect(rows).toEqual([
+      { from: 0, to: 0.5, count: 1, avgConfidence: 0.1, accuracy: 1 },
+      { from: 0.5, to: 1, count: 3, avgConfidence: expect.closeTo(0.933), accuracy: 2 / 3 },
+    ])
+    expect(ece).toBeCloseTo((1 / 4) * 0.9 + (3 / 4) * (0.9333 - 2 / 3), 3)
+  })
+})
+
+describe("hitRateAtK", () => {
+  it("scores only records with expected articles", () => {
+    const results = [
+      { expectedArticleIds: ["a"], retrievedIds: ["a", "b"] },
+      { expectedArticleIds: ["c"], retrievedIds: ["b", "c"] },
+      { expectedArticleIds: [], retrievedIds: [] },
+    ]
+
+    expect(hitRateAtK(results, [1, 2])).toEqual({ judged: 2, hitRate: { 1: 0.5, 2: 1 } })
+    expect(hitRateAtK([], [1])).toEqual({ judged: 0, hitRate: { 1: null } })
+  })
+})
+
+describe("evaluateDataset", () => {
+  const provider = {
+    name: "test",
+    model: "test-model",
+    classify: jest.fn(async (text) => ({
+      predictedCategory: text.includes("invoice") ? "billing" : "tech",
+      confidence: 0.8,
+    })),
+  }
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it("classifies every record and retrieves with the predicted category", async () => {
+    const retrieveKB = jest
+      .spyOn(triageService, "retrieveKB")
+      .mockResolvedValue([{ article: { _id: "kb-2" } }, { article: { _id: "kb-1" } }])
+
+    const report = await evaluateDataset(
+      [
+        { id: "1", title: "Wrong invoice", description: "Amount is off", tags: ["vat"], category: "billing" },
+        { id: "2", text: "The app crashes on invoice export", category: "tech", expectedArticleIds: ["kb-1"] },
+      ],
+      provider,
+    )
+
+    expect(provider.classify.mock.calls[0][0]).toBe("Wrong invoice Amount is off\nTags: vat")
+    expect(retrieveKB).toHaveBeenCalledTimes(1)
+    expect(retrieveKB).toHaveBeenCalledWith("The app crashes on invoice export", "billing", [])
+    expect(report.provider).toEqual({ name: "test", model: "test-model" })
+    expect(report.classification.accuracy).toBe(0.5)
+    expect(report.retrieval).toEqual({ judged: 1, hitRate: { 1: 0, 3: 1 } })
+  })
+
+  it("stops on a provider failure instead of scoring a fallback", async () => {
+    const failing = { ...provider, classify: jest.fn().mockRejectedValue(new Error("rate limited")) }
+
+    await expect(evaluateDataset([{ id: "1", text: "Hi", category: "tech" }], failing)).rejects.toThrow("rate limited")
+  })
+})
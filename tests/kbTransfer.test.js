@@ -0,0 +1,161 @@
+const AdmZip = require("adm-zip")
+const mongoose = require("mongoose")
+const Article = require("../src/models/Article")
+const {
+  importArticles,
+  exportArticles,
+  toMarkdownFiles,
+  readZip,
+  buildZip,
+} = require("../src/services/kbTransfer.service")
+
+const user = { _id: new mongoose.Types.ObjectId() }
+
+const markdown = (file, frontMatter, body = "Some text") => ({ file, content: `---\n${frontMatter}\n---\n${body}` })
+
+const stored = (fields) => {
+  const article = new Article({ body: "Some text", createdBy: user._id, ...fields })
+  article.save = jest.fn().mockResolvedValue(article)
+  return article
+}
+
+// Article.find is used for the slug lookup ($in) and for deleteMissing ($nin)
+const mockArticles = (articles) =>
+  jest.spyOn(Article, "find").mockImplementation((filter) => {
+    const matches = filter.slug.$in
+      ? articles.filter((article) => filter.slug.$in.includes(article.slug))
+      : articles.filter((article) => !filter.slug.$nin.includes(article.slug ?? null))
+    const query = Promise.resolve(matches)
+    query.select = () => Promise.resolve(matches)
+    return query
+  })
+
+describe("importArticles", () => {
+  beforeEach(() => {
+    jest.spyOn(Article, "deleteOne").mockResolvedValue({ deletedCount: 1 })
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it("refuses deleteMissing when no articles were parsed", async () => {
+    mockArticles([stored({ slug: "refunds", title: "Refunds" })])
+
+    await expect(importArticles([], { user, deleteMissing: true })).rejects.toMatchObject({ statusCode: 400 })
+    await expect(
+      importArticles([{ file: "notes.json", content: "[]" }], { user, deleteMissing: true, dryRun: true }),
+    ).rejects.toMatchObject({ statusCode: 400 })
+    expect(Article.deleteOne).not.toHaveBeenCalled()
+  })
+
+  it("refuses deleteMissing when a file fails validation", async () => {
+    mockArticles([stored({ slug: "refunds", title: "Refunds" })])
+    const entries = [markdown("refunds.md", "title: Refunds"), markdown("broken.md", "title: [unclosed")]
+
+    await expect(importArticles(entries, { user, deleteMissing: true })).rejects.toMatchObject({ statusCode: 400 })
+    expect(Article.deleteOne).not.toHaveBeenCalled()
+  })
+
+  it("deletes articles missing from a valid import, but never slugless ones", async () => {
+    const legacy = stored({ title: "Legacy" })
+    mockArticles([stored({ slug: "refunds", title: "Refunds" }), stored({ slug: "old", title: "Old" }), legacy])
+
+    const result = await importArticles([markdown("refunds.md", "title: Refunds")], { user, deleteMissing: true })
+
+    expect(result.applied).toBe(true)
+    expect(result.deleted.map((article) => article.slug)).toEqual(["old"])
+    expect(Article.deleteOne).toHaveBeenCalledTimes(1)
+  })
+
+  it("writes nothing on a dry run", async () => {
+    const existing = stored({ slug: "refunds", title: "Refunds" })
+    mockArticles([existing, stored({ slug: "old", title: "Old" })])
+
+    const result = await importArticles([markdown("refunds.md", "title: Refund policy")], {
+      user,
+      dryRun: true,
+      deleteMissing: true,
+    })
+
+    expect(result.applied).toBe(false)
+    expect(result.updated).toEqual([expect.objectContaining({ slug: "refunds", changes: ["title"] })])
+    expect(result.deleted).toHaveLength(1)
+    expect(existing.save).not.toHaveBeenCalled()
+    expect(Article.deleteOne).not.toHaveBeenCalled()
+  })
+
+  it("keeps the stored status when the front-matter has none", async () => {
+    const existing = stored({ slug: "refunds", title: "Refunds", status: "published" })
+    mockArticles([existing])
+
+    const result = await importArticles([markdown("refunds.md", "title: Refunds", "New text")], { user })
+
+    expect(result.updated).toEqual([expect.objectContaining({ changes: ["body"] })])
+    expect(existing.status).toBe("published")
+  })
+})
+
+describe("exportArticles", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it("always writes a slug and a status", async () => {
+    jest.spyOn(Article, "find").mockReturnValue({
+      sort: () => ({ lean: async () => [{ title: "Legacy Article", body: "Text", tags: [] }] }),
+    })
+
+    const records = await exportArticles()
+    expect(records).toEqual([
+      { slug: "legacy-article", title: "Legacy Article", body: "Text", tags: [], status: "draft" },
+    ])
+    expect(toMarkdownFiles(records)[0].content).toContain("status: draft")
+  })
+
+  it("numbers fallback slugs that another article already uses", async () => {
+    jest.spyOn(Article, "find").mockReturnValue({
+      sort: () => ({
+        lean: async () => [
+          { title: "Reset password", body: "A", tags: [] },
+          { title: "Reset password", body: "B", tags: [] },
+          { title: "", body: "C", tags: [] },
+          { slug: "reset-password-2", title: "Other", body: "D", tags: [] },
+        ],
+      }),
+    })
+
+    const records = await exportArticles()
+
+    expect(records.map((record) => record.slug)).toEqual([
+      "reset-password",
+      "reset-password-3",
+      "article",
+      "reset-password-2",
+    ])
+    const zip = new AdmZip(buildZip(toMarkdownFiles(records)))
+    expect(zip.getEntries()).toHaveLength(4)
+  })
+})
+
+describe("readZip", () => {
+  const zipOf = (files) => {
+    const zip = new AdmZip()
+    for (const [file, size] of Object.entries(files)) zip.addFile(file, Buffer.alloc(size, "a"))
+    return zip.toBuffer()
+  }
+
+  it("reads the importable files", () => {
+    expect(readZip(zipOf({ "guides/reset.md": 3, "notes.txt": 3 }))).toEqual([
+      { file: "guides/reset.md", content: "aaa" },
+    ])
+  })
+
+  it("refuses an entry that unpacks past the limit", () => {
+    expect(() => readZip(zipOf({ "big.md": 6 * 1024 * 1024 }))).toThrow(
+      expect.objectContaining({ statusCode: 413, message: "big.md is larger than 5 MB" }),
+    )
+  })
+
+  it("refuses a zip whose entries together unpack past the limit", () => {
+    const files = Object.fromEntries(Array.from({ length: 11 }, (_, i) => [`part-${i}.md`, 5 * 1024 * 1024]))
+
+    expect(() => readZip(zipOf(files))).toThrow("The zip unpacks to more than 50 MB")
+  })
+})
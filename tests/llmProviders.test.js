@@ -0,0 +1,109 @@
+const OpenAIProvider = require("../src/services/llm/openai.provider")
+const MockHttpProvider = require("../src/services/llm/mockHttp.provider")
+const { stubProvider } = require("../src/services/llm")
+const { parseClassification, parseSentiment } = require("../src/services/llm/response")
+const { BUILTIN_PROMPTS } = require("../src/services/prompt.service")
+const { triageService } = require("../src/services/triage.service")
+
+const categories = [{ name: "billing" }, { name: "tech" }]
+
+describe("model response checks", () => {
+  it("clamps numbers into range", () => {
+    expect(parseClassification({ predictedCategory: "billing", confidence: 3 }, categories)).toEqual({
+      predictedCategory: "billing",
+      confidence: 0.95,
+    })
+    expect(parseSentiment({ sentiment: "negative", score: -4, frustration: 1.5, confidence: 0 })).toEqual({
+      sentiment: "negative",
+      score: -1,
+      frustration: 1,
+      confidence: 0.1,
+    })
+  })
+
+  it.each([undefined, null, "0.9", NaN, Infinity])("refuses %p as a number", (confidence) => {
+    expect(() => parseClassification({ predictedCategory: "billing", confidence }, categories)).toThrow(
+      "Invalid confidence",
+    )
+  })
+
+  it("refuses labels outside the options", () => {
+    expect(() => parseClassification({ predictedCategory: "refunds", confidence: 0.8 }, categories)).toThrow(
+      "Invalid predictedCategory",
+    )
+    expect(() => parseSentiment({ sentiment: "angry", score: -1, frustration: 1, confidence: 0.9 })).toThrow(
+      "Invalid sentiment",
+    )
+    expect(() => parseSentiment(null)).toThrow("Invalid sentiment")
+  })
+})
+
+describe("OpenAIProvider", () => {
+  const provider = new OpenAIProvider({ apiKey: "test-key" })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it("gives up on a hung request instead of waiting forever", () => {
+    expect(provider.client.timeout).toBe(20000)
+    expect(new OpenAIProvider({ apiKey: "test-key", timeoutMs: 500 }).client.timeout).toBe(500)
+  })
+
+  it("checks the model's answers", async () => {
+    const complete = jest.spyOn(provider, "complete")
+
+    complete.mockResolvedValueOnce('{"predictedPriority":"high","confidence":0.7}')
+    await expect(provider.predictPriority("Cannot log in")).resolves.toEqual({
+      predictedPriority: "high",
+      confidence: 0.7,
+      promptVersion: 1,
+      promptId: undefined,
+    })
+    expect(complete.mock.calls[0][0]).toEqual([
+      { role: "system", content: BUILTIN_PROMPTS.priority.system },
+      { role: "user", content: "Cannot log in" },
+    ])
+
+    complete.mockResolvedValueOnce('{"predictedPriority":"high"}')
+    await expect(provider.predictPriority("Cannot log in")).rejects.toThrow("Invalid confidence")
+
+    complete.mockResolvedValueOnce('{"sentiment":"neutral","score":"0","frustration":0,"confidence":0.9}')
+    await expect(provider.analyzeSentiment("Hello")).rejects.toThrow("Invalid score")
+
+    complete.mockResolvedValueOnce("")
+    await expect(provider.draft("Hello", [])).rejects.toThrow("Invalid draftReply")
+  })
+})
+
+describe("MockHttpProvider", () => {
+  const provider = new MockHttpProvider({ baseURL: "http://mock-llm" })
+
+  const respond = (body) => jest.spyOn(global, "fetch").mockResolvedValue({ ok: true, json: async () => body })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it("checks the server's answers", async () => {
+    respond({ predictedCategory: "tech", confidence: 0.6 })
+    await expect(provider.classify("Site is down", categories)).resolves.toMatchObject({
+      predictedCategory: "tech",
+      confidence: 0.6,
+    })
+
+    respond({ predictedCategory: "tech" })
+    await expect(provider.classify("Site is down", categories)).rejects.toThrow("Invalid confidence")
+
+    respond({ predictedPriority: "critical", confidence: 0.9 })
+    await expect(provider.predictPriority("Site is down")).rejects.toThrow("Invalid predictedPriority")
+
+    respond({})
+    await expect(provider.draft("Site is down", [])).rejects.toThrow("Invalid draftReply")
+  })
+
+  it("falls back to the stub provider when the answer is unusable", async () => {
+    respond({ sentiment: "negative", score: "bad", frustration: 0.9, confidence: 0.9 })
+
+    const result = await triageService.runStep(provider, "analyzeSentiment", "This is the third time I ask!")
+
+    expect(result).toMatchObject({ provider: stubProvider.name, fallback: true })
+    expect(Number.isFinite(result.score)).toBe(true)
+  })
+})
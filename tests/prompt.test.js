@@ -0,0 +1,93 @@
+const express = require("express")
+const request = require("supertest")
+const mongoose = require("mongoose")
+const PromptTemplate = require("../src/models/PromptTemplate")
+const {
+  BUILTIN_PROMPTS,
+  buildVariables,
+  createPromptVersion,
+  renderPrompt,
+  validateTemplate,
+} = require("../src/services/prompt.service")
+
+jest.mock("../src/middleware/auth", () => ({
+  auth: (req, res, next) => {
+    req.user = { _id: "admin", role: "admin", email: "admin@example.com" }
+    next()
+  },
+  authorize: () => (req, res, next) => next(),
+}))
+
+const app = express().use(express.json()).use("/api/prompts", require("../src/routes/prompt.routes"))
+
+const duplicateKey = () => Object.assign(new Error("E11000 duplicate key error"), { code: 11000 })
+
+const template = { system: "Rate the urgency.", user: "{{ticket}}" }
+
+// Built-ins are already stored; findOne answers the latest stored version per call
+const mockLatestVersion = (...versions) => {
+  jest.spyOn(PromptTemplate, "exists").mockResolvedValue(true)
+  const latest = jest.spyOn(PromptTemplate, "findOne")
+  for (const version of versions) {
+    latest.mockReturnValueOnce({ sort: () => ({ select: async () => ({ version }) }) })
+  }
+}
+
+describe("priority and sentiment prompts", () => {
+  it.each(["priority", "sentiment"])("has a built-in %s template that takes the ticket", (step) => {
+    const prompt = BUILTIN_PROMPTS[step]
+
+    expect(validateTemplate(step, prompt)).toEqual([])
+    expect(renderPrompt(prompt, buildVariables(step, { text: "Site is down" })).user).toBe("Site is down")
+  })
+
+  it("refuses variables another step provides", () => {
+    expect(validateTemplate("priority", { system: "{{articles}}", user: "{{ticket}}" })).toEqual([
+      "Unknown variable {{articles}} for priority (available: ticket)",
+    ])
+  })
+})
+
+describe("createPromptVersion", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it("takes the next free version when another admin saved the same one", async () => {
+    mockLatestVersion(2, 3)
+    const create = jest
+      .spyOn(PromptTemplate, "create")
+      .mockRejectedValueOnce(duplicateKey())
+      .mockImplementation(async (fields) => fields)
+
+    const created = await createPromptVersion("priority", template)
+
+    expect(created.version).toBe(4)
+    expect(create).toHaveBeenCalledTimes(2)
+  })
+
+  it("answers 409 when the clashes don't stop", async () => {
+    mockLatestVersion(1, 1, 1, 1, 1)
+    jest.spyOn(PromptTemplate, "create").mockRejectedValue(duplicateKey())
+
+    const res = await request(app)
+      .post("/api/prompts")
+      .send({ step: "priority", ...template })
+
+    expect(res.status).toBe(409)
+    expect(PromptTemplate.create).toHaveBeenCalledTimes(5)
+  })
+
+  it("creates the version through the route", async () => {
+    mockLatestVersion(1)
+    jest.spyOn(PromptTemplate, "create").mockImplementation(async (fields) => ({
+      _id: new mongoose.Types.ObjectId(),
+      ...fields,
+    }))
+
+    const res = await request(app)
+      .post("/api/prompts")
+      .send({ step: "sentiment", ...template })
+
+    expect(res.status).toBe(201)
+    expect(res.body).toMatchObject({ step: "sentiment", version: 2, variables: ["ticket"] })
+  })
+})
@@ -0,0 +1,106 @@
+const mongoose = require("mongoose")
+const AgentSuggestion = require("../src/models/AgentSuggestion")
+const Config = require("../src/models/Config")
+const CustomField = require("../src/models/CustomField")
+const Ticket = require("../src/models/Ticket")
+const { Redactor, maskValue } = require("../src/services/redaction.service")
+const { exportFeedbackDataset } = require("../src/services/evaluation.service")
+
+describe("Redactor", () => {
+  it("replaces each detected value with a numbered placeholder and restores it", () => {
+    const redactor = new Redactor()
+
+    const redacted = redactor.redact("Mail jane@example.com or john@example.com, again jane@example.com")
+
+    expect(redacted).toBe("Mail [EMAIL_1] or [EMAIL_2], again [EMAIL_1]")
+    expect(redactor.restore("Reply sent to [EMAIL_2]")).toBe("Reply sent to john@example.com")
+  })
+
+  it("keeps placeholders consistent across separately redacted texts", () => {
+    const redactor = new Redactor()
+
+    expect(redactor.redact("From jane@example.com")).toBe("From [EMAIL_1]")
+    expect(redactor.redact("Reply to jane@example.com")).toBe("Reply to [EMAIL_1]")
+  })
+
+  it("only runs the configured detectors", () => {
+    const redactor = new Redactor(["phone"])
+
+    expect(redactor.redact("jane@example.com, +1 555 010 9999")).toBe("jane@example.com, [PHONE_1]")
+  })
+
+  it("detects valid card numbers and IBANs only", () => {
+    const redactor = new Redactor()
+
+    expect(redactor.redact("Card 4111 1111 1111 1111")).toBe("Card [CARD_1]")
+    expect(redactor.redact("Card 4111 1111 1111 1112")).not.toContain("[CARD")
+    expect(redactor.redact("IBAN GB82 WEST 1234 5698 7654 32")).toBe("IBAN [IBAN_1]")
+    expect(redactor.redact("IBAN GB00 WEST 1234 5698 7654 32")).not.toContain("[IBAN")
+  })
+})
+
+describe("phone detection", () => {
+  const redact = (text) => new Redactor(["phone"]).redact(text)
+
+  it.each(["+1 555 010 9999", "+447911123456", "(555) 010-9999", "555-010-9999", "030 1234 5678"])(
+    "masks %s",
+    (phone) => {
+      expect(redact(`Call ${phone}`)).toMatch(/^Call \[PHONE_1\]/)
+    },
+  )
+
+  it.each(["order 123456789", "account 12345678901", "ref 4000123456"])("leaves a bare digit run alone: %s", (text) => {
+    expect(redact(text)).toBe(text)
+  })
+
+  it("leaves IDs, UUIDs and timestamps alone", () => {
+    const text = "ticket 65f1c2a9e4b0a1234567890a, trace 1b4e28ba-2fa1-11d2-883f-0016d3cca427 at 2024-03-01T10:15:30Z"
+
+    expect(redact(text)).toBe(text)
+  })
+})
+
+describe("maskValue", () => {
+  it("masks strings in nested objects and secret keys", () => {
+    const masked = maskValue({
+      user: { email: "jane@example.com", password: "hunter2" },
+      notes: ["call +1 555 010 9999"],
+      attempts: 3,
+    })
+
+    expect(masked).toEqual({ user: { email: "[EMAIL]", password: "[REDACTED]" }, notes: ["call [PHONE]"], attempts: 3 })
+  })
+
+  it("leaves text alone when no detectors are active", () => {
+    expect(maskValue("jane@example.com", [])).toBe("jane@example.com")
+  })
+})
+
+describe("exportFeedbackDataset", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it("redacts ticket text", async () => {
+    const ticket = new Ticket({
+      title: "Refund for jane@example.com",
+      description: "Call me on +1 555 010 9999 about order 123456789",
+      createdBy: new mongoose.Types.ObjectId(),
+    })
+    const suggestion = {
+      ticketId: ticket._id,
+      predictedCategory: "billing",
+      articleIds: [],
+      feedback: { action: "sent" },
+    }
+    jest.spyOn(AgentSuggestion, "find").mockReturnValue({ sort: () => ({ lean: async () => [suggestion] }) })
+    jest.spyOn(CustomField, "find").mockReturnValue({ sort: async () => [] })
+    jest.spyOn(Config, "findOne").mockResolvedValue(null)
+    jest.spyOn(Ticket, "findById").mockResolvedValue(ticket)
+
+    const [record] = await exportFeedbackDataset()
+
+    expect(record.title).toBe("Refund for [EMAIL_1]")
+    expect(record.description).toBe("Call me on [PHONE_1] about order 123456789")
+    expect(record.text).toBe("Refund for [EMAIL_1] Call me on [PHONE_1] about order 123456789")
+    expect(record.category).toBe("billing")
+  })
+})
@@ -0,0 +1,92 @@
+const express = require("express")
+const request = require("supertest")
+const mongoose = require("mongoose")
+const AuditLog = require("../src/models/AuditLog")
+const Ticket = require("../src/models/Ticket")
+const TriageJob = require("../src/models/TriageJob")
+
+const mockUser = { current: null }
+
+jest.mock("../src/middleware/auth", () => ({
+  auth: (req, res, next) => {
+    req.user = mockUser.current
+    next()
+  },
+  authorize: () => (req, res, next) => next(),
+}))
+
+const app = express().use(express.json()).use("/api/tickets", require("../src/routes/ticket.routes"))
+
+const requester = { _id: new mongoose.Types.ObjectId(), role: "user", email: "requester@example.com" }
+
+const ticket = (status) =>
+  Ticket.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    title: "Refund",
+    description: "Where is my refund?",
+    status,
+    createdBy: requester._id,
+  })
+
+// Load the ticket and record what the route saves
+const mockTicket = (doc) => {
+  jest.spyOn(Ticket, "findById").mockResolvedValue(doc)
+  jest.spyOn(Ticket.prototype, "save").mockImplementation(function () {
+    return Promise.resolve(this)
+  })
+  jest.spyOn(Ticket.prototype, "populate").mockImplementation(function () {
+    return Promise.resolve(this)
+  })
+  jest.spyOn(TriageJob, "findOneAndUpdate").mockResolvedValue(null)
+  jest.spyOn(TriageJob.prototype, "save").mockImplementation(function () {
+    return Promise.resolve(this)
+  })
+  return jest.spyOn(AuditLog.prototype, "save").mockImplementation(function () {
+    return Promise.resolve(this)
+  })
+}
+
+const reply = (doc, body) => request(app).post(`/api/tickets/${doc._id}/requester-reply`).send(body)
+
+describe("POST /api/tickets/:id/requester-reply", () => {
+  beforeEach(() => {
+    mockUser.current = requester
+  })
+  afterEach(() => jest.restoreAllMocks())
+
+  it("hands a resolved ticket back to a human when the answer didn't help", async () => {
+    const doc = ticket("resolved")
+    const audit = mockTicket(doc)
+
+    const res = await reply(doc, { content: "That didn't work" })
+
+    expect(res.status).toBe(200)
+    expect(doc.status).toBe("waiting_human")
+    expect(doc.replies[0]).toMatchObject({ content: "That didn't work", isAgent: false })
+    expect(audit.mock.contexts.map((entry) => entry.action)).toEqual(["STATUS_CHANGED", "REQUESTER_REPLIED"])
+    expect(TriageJob.prototype.save).not.toHaveBeenCalled()
+  })
+
+  it("re-opens the ticket and queues a triage that may not auto-close when asked to", async () => {
+    const doc = ticket("resolved")
+    mockTicket(doc)
+
+    const res = await reply(doc, { content: "Please look again", retriage: true })
+
+    expect(res.status).toBe(200)
+    expect(doc.status).toBe("open")
+    expect(TriageJob.prototype.save.mock.contexts[0].options).toEqual({ autoClose: false })
+  })
+
+  it("refuses closed tickets and other people's tickets", async () => {
+    const closed = ticket("closed")
+    mockTicket(closed)
+    expect((await reply(closed, { content: "Hello?" })).status).toBe(409)
+
+    const resolved = ticket("resolved")
+    Ticket.findById.mockResolvedValue(resolved)
+    mockUser.current = { _id: new mongoose.Types.ObjectId(), role: "user" }
+    expect((await reply(resolved, { content: "Hello?" })).status).toBe(403)
+    expect(resolved.replies).toHaveLength(0)
+  })
+})
@@ -0,0 +1,174 @@
+const mongoose = require("mongoose")
+const Article = require("../src/models/Article")
+const Bm25Index = require("../src/services/retrieval/bm25")
+const { tokenize, chunkArticle } = require("../src/services/retrieval/text")
+const { extractSnippet, bestPassage } = require("../src/services/retrieval/snippet")
+const { retrieve, withPassages } = require("../src/services/retrieval")
+
+const article = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  tags: [],
+  status: "published",
+  updatedAt: new Date(),
+  ...fields,
+})
+
+const REFUNDS = article({
+  title: "Refund policy",
+  tags: ["billing"],
+  body: `# Refunds
+
+Refunds are issued to the original card within 5 business days.
+
+## Partial refunds
+
+Orders that shipped in parts are refunded per item.
+
+# Invoices
+
+Download invoices from the billing page.`,
+})
+
+const PASSWORD = article({
+  title: "Reset your password",
+  tags: ["account"],
+  body: "Open settings, choose security and click reset password. A link is emailed to you.",
+})
+
+const SHIPPING = article({
+  title: "Shipping times",
+  tags: ["shipping"],
+  body: "Parcels arrive within 3 to 7 days depending on the destination.",
+})
+
+// The published articles retrieve indexes; a new signature makes it rebuild
+let signature = 0
+const mockArticles = (articles) => {
+  signature++
+  jest.spyOn(Article, "aggregate").mockResolvedValue([{ count: signature, updatedAt: new Date(signature) }])
+  jest.spyOn(Article, "find").mockReturnValue({ lean: async () => articles })
+}
+
+describe("tokenize", () => {
+  it("drops stop words and stems word forms onto one token", () => {
+    expect(tokenize("Please help, I was refunded twice for my refunds!")).toEqual(["refund", "twice", "refund"])
+  })
+})
+
+describe("Bm25Index", () => {
+  it("ranks rarer and more frequent terms higher and skips documents without a match", () => {
+    const index = new Bm25Index()
+    index.add("refund", tokenize("refund card refund"))
+    index.add("card", tokenize("card card expiry"))
+    index.add("other", tokenize("shipping parcel"))
+
+    const scores = index.search(tokenize("refund card"))
+
+    expect([...scores.keys()].sort()).toEqual(["card", "refund"])
+    expect(scores.get("refund")).toBeGreaterThan(scores.get("card"))
+    expect(new Bm25Index().search(["refund"]).size).toBe(0)
+  })
+})
+
+describe("chunkArticle", () => {
+  it("splits at headings and keeps each chunk's heading trail and body offsets", () => {
+    const chunks = chunkArticle(REFUNDS)
+
+    expect(chunks.map((chunk) => chunk.heading)).toEqual(["Refunds", "Refunds > Partial refunds", "Invoices"])
+    for (const chunk of chunks) {
+      expect(REFUNDS.body.slice(chunk.start, chunk.end)).toBe(chunk.text)
+    }
+    expect(chunks[1].text).toBe("Orders that shipped in parts are refunded per item.")
+    // The title and headings count for every chunk under them
+    expect(chunks[2].tokens).toEqual(expect.arrayContaining(["refund", "policy", "invoice"]))
+  })
+
+  it("ignores headings inside code fences and splits long paragraphs between sentences", () => {
+    const sentence = "This sentence is about forty characters. "
+    const doc = article({
+      title: "Long",
+      body: `# Setup\n\n\`\`\`\n# not a heading\n\`\`\`\n\n${sentence.repeat(30).trim()}`,
+    })
+
+    const chunks = chunkArticle(doc)
+
+    expect(chunks.every((chunk) => chunk.heading === "Setup")).toBe(true)
+    expect(chunks.length).toBeGreaterThan(1)
+    expect(chunks.every((chunk) => chunk.text.length <= 600)).toBe(true)
+  })
+})
+
+describe("extractSnippet", () => {
+  it("centres on the matches and highlights them with HTML escaped", () => {
+    const text = `${"Unrelated words here. ".repeat(10)}Your <refund> is refunded to the card. ${"More filler. ".repeat(10)}`
+
+    const snippet = extractSnippet(text, tokenize("refund card"), { offset: 100 })
+
+    expect(snippet.text).toContain("Your <refund> is refunded to the card.")
+    expect(snippet.start).toBe(100 + text.indexOf(snippet.text))
+    expect(snippet.highlights.map(({ start, end }) => snippet.text.slice(start, end))).toEqual([
+      "refund",
+      "refunded",
+      "card",
+    ])
+    expect(snippet.highlighted).toContain("&lt;<mark>refund</mark>&gt; is <mark>refunded</mark>")
+  })
+})
+
+describe("bestPassage", () => {
+  it("picks the chunk with the most query terms", () => {
+    const { chunk, snippet } = bestPassage(REFUNDS, tokenize("download my invoice"))
+
+    expect(chunk.heading).toBe("Invoices")
+    expect(REFUNDS.body.slice(snippet.start, snippet.end)).toBe(snippet.text)
+  })
+})
+
+describe("retrieve", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it("returns the best matching articles with the passage that matched", async () => {
+    mockArticles([REFUNDS, PASSWORD, SHIPPING])
+
+    const hits = await retrieve("How do I get a partial refund for an order shipped in parts?")
+
+    expect(hits[0].article._id).toBe(REFUNDS._id)
+    expect(hits[0].chunk.heading).toBe("Refunds > Partial refunds")
+    expect(hits[0].scores.bm25).toBe(1)
+    expect(hits[0].snippet.highlights.length).toBeGreaterThan(0)
+    expect(hits.map((hit) => hit.article._id)).not.toContain(PASSWORD._id)
+  })
+
+  it("boosts the predicted category and the ticket's tags", async () => {
+    mockArticles([REFUNDS, PASSWORD, SHIPPING])
+    const weights = { embeddingWeight: 0, recencyWeight: 0 }
+
+    const plain = await retrieve("it still has not arrived", { weights })
+    const boosted = await retrieve("it still has not arrived", { category: "Shipping", tags: ["shipping"], weights })
+
+    expect(plain).toEqual([])
+    expect(boosted.map((hit) => hit.article._id)).toEqual([SHIPPING._id])
+    expect(boosted[0].scores).toMatchObject({ category: 0.3, tags: 0.2 })
+  })
+
+  it("rebuilds the index when articles change", async () => {
+    mockArticles([PASSWORD])
+    expect(await retrieve("refund to my card")).toEqual([])
+
+    mockArticles([PASSWORD, REFUNDS])
+    expect((await retrieve("refund to my card"))[0].article._id).toBe(REFUNDS._id)
+    expect(Article.find).toHaveBeenCalledWith({ status: "published" })
+  })
+
+  it("hands the draft step the matched passage instead of the article start", async () => {
+    mockArticles([REFUNDS])
+
+    const [draftArticle] = withPassages(await retrieve("where is my invoice"))
+
+    expect(draftArticle).toMatchObject({
+      title: "Refund policy",
+      heading: "Invoices",
+      passage: "Download invoices from the billing page.",
+    })
+  })
+})
@@ -0,0 +1,84 @@
+const mongoose = require("mongoose")
+const Config = require("../src/models/Config")
+const Ticket = require("../src/models/Ticket")
+const { applySlaDueDates, getSlaReport } = require("../src/services/sla.service")
+
+const HOUR_MS = 60 * 60 * 1000
+
+// Defaults: 4h first response, 24h resolution; low x2, normal x1, high x0.5, urgent x0.25
+const config = new Config({ firstResponseHours: 4, slaHours: 24 })
+
+const createdAt = new Date("2026-03-02T09:00:00Z")
+const hoursAfter = (hours) => new Date(createdAt.getTime() + hours * HOUR_MS)
+
+const ticket = (fields = {}) =>
+  Ticket.hydrate({ _id: new mongoose.Types.ObjectId(), status: "waiting_human", createdAt, ...fields })
+
+describe("applySlaDueDates", () => {
+  it("scales the due dates by the priority", () => {
+    const urgent = ticket({ priority: "urgent" })
+
+    applySlaDueDates(urgent, config)
+
+    expect(urgent.sla.firstResponseDueAt).toEqual(hoursAfter(1))
+    expect(urgent.sla.resolutionDueAt).toEqual(hoursAfter(6))
+  })
+
+  it("clears breaches that no longer hold once the due dates move out", () => {
+    const lowered = ticket({
+      priority: "low",
+      sla: { firstResponseBreached: true, resolutionBreached: true, breachedAt: hoursAfter(4) },
+    })
+
+    applySlaDueDates(lowered, config, hoursAfter(6))
+
+    expect(lowered.sla.firstResponseBreached).toBe(false)
+    expect(lowered.sla.resolutionBreached).toBe(false)
+    expect(lowered.sla.breachedAt).toBeUndefined()
+  })
+
+  it("judges a first response that was already sent against the new due date", () => {
+    const answered = ticket({
+      priority: "low",
+      sla: { firstRespondedAt: hoursAfter(10), firstResponseBreached: true, breachedAt: hoursAfter(4) },
+    })
+
+    applySlaDueDates(answered, config, hoursAfter(12))
+
+    expect(answered.sla.firstResponseBreached).toBe(true)
+    expect(answered.sla.breachedAt).toEqual(hoursAfter(4))
+  })
+
+  it("leaves new breaches for the sweep to flag and audit", () => {
+    const raised = ticket({ priority: "urgent" })
+
+    applySlaDueDates(raised, config, hoursAfter(2))
+
+    expect(raised.sla.firstResponseDueAt).toEqual(hoursAfter(1))
+    expect(raised.sla.firstResponseBreached).toBe(false)
+  })
+})
+
+describe("getSlaReport", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it("measures the at-risk window against each priority's own SLA", async () => {
+    jest.spyOn(Config, "findOne").mockResolvedValue(config)
+    const populate = { populate: () => populate, sort: () => populate, then: (resolve) => resolve([]) }
+    const find = jest.spyOn(Ticket, "find").mockReturnValue(populate)
+    const now = hoursAfter(0)
+
+    const report = await getSlaReport(now)
+
+    expect(report.atRiskBefore.urgent).toEqual({ firstResponse: hoursAfter(0.25), resolution: hoursAfter(1.5) })
+    expect(report.atRiskBefore.low).toEqual({ firstResponse: hoursAfter(2), resolution: hoursAfter(12) })
+
+    const atRiskFilter = find.mock.calls[1][0]
+    expect(atRiskFilter.$or).toContainEqual({ priority: "urgent", "sla.resolutionDueAt": { $lte: hoursAfter(1.5) } })
+    expect(atRiskFilter.$or).toContainEqual({
+      priority: "high",
+      "sla.firstRespondedAt": null,
+      "sla.firstResponseDueAt": { $lte: hoursAfter(0.5) },
+    })
+  })
+})
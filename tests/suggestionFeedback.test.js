@@ -0,0 +1,195 @@
+const mongoose = require("mongoose")
+const AgentSuggestion = require("../src/models/AgentSuggestion")
+const AuditLog = require("../src/models/AuditLog")
+const Ticket = require("../src/models/Ticket")
+const { replyToTicket } = require("../src/services/ticketActions.service")
+const { editDistance, recordFeedback, getFeedbackStats } = require("../src/services/suggestionFeedback.service")
+
+jest.mock("../src/services/ticketActions.service", () => ({ replyToTicket: jest.fn() }))
+
+const agent = { _id: new mongoose.Types.ObjectId(), role: "agent" }
+
+const setup = () => {
+  const ticket = new Ticket({ title: "Refund", description: "Refund please", createdBy: new mongoose.Types.ObjectId() })
+  ticket.save = jest.fn().mockResolvedValue(ticket)
+  const suggestion = new AgentSuggestion({
+    ticketId: ticket._id,
+    version: 2,
+    predictedCategory: "billing",
+    confidence: 0.7,
+    draftReply: "Your refund is on its way.",
+  })
+  return { ticket, suggestion }
+}
+
+// findOneAndUpdate claims the feedback only while the stored suggestion has none
+const mockStore = (suggestion) => {
+  let stored = null
+  jest.spyOn(AgentSuggestion, "findOneAndUpdate").mockImplementation(async (filter, update) => {
+    if (stored) return null
+    stored = update.$set.feedback
+    return new AgentSuggestion({ ...suggestion.toObject(), feedback: stored })
+  })
+  jest.spyOn(AgentSuggestion, "updateOne").mockImplementation(async () => {
+    stored = null
+  })
+  return { stored: () => stored }
+}
+
+describe("editDistance", () => {
+  it.each([
+    ["", "", 0],
+    ["kitten", "sitting", 3],
+    ["flaw", "lawn", 2],
+    ["", "abc", 3],
+    ["same text", "same text", 0],
+  ])("%j -> %j is %i", (a, b, distance) => {
+    expect(editDistance(a, b)).toBe(distance)
+    expect(editDistance(b, a)).toBe(distance)
+  })
+
+  it("returns null once the distance is over the limit", () => {
+    expect(editDistance("kitten", "sitting", 3)).toBe(3)
+    expect(editDistance("kitten", "sitting", 2)).toBeNull()
+    expect(editDistance("short", "a much longer reply", 5)).toBeNull()
+  })
+
+  it("stays fast on long replies", () => {
+    const draft = "Thanks for reaching out. ".repeat(400)
+    const started = Date.now()
+
+    expect(editDistance(draft, `Hi! ${draft}`, 1000)).toBe(4)
+    expect(editDistance(draft, "x".repeat(draft.length), 1000)).toBeNull()
+    expect(Date.now() - started).toBeLessThan(2000)
+  })
+})
+
+describe("recordFeedback", () => {
+  beforeEach(() => {
+    replyToTicket.mockReset().mockImplementation(async (ticket) => ticket)
+    jest.spyOn(AuditLog.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this)
+    })
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it("sends an edited draft and records how much it changed", async () => {
+    const { ticket, suggestion } = setup()
+    mockStore(suggestion)
+
+    const updated = await recordFeedback(
+      suggestion,
+      ticket,
+      { action: "edited", content: "Your refund is on its way!" },
+      { user: agent, traceId: "trace-1" },
+    )
+
+    expect(replyToTicket).toHaveBeenCalledWith(
+      ticket,
+      { content: "Your refund is on its way!", status: undefined },
+      { user: agent, traceId: "trace-1" },
+    )
+    expect(updated.feedback).toMatchObject({ action: "edited", editDistance: 1, editRatio: 0.038 })
+    const [entry] = AuditLog.prototype.save.mock.contexts
+    expect(entry).toMatchObject({ action: "SUGGESTION_FEEDBACK", meta: { action: "edited", version: 2 } })
+  })
+
+  it("sends the reply once when two agents accept at the same time", async () => {
+    const { ticket, suggestion } = setup()
+    mockStore(suggestion)
+    const accept = () => recordFeedback(suggestion, ticket, { action: "accepted" }, { user: agent, traceId: "t" })
+
+    const results = await Promise.allSettled([accept(), accept()])
+
+    expect(results.map((result) => result.status).sort()).toEqual(["fulfilled", "rejected"])
+    expect(results.find((result) => result.status === "rejected").reason).toMatchObject({ statusCode: 409 })
+    expect(replyToTicket).toHaveBeenCalledTimes(1)
+  })
+
+  it("releases the claim when the reply can't be sent", async () => {
+    const { ticket, suggestion } = setup()
+    const store = mockStore(suggestion)
+    replyToTicket.mockRejectedValue(Object.assign(new Error("Cannot change ticket status"), { statusCode: 409 }))
+
+    await expect(
+      recordFeedback(suggestion, ticket, { action: "accepted", status: "open" }, { user: agent, traceId: "t" }),
+    ).rejects.toMatchObject({ statusCode: 409 })
+
+    expect(store.stored()).toBeNull()
+    expect(AuditLog.prototype.save).not.toHaveBeenCalled()
+  })
+
+  it("refuses to resend a draft that auto-close already sent", async () => {
+    const { ticket, suggestion } = setup()
+    suggestion.autoClosed = true
+    mockStore(suggestion)
+
+    await expect(
+      recordFeedback(suggestion, ticket, { action: "accepted" }, { user: agent, traceId: "t" }),
+    ).rejects.toMatchObject({ statusCode: 409 })
+    expect(AgentSuggestion.findOneAndUpdate).not.toHaveBeenCalled()
+  })
+
+  it("saves a rejection and a category correction without replying", async () => {
+    const { ticket, suggestion } = setup()
+    mockStore(suggestion)
+
+    const updated = await recordFeedback(
+      suggestion,
+      ticket,
+      { action: "rejected", reason: "Wrong policy", correctedCategory: "technical" },
+      { user: agent, traceId: "t" },
+    )
+
+    expect(replyToTicket).not.toHaveBeenCalled()
+    expect(ticket.category).toBe("technical")
+    expect(ticket.save).toHaveBeenCalled()
+    expect(updated.feedback).toMatchObject({ action: "rejected", reason: "Wrong policy" })
+    expect(updated.feedback.editDistance).toBeUndefined()
+  })
+})
+
+describe("getFeedbackStats", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it("turns the counts into acceptance and usable rates", async () => {
+    const counts = { total: 4, accepted: 2, edited: 1, rejected: 1, categoryCorrected: 1, avgEditRatio: 0.2 }
+    jest.spyOn(AgentSuggestion, "aggregate").mockResolvedValue([
+      {
+        overall: [{ _id: null, ...counts }],
+        category: [{ _id: "billing", ...counts }],
+        provider: [{ _id: "stub", ...counts, avgEditRatio: null }],
+        promptVersion: [],
+      },
+    ])
+
+    const stats = await getFeedbackStats({ from: "2024-01-01" })
+
+    const [pipeline] = AgentSuggestion.aggregate.mock.calls[0]
+    expect(pipeline[0].$match["feedback.createdAt"]).toEqual({ $gte: new Date("2024-01-01") })
+    expect(stats.overall).toEqual({ ...counts, acceptanceRate: 0.5, usableRate: 0.75 })
+    expect(stats.category).toEqual([{ key: "billing", ...counts, acceptanceRate: 0.5, usableRate: 0.75 }])
+    expect(stats.provider[0].avgEditRatio).toBeNull()
+    expect(stats.promptVersion).toEqual([])
+  })
+
+  it("reports zeros when there is no feedback yet", async () => {
+    jest
+      .spyOn(AgentSuggestion, "aggregate")
+      .mockResolvedValue([{ overall: [], category: [], provider: [], promptVersion: [] }])
+
+    const { overall } = await getFeedbackStats()
+
+    expect(overall).toEqual({
+      total: 0,
+      accepted: 0,
+      edited: 0,
+      rejected: 0,
+      categoryCorrected: 0,
+      acceptanceRate: 0,
+      usableRate: 0,
+      avgEditRatio: null,
+    })
+  })
+})
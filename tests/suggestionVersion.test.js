@@ -0,0 +1,131 @@
+const mongoose = require("mongoose")
+const AgentSuggestion = require("../src/models/AgentSuggestion")
+const { diffLines, diffSuggestions } = require("../src/services/suggestionDiff.service")
+
+const ticketId = new mongoose.Types.ObjectId()
+
+const suggestion = (fields = {}) =>
+  new AgentSuggestion({
+    ticketId,
+    predictedCategory: "billing",
+    confidence: 0.8,
+    draftReply: "Hello\nYour refund is on its way.",
+    ...fields,
+  })
+
+const duplicateKey = () => Object.assign(new Error("E11000 duplicate key error"), { code: 11000 })
+
+// Latest stored version for the ticket, as saveAsNextVersion looks it up
+const mockLatestVersion = (...versions) => {
+  const latest = jest.spyOn(AgentSuggestion, "findOne")
+  for (const version of versions) {
+    latest.mockReturnValueOnce({ sort: () => ({ select: async () => (version ? { version } : null) }) })
+  }
+  return latest
+}
+
+describe("saveAsNextVersion", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it("starts at version 1 and follows the latest version", async () => {
+    mockLatestVersion(null, 3)
+    jest.spyOn(AgentSuggestion.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this)
+    })
+
+    expect((await suggestion().saveAsNextVersion()).version).toBe(1)
+    expect((await suggestion().saveAsNextVersion()).version).toBe(4)
+  })
+
+  it("takes the next free version when a concurrent triage saved the same one", async () => {
+    mockLatestVersion(2, 3)
+    const save = jest
+      .spyOn(AgentSuggestion.prototype, "save")
+      .mockRejectedValueOnce(duplicateKey())
+      .mockImplementation(function () {
+        return Promise.resolve(this)
+      })
+
+    const saved = await suggestion().saveAsNextVersion()
+
+    expect(saved.version).toBe(4)
+    expect(save).toHaveBeenCalledTimes(2)
+  })
+
+  it("gives up after repeated clashes and on other errors", async () => {
+    mockLatestVersion(1, 1, 1, 1, 1)
+    jest.spyOn(AgentSuggestion.prototype, "save").mockRejectedValue(duplicateKey())
+    await expect(suggestion().saveAsNextVersion()).rejects.toMatchObject({ code: 11000 })
+    expect(AgentSuggestion.prototype.save).toHaveBeenCalledTimes(5)
+
+    jest.restoreAllMocks()
+    mockLatestVersion(1)
+    jest.spyOn(AgentSuggestion.prototype, "save").mockRejectedValue(new Error("connection lost"))
+    await expect(suggestion().saveAsNextVersion()).rejects.toThrow("connection lost")
+  })
+
+  it("has a unique index on ticket and version", () => {
+    expect(AgentSuggestion.schema.indexes()).toContainEqual([
+      { ticketId: 1, version: -1 },
+      expect.objectContaining({ unique: true }),
+    ])
+  })
+})
+
+describe("diffSuggestions", () => {
+  it("reports changed fields, articles and the draft", () => {
+    const kept = new mongoose.Types.ObjectId()
+    const dropped = new mongoose.Types.ObjectId()
+    const added = new mongoose.Types.ObjectId()
+    const from = suggestion({
+      version: 1,
+      articleIds: [kept, dropped],
+      citations: [{ articleId: kept, revision: 1 }],
+      modelInfo: { provider: "stub", promptVersion: "none" },
+    })
+    const to = suggestion({
+      version: 2,
+      predictedCategory: "account",
+      articleIds: [kept, added],
+      citations: [{ articleId: kept, revision: 2 }],
+      draftReply: "Hello\nYour refund was sent today.",
+      modelInfo: { provider: "openai", promptVersion: "classify@2+draft@1" },
+    })
+
+    const { identical, changes } = diffSuggestions(from, to)
+
+    expect(identical).toBe(false)
+    expect(changes.predictedCategory).toEqual({ from: "billing", to: "account" })
+    expect(changes.modelInfo).toMatchObject({
+      provider: { from: "stub", to: "openai" },
+      promptVersion: { from: "none", to: "classify@2+draft@1" },
+    })
+    expect(changes.articleIds).toEqual({ added: [added.toString()], removed: [dropped.toString()] })
+    expect(changes.citations).toEqual([{ articleId: kept.toString(), from: 1, to: 2 }])
+    expect(changes.draftReply).toEqual([
+      { op: "equal", line: "Hello" },
+      { op: "removed", line: "Your refund is on its way." },
+      { op: "added", line: "Your refund was sent today." },
+    ])
+  })
+
+  it("finds nothing between identical versions", () => {
+    const articleIds = [new mongoose.Types.ObjectId()]
+
+    expect(diffSuggestions(suggestion({ articleIds }), suggestion({ articleIds }))).toMatchObject({
+      identical: true,
+      changes: {},
+    })
+  })
+})
+
+describe("diffLines", () => {
+  it("keeps common lines and orders removals before additions", () => {
+    expect(diffLines("a\nb\nc", "a\nc\nd")).toEqual([
+      { op: "equal", line: "a" },
+      { op: "removed", line: "b" },
+      { op: "equal", line: "c" },
+      { op: "added", line: "d" },
+    ])
+  })
+})
@@ -0,0 +1,201 @@
+const express = require("express")
+const request = require("supertest")
+const mongoose = require("mongoose")
+const Ticket = require("../src/models/Ticket")
+const { listTickets } = require("../src/services/ticketQuery.service")
+
+// Signed in for the route tests (jest.mock factories may only use mock* variables)
+const mockAgent = { _id: new mongoose.Types.ObjectId(), role: "agent" }
+const agent = mockAgent
+
+jest.mock("../src/middleware/auth", () => ({
+  auth: (req, res, next) => {
+    req.user = mockAgent
+    next()
+  },
+  authorize: () => (req, res, next) => next(),
+}))
+
+const app = express().use("/api/tickets", require("../src/routes/ticket.routes"))
+
+// Tickets as loaded from the database, so missing fields read as schema defaults
+const stored = (fields = {}) => Ticket.hydrate({ _id: new mongoose.Types.ObjectId(), status: "open", ...fields })
+
+// Mock the list query; returns the filters Ticket.find was called with
+const mockTickets = (tickets, total = tickets.length) => {
+  const filters = []
+  jest.spyOn(Ticket, "find").mockImplementation((filter) => {
+    filters.push(filter)
+    const query = {
+      populate: () => query,
+      sort: () => query,
+      limit: async (limit) => tickets.slice(0, limit),
+    }
+    return query
+  })
+  jest.spyOn(Ticket, "countDocuments").mockResolvedValue(total)
+  return filters
+}
+
+const cursorValue = (cursor) => JSON.parse(Buffer.from(cursor, "base64url").toString("utf8")).v
+
+describe("listTickets", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  describe("pagination", () => {
+    it("returns 50 tickets by default, with a cursor when there are more", async () => {
+      const tickets = Array.from({ length: 60 }, () => stored())
+      mockTickets(tickets)
+
+      const page = await listTickets({}, agent)
+
+      expect(page.tickets).toHaveLength(50)
+      expect(page.total).toBe(60)
+      expect(page.nextCursor).toEqual(expect.any(String))
+    })
+
+    it("has no cursor on the last page", async () => {
+      mockTickets([stored(), stored()])
+
+      const page = await listTickets({ limit: "5" }, agent)
+
+      expect(page.tickets).toHaveLength(2)
+      expect(page.nextCursor).toBeNull()
+    })
+
+    it("continues after the last ticket of the previous page", async () => {
+      const tickets = [stored({ updatedAt: new Date("2024-03-02") }), stored({ updatedAt: new Date("2024-03-01") })]
+      const filters = mockTickets(tickets)
+
+      const first = await listTickets({ limit: "1", status: "open" }, agent)
+      await listTickets({ limit: "1", status: "open", cursor: first.nextCursor }, agent)
+
+      expect(filters[1]).toEqual({
+        status: { $in: ["open"] },
+        $and: [
+          {
+            $or: [
+              { updatedAt: { $lt: tickets[0].updatedAt } },
+              { updatedAt: tickets[0].updatedAt, _id: { $lt: tickets[0]._id } },
+            ],
+          },
+        ],
+      })
+    })
+
+    it("rejects a malformed cursor", async () => {
+      mockTickets([])
+
+      await expect(listTickets({ cursor: "not-a-cursor" }, agent)).rejects.toMatchObject({ statusCode: 400 })
+    })
+
+    it("only lists a requester's own tickets", async () => {
+      const requester = { _id: new mongoose.Types.ObjectId(), role: "user" }
+      const filters = mockTickets([])
+
+      await listTickets({ createdBy: agent._id.toString() }, requester)
+
+      expect(filters[0].createdBy).toBe(requester._id)
+    })
+  })
+
+  describe("sorting by priority", () => {
+    it("puts a null rank in the cursor for tickets stored without one", async () => {
+      mockTickets([stored({ priority: "urgent" }), stored({ priority: "urgent" })])
+
+      const { nextCursor } = await listTickets({ sort: "-priority", limit: 1 }, agent)
+
+      expect(cursorValue(nextCursor)).toBeNull()
+    })
+
+    it("keeps tickets without a rank after the ranked ones when sorting descending", async () => {
+      const last = stored({ priority: "low", priorityRank: 0 })
+      const filters = mockTickets([last, stored()])
+      const { nextCursor } = await listTickets({ sort: "-priority", limit: 1 }, agent)
+
+      await listTickets({ sort: "-priority", cursor: nextCursor }, agent)
+
+      expect(filters[1].$and).toEqual([
+        {
+          $or: [{ priorityRank: { $lt: 0 } }, { priorityRank: 0, _id: { $lt: last._id } }, { priorityRank: null }],
+        },
+      ])
+    })
+
+    it("pages through tickets without a rank by _id", async () => {
+      const legacy = stored()
+      const filters = mockTickets([legacy, stored()])
+      const { nextCursor } = await listTickets({ sort: "-priority", limit: 1 }, agent)
+      const { nextCursor: ascendingCursor } = await listTickets({ sort: "priority", limit: 1 }, agent)
+
+      await listTickets({ sort: "-priority", cursor: nextCursor }, agent)
+      await listTickets({ sort: "priority", cursor: ascendingCursor }, agent)
+
+      expect(filters[2].$and).toEqual([{ priorityRank: null, _id: { $lt: legacy._id } }])
+      expect(filters[3].$and).toEqual([
+        { $or: [{ priorityRank: null, _id: { $gt: legacy._id } }, { priorityRank: { $ne: null } }] },
+      ])
+    })
+  })
+
+  describe("sorting by frustration", () => {
+    it("pages from triaged tickets into ones never analyzed", async () => {
+      const calm = stored({ sentiment: { label: "neutral", frustration: 0.1 } })
+      const untriaged = stored()
+      const filters = mockTickets([calm, untriaged])
+
+      const first = await listTickets({ sort: "-frustration", limit: 1 }, agent)
+      await listTickets({ sort: "-frustration", cursor: first.nextCursor, limit: 1 }, agent)
+
+      expect(cursorValue(first.nextCursor)).toBe(0.1)
+      expect(filters[1].$and).toEqual([
+        {
+          $or: [
+            { "sentiment.frustration": { $lt: 0.1 } },
+            { "sentiment.frustration": 0.1, _id: { $lt: calm._id } },
+            { "sentiment.frustration": null },
+          ],
+        },
+      ])
+    })
+
+    it("carries null for a ticket never analyzed", async () => {
+      mockTickets([stored(), stored()])
+
+      const { nextCursor } = await listTickets({ sort: "-frustration", limit: 1 }, agent)
+
+      expect(cursorValue(nextCursor)).toBeNull()
+    })
+  })
+
+  describe("GET /api/tickets", () => {
+    it("responds with a bare array unless pages are asked for", async () => {
+      mockTickets([stored(), stored(), stored()])
+
+      const res = await request(app).get("/api/tickets?limit=2")
+
+      expect(res.status).toBe(200)
+      expect(res.body).toHaveLength(2)
+    })
+
+    it("responds with a page when paginate=true or a cursor is sent", async () => {
+      mockTickets([stored(), stored(), stored()])
+
+      const first = await request(app).get("/api/tickets?limit=2&paginate=true")
+      const next = await request(app).get(`/api/tickets?limit=2&cursor=${first.body.nextCursor}`)
+
+      expect(first.body).toEqual({ tickets: expect.any(Array), nextCursor: expect.any(String), total: 3 })
+      expect(first.body.tickets).toHaveLength(2)
+      expect(next.body).toEqual(expect.objectContaining({ tickets: expect.any(Array), total: 3 }))
+    })
+
+    it("answers 400 for a malformed cursor", async () => {
+      mockTickets([])
+
+      const res = await request(app).get("/api/tickets?cursor=not-a-cursor")
+
+      expect(res.status).toBe(400)
+      expect(res.body).toEqual({ message: "Invalid cursor" })
+    })
+  })
+})
@@ -0,0 +1,112 @@
+const mongoose = require("mongoose")
+const AuditLog = require("../src/models/AuditLog")
+const Ticket = require("../src/models/Ticket")
+const {
+  TRANSITIONS,
+  InvalidTransitionError,
+  actorForRole,
+  canTransition,
+  changeStatus,
+} = require("../src/services/ticketStatus.service")
+
+const STATUSES = Ticket.schema.path("status").enumValues
+
+const ticket = (status) => {
+  const doc = new Ticket({
+    title: "Login fails",
+    description: "Cannot log in",
+    createdBy: new mongoose.Types.ObjectId(),
+  })
+  doc.status = status
+  doc.save = jest.fn().mockResolvedValue(doc)
+  return doc
+}
+
+describe("TRANSITIONS", () => {
+  it("covers every ticket status", () => {
+    expect(Object.keys(TRANSITIONS).sort()).toEqual([...STATUSES].sort())
+    for (const targets of Object.values(TRANSITIONS)) {
+      for (const to of Object.keys(targets)) expect(STATUSES).toContain(to)
+    }
+  })
+
+  it("makes closed final", () => {
+    for (const to of STATUSES) {
+      for (const actor of ["system", "agent", "user"]) expect(canTransition("closed", to, actor)).toBe(false)
+    }
+  })
+
+  it.each([
+    ["open", "triaged", "system", true],
+    ["open", "triaged", "agent", false],
+    ["triaged", "resolved", "system", true],
+    ["open", "resolved", "system", false],
+    ["open", "resolved", "user", false],
+    ["resolved", "open", "user", true],
+    ["resolved", "closed", "system", true],
+    ["waiting_human", "resolved", "agent", true],
+    ["waiting_human", "triaged", "agent", false],
+  ])("%s -> %s as %s is %s", (from, to, actor, allowed) => {
+    expect(canTransition(from, to, actor)).toBe(allowed)
+  })
+
+  it("rejects unknown statuses", () => {
+    expect(canTransition("archived", "open", "agent")).toBe(false)
+    expect(canTransition("open", "archived", "agent")).toBe(false)
+  })
+})
+
+describe("actorForRole", () => {
+  it("maps requesters to user and staff to agent", () => {
+    expect(actorForRole("user")).toBe("user")
+    expect(actorForRole("agent")).toBe("agent")
+    expect(actorForRole("admin")).toBe("agent")
+  })
+})
+
+describe("changeStatus", () => {
+  beforeEach(() => {
+    jest.spyOn(AuditLog.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this)
+    })
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it("saves the ticket and records the move", async () => {
+    const doc = ticket("open")
+    const userId = new mongoose.Types.ObjectId()
+
+    const changed = await changeStatus(doc, "resolved", { actor: "agent", traceId: "trace-1", userId, reason: "fixed" })
+
+    expect(changed).toBe(true)
+    expect(doc.status).toBe("resolved")
+    expect(doc.save).toHaveBeenCalledTimes(1)
+    expect(AuditLog.prototype.save).toHaveBeenCalledTimes(1)
+    const [entry] = AuditLog.prototype.save.mock.contexts
+    expect(entry).toMatchObject({ ticketId: doc._id, traceId: "trace-1", actor: "agent", action: "STATUS_CHANGED" })
+    expect(entry.meta).toMatchObject({ from: "open", to: "resolved", reason: "fixed" })
+  })
+
+  it("refuses a move the actor may not make, without saving", async () => {
+    const doc = ticket("closed")
+
+    const change = changeStatus(doc, "open", { actor: "user", traceId: "trace-1" })
+
+    await expect(change).rejects.toBeInstanceOf(InvalidTransitionError)
+    await expect(change).rejects.toMatchObject({ statusCode: 409 })
+    expect(doc.status).toBe("closed")
+    expect(doc.save).not.toHaveBeenCalled()
+    expect(AuditLog.prototype.save).not.toHaveBeenCalled()
+  })
+
+  it("saves without an audit entry when the status is unchanged", async () => {
+    const doc = ticket("waiting_human")
+
+    const changed = await changeStatus(doc, "waiting_human", { actor: "agent", traceId: "trace-1" })
+
+    expect(changed).toBe(false)
+    expect(doc.save).toHaveBeenCalledTimes(1)
+    expect(AuditLog.prototype.save).not.toHaveBeenCalled()
+  })
+})
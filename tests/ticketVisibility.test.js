@@ -0,0 +1,146 @@
+const express = require("express")
+const request = require("supertest")
+const mongoose = require("mongoose")
+const AuditLog = require("../src/models/AuditLog")
+const Ticket = require("../src/models/Ticket")
+const {
+  INTERNAL_AUDIT_ACTIONS,
+  auditFilterForUser,
+  auditLogsForUser,
+  ticketForUser,
+  visibleAttachments,
+} = require("../src/services/ticketVisibility.service")
+
+// The signed-in user for the route tests (jest.mock factories may only use mock* variables)
+const mockUser = { current: null }
+
+jest.mock("../src/middleware/auth", () => ({
+  auth: (req, res, next) => {
+    req.user = mockUser.current
+    next()
+  },
+  authorize: () => (req, res, next) => next(),
+}))
+
+const app = express().use("/api/tickets", require("../src/routes/ticket.routes"))
+
+const requester = { _id: new mongoose.Types.ObjectId(), role: "user" }
+const agent = { _id: new mongoose.Types.ObjectId(), role: "agent" }
+
+// Audit entries of one ticket; AuditLog.find applies the action filter the route builds
+const mockAudit = (ticket, actions) => {
+  const entries = actions.map((action) => ({ ticketId: ticket._id, action }))
+  jest.spyOn(Ticket, "findById").mockResolvedValue(ticket)
+  jest.spyOn(AuditLog, "find").mockImplementation((filter) => {
+    const hidden = filter.action?.$nin || []
+    const matches = entries.filter((entry) => !hidden.includes(entry.action))
+    const query = { sort: () => query, limit: async () => matches }
+    return query
+  })
+}
+
+describe("GET /api/tickets/:id/audit", () => {
+  const ticket = new Ticket({ title: "Refund", description: "Refund please", createdBy: requester._id })
+  const actions = [
+    "TICKET_CREATED",
+    "SUGGESTION_FEEDBACK",
+    "DUPLICATES_DETECTED",
+    "INTERNAL_NOTE_ADDED",
+    "SENTIMENT_ANALYZED",
+    "REPLY_ADDED",
+  ]
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it("leaves agent feedback, duplicate candidates and other internal entries out for the requester", async () => {
+    mockUser.current = requester
+    mockAudit(ticket, actions)
+
+    const res = await request(app).get(`/api/tickets/${ticket._id}/audit`)
+
+    expect(res.status).toBe(200)
+    expect(res.body.map((entry) => entry.action)).toEqual(["TICKET_CREATED", "REPLY_ADDED"])
+  })
+
+  it("shows agents everything", async () => {
+    mockUser.current = agent
+    mockAudit(ticket, actions)
+
+    const res = await request(app).get(`/api/tickets/${ticket._id}/audit`)
+
+    expect(res.body.map((entry) => entry.action)).toEqual(actions)
+  })
+})
+
+describe("auditFilterForUser", () => {
+  it("hides internal actions from requesters only", () => {
+    const ticketId = new mongoose.Types.ObjectId()
+
+    expect(auditFilterForUser(ticketId, requester)).toEqual({ ticketId, action: { $nin: INTERNAL_AUDIT_ACTIONS } })
+    expect(auditFilterForUser(ticketId, agent)).toEqual({ ticketId })
+    expect(INTERNAL_AUDIT_ACTIONS).toEqual(expect.arrayContaining(["SUGGESTION_FEEDBACK", "DUPLICATES_DETECTED"]))
+  })
+})
+
+describe("auditLogsForUser", () => {
+  const handedOver = new AuditLog({
+    ticketId: new mongoose.Types.ObjectId(),
+    traceId: "trace-1",
+    actor: "system",
+    action: "ASSIGNED_TO_HUMAN",
+    meta: {
+      confidence: 0.9,
+      frustration: 0.85,
+      reason: "negative_sentiment",
+      blockedBy: ["negative_sentiment", "low_confidence"],
+    },
+  })
+
+  it("keeps the frustration score out of hand-over entries for requesters", () => {
+    const [entry] = auditLogsForUser([handedOver], requester)
+
+    expect(entry.meta).toEqual({ confidence: 0.9, reason: "low_confidence", blockedBy: ["low_confidence"] })
+  })
+
+  it("leaves entries alone for agents", () => {
+    expect(auditLogsForUser([handedOver], agent)).toEqual([handedOver])
+  })
+})
+
+describe("internal notes", () => {
+  const file = (filename) => ({ filename, mimeType: "application/pdf", size: 10, storageKey: filename })
+  const ticket = new Ticket({
+    title: "Refund",
+    description: "Refund please",
+    createdBy: requester._id,
+    sentiment: { label: "negative", score: -0.6, frustration: 0.8 },
+    agentSuggestionId: new mongoose.Types.ObjectId(),
+    attachments: [file("receipt.pdf")],
+    replies: [
+      { content: "We're on it", author: agent._id, isAgent: true, attachments: [file("label.pdf")] },
+      {
+        content: "Customer sounds furious",
+        author: agent._id,
+        isAgent: true,
+        visibility: "internal",
+        attachments: [file("chargeback.pdf")],
+      },
+    ],
+  })
+
+  it("are left out of the ticket a requester sees, with the sentiment and suggestion", () => {
+    const data = ticketForUser(ticket, requester)
+
+    expect(data.replies.map((reply) => reply.content)).toEqual(["We're on it"])
+    expect(data).not.toHaveProperty("sentiment")
+    expect(data).not.toHaveProperty("agentSuggestionId")
+    expect(ticketForUser(ticket, agent)).toBe(ticket)
+  })
+
+  it("keep their attachments from requesters", () => {
+    const names = (user) => visibleAttachments(ticket, user).map((attachment) => attachment.filename)
+
+    expect(names(requester)).toEqual(["receipt.pdf", "label.pdf"])
+    expect(names(agent)).toEqual(["receipt.pdf", "label.pdf", "chargeback.pdf"])
+  })
+})
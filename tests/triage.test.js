@@ -0,0 +1,156 @@
+const mongoose = require("mongoose")
+const AgentSuggestion = require("../src/models/AgentSuggestion")
+const AuditLog = require("../src/models/AuditLog")
+const Config = require("../src/models/Config")
+const Ticket = require("../src/models/Ticket")
+const { BUILTIN_PROMPTS } = require("../src/services/prompt.service")
+
+// The provider the pipeline runs against; each test sets what it answers
+const mockProvider = { name: "test", model: "test-model" }
+
+jest.mock("../src/services/llm", () => ({
+  ...jest.requireActual("../src/services/llm"),
+  getProvider: () => mockProvider,
+}))
+jest.mock("../src/services/customField.service", () => ({
+  ...jest.requireActual("../src/services/customField.service"),
+  getActiveDefinitions: async () => [],
+}))
+jest.mock("../src/services/category.service", () => ({
+  ...jest.requireActual("../src/services/category.service"),
+  getCategories: async () => [{ name: "billing" }, { name: "tech" }, { name: "other" }],
+}))
+jest.mock("../src/services/duplicate.service", () => ({
+  ...jest.requireActual("../src/services/duplicate.service"),
+  findDuplicateCandidates: async () => [],
+}))
+jest.mock("../src/services/retrieval", () => ({
+  ...jest.requireActual("../src/services/retrieval"),
+  retrieve: async () => [],
+}))
+jest.mock("../src/services/prompt.service", () => {
+  const actual = jest.requireActual("../src/services/prompt.service")
+  return { ...actual, getActivePrompt: async (step) => actual.BUILTIN_PROMPTS[step] }
+})
+
+const { triageService } = require("../src/services/triage.service")
+
+const requesterId = new mongoose.Types.ObjectId()
+
+const ticket = (fields = {}) =>
+  Ticket.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    title: "Charged twice",
+    description: "My card was charged twice this month",
+    status: "open",
+    createdBy: requesterId,
+    createdAt: new Date(),
+    ...fields,
+  })
+
+// Triage one ticket against mockProvider with the database mocked out
+const runTriage = async (doc) => {
+  jest.spyOn(Ticket, "findById").mockResolvedValue(doc)
+  jest.spyOn(Config, "findOne").mockResolvedValue(new Config({ autoCloseEnabled: false }))
+  jest.spyOn(Ticket.prototype, "save").mockImplementation(function () {
+    return Promise.resolve(this)
+  })
+  const audit = jest.spyOn(AuditLog.prototype, "save").mockImplementation(function () {
+    return Promise.resolve(this)
+  })
+  jest.spyOn(AgentSuggestion.prototype, "saveAsNextVersion").mockImplementation(function () {
+    return Promise.resolve(this)
+  })
+
+  const suggestion = await triageService.performTriage(doc._id, "trace-1")
+  const audited = (action) => audit.mock.contexts.find((entry) => entry.action === action)
+  return { suggestion, audited }
+}
+
+beforeEach(() => {
+  Object.assign(mockProvider, {
+    classify: jest.fn(async () => ({ predictedCategory: "billing", confidence: 0.6, promptVersion: 1 })),
+    predictPriority: jest.fn(async () => ({ predictedPriority: "urgent", confidence: 0.9, promptVersion: 1 })),
+    analyzeSentiment: jest.fn(async () => ({
+      sentiment: "negative",
+      score: -0.4,
+      frustration: 0.3,
+      confidence: 0.8,
+      promptVersion: 1,
+    })),
+    draft: jest.fn(async () => ({ draftReply: "We have refunded the second charge.", promptVersion: 1 })),
+  })
+})
+
+afterEach(() => jest.restoreAllMocks())
+
+describe("performTriage priority", () => {
+  it.each(["default", "system"])("applies the predicted priority over a %s one", async (prioritySource) => {
+    const doc = ticket({ priority: "low", prioritySource })
+
+    const { audited } = await runTriage(doc)
+
+    expect(doc.priority).toBe("urgent")
+    expect(doc.prioritySource).toBe("system")
+    expect(audited("PRIORITY_PREDICTED").meta.applied).toBe(true)
+  })
+
+  it.each(["requester", "agent"])("keeps a priority the %s chose", async (prioritySource) => {
+    const doc = ticket({ priority: "low", prioritySource })
+
+    const { suggestion, audited } = await runTriage(doc)
+
+    expect(doc.priority).toBe("low")
+    expect(doc.prioritySource).toBe(prioritySource)
+    expect(suggestion.predictedPriority).toBe("urgent")
+    expect(audited("PRIORITY_PREDICTED").meta.applied).toBe(false)
+  })
+})
+
+describe("performTriage", () => {
+  it("hands a ticket it won't auto-close to a human with the suggestion attached", async () => {
+    const doc = ticket()
+
+    const { suggestion } = await runTriage(doc)
+
+    expect(doc.status).toBe("waiting_human")
+    expect(doc.agentSuggestionId).toEqual(suggestion._id)
+    expect(suggestion.draftReply).toBe("We have refunded the second charge.")
+    expect(mockProvider.classify).toHaveBeenCalledWith(expect.any(String), expect.any(Array), BUILTIN_PROMPTS.classify)
+  })
+
+  it("runs every provider step with its versioned prompt and records the versions", async () => {
+    const { suggestion } = await runTriage(ticket())
+
+    expect(mockProvider.predictPriority).toHaveBeenCalledWith(expect.any(String), BUILTIN_PROMPTS.priority)
+    expect(mockProvider.analyzeSentiment).toHaveBeenCalledWith(expect.any(String), BUILTIN_PROMPTS.sentiment)
+    expect(suggestion.modelInfo.promptVersion).toBe("classify@1+priority@1+sentiment@1+draft@1")
+    expect(suggestion.modelInfo.prompts.map((prompt) => prompt.step)).toEqual([
+      "classify",
+      "priority",
+      "sentiment",
+      "draft",
+    ])
+  })
+})
+
+describe("buildTriageText", () => {
+  it("includes the public conversation but never internal notes", () => {
+    const agentId = new mongoose.Types.ObjectId()
+    const doc = ticket({
+      tags: ["card"],
+      replies: [
+        { content: "Could you send the last four digits?", author: agentId, isAgent: true },
+        { content: "Looks like fraud, escalate", author: agentId, isAgent: true, visibility: "internal" },
+        { content: "It ends in 4242", author: requesterId, isAgent: false },
+      ],
+    })
+
+    expect(triageService.buildTriageText(doc).split("\n")).toEqual([
+      "Charged twice My card was charged twice this month",
+      "Tags: card",
+      "Agent: Could you send the last four digits?",
+      "Customer: It ends in 4242",
+    ])
+  })
+})
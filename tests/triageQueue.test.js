@@ -0,0 +1,175 @@
+const express = require("express")
+const request = require("supertest")
+const mongoose = require("mongoose")
+const AuditLog = require("../src/models/AuditLog")
+const Ticket = require("../src/models/Ticket")
+const TriageJob = require("../src/models/TriageJob")
+const { triageService } = require("../src/services/triage.service")
+const { enqueueTriage, processJob, recoverUntriagedTickets } = require("../src/services/triageQueue.service")
+
+jest.mock("../src/middleware/auth", () => ({
+  auth: (req, res, next) => {
+    req.user = { _id: "admin", role: "admin", email: "admin@example.com" }
+    next()
+  },
+  authorize: () => (req, res, next) => next(),
+}))
+
+const app = express().use(express.json()).use("/api/agent", require("../src/routes/agent.routes"))
+
+const job = (fields = {}) =>
+  new TriageJob({ ticketId: new mongoose.Types.ObjectId(), traceId: "trace-1", status: "running", ...fields })
+
+const mockSaves = () => {
+  jest.spyOn(TriageJob.prototype, "save").mockImplementation(function () {
+    return Promise.resolve(this)
+  })
+  return jest.spyOn(AuditLog.prototype, "save").mockImplementation(function () {
+    return Promise.resolve(this)
+  })
+}
+
+describe("processJob", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it("marks the job succeeded when triage runs", async () => {
+    mockSaves()
+    jest.spyOn(triageService, "performTriage").mockResolvedValue()
+    const succeeded = job({ attempts: 1, lastError: "timeout" })
+
+    await processJob(succeeded)
+
+    expect(succeeded.status).toBe("succeeded")
+    expect(succeeded.completedAt).toBeInstanceOf(Date)
+    expect(succeeded.lastError).toBeUndefined()
+  })
+
+  it("re-queues a failed job with an exponential backoff", async () => {
+    mockSaves()
+    jest.spyOn(triageService, "performTriage").mockRejectedValue(new Error("provider timeout"))
+
+    const delays = []
+    for (const attempts of [1, 2, 3]) {
+      const failed = job({ attempts, lockedAt: new Date(), lockedBy: "worker" })
+      const before = Date.now()
+      await processJob(failed)
+
+      expect(failed.status).toBe("queued")
+      expect(failed.lastError).toBe("provider timeout")
+      expect(failed.lockedBy).toBeUndefined()
+      delays.push(failed.runAt.getTime() - before)
+    }
+
+    expect(delays[1]).toBeGreaterThanOrEqual(delays[0] * 2 - 50)
+    expect(delays[2]).toBeGreaterThanOrEqual(delays[1] * 2 - 50)
+  })
+
+  it("dead-letters a job that used up its attempts and audits it", async () => {
+    const auditSave = mockSaves()
+    jest.spyOn(triageService, "performTriage").mockRejectedValue(new Error("provider timeout"))
+    const exhausted = job({ attempts: 5, maxAttempts: 5 })
+
+    await processJob(exhausted)
+
+    expect(exhausted.status).toBe("dead")
+    expect(auditSave).toHaveBeenCalledTimes(1)
+    expect(auditSave.mock.contexts[0]).toMatchObject({
+      action: "TRIAGE_DEAD_LETTERED",
+      meta: { attempts: 5, error: "provider timeout" },
+    })
+  })
+
+  it("dead-letters errors that won't go away on retry at once", async () => {
+    mockSaves()
+    jest
+      .spyOn(triageService, "performTriage")
+      .mockRejectedValue(Object.assign(new Error("Ticket not found"), { statusCode: 404 }))
+    const gone = job({ attempts: 1 })
+
+    await processJob(gone)
+
+    expect(gone.status).toBe("dead")
+  })
+})
+
+describe("enqueueTriage", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it("merges new options into a job already queued for the ticket", async () => {
+    const queued = job({ status: "queued" })
+    const findOneAndUpdate = jest.spyOn(TriageJob, "findOneAndUpdate").mockResolvedValue(queued)
+    const save = jest.spyOn(TriageJob.prototype, "save")
+
+    expect(await enqueueTriage(queued.ticketId, "trace-2", { autoClose: false })).toBe(queued)
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { ticketId: queued.ticketId, status: "queued" },
+      { $set: { "options.autoClose": false } },
+      { new: true },
+    )
+    expect(save).not.toHaveBeenCalled()
+  })
+
+  it("creates a job when none is queued", async () => {
+    jest.spyOn(TriageJob, "findOneAndUpdate").mockResolvedValue(null)
+    mockSaves()
+    const ticketId = new mongoose.Types.ObjectId()
+
+    const created = await enqueueTriage(ticketId, "trace-3", { autoClose: false })
+
+    expect(created).toMatchObject({ ticketId, traceId: "trace-3", status: "queued", options: { autoClose: false } })
+  })
+})
+
+describe("recoverUntriagedTickets", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it("queues only open tickets that have no pending or dead job", async () => {
+    const tickets = [{ _id: new mongoose.Types.ObjectId() }, { _id: new mongoose.Types.ObjectId() }]
+    jest.spyOn(Ticket, "find").mockReturnValue({ select: async () => tickets })
+    jest
+      .spyOn(TriageJob, "exists")
+      .mockImplementation(async ({ ticketId }) => (ticketId === tickets[0]._id ? { _id: "job" } : null))
+    jest.spyOn(TriageJob, "findOneAndUpdate").mockResolvedValue(null)
+    mockSaves()
+
+    expect(await recoverUntriagedTickets()).toBe(1)
+    expect(TriageJob.prototype.save.mock.contexts[0].ticketId).toEqual(tickets[1]._id)
+  })
+})
+
+describe("POST /api/agent/triage", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  const mockTicket = (ticket) => jest.spyOn(Ticket, "findById").mockReturnValue({ select: async () => ticket })
+
+  it("returns 404 for a missing ticket", async () => {
+    mockTicket(null)
+    const findOneAndUpdate = jest.spyOn(TriageJob, "findOneAndUpdate")
+
+    const res = await request(app).post("/api/agent/triage").send({ ticketId: new mongoose.Types.ObjectId() })
+
+    expect(res.status).toBe(404)
+    expect(findOneAndUpdate).not.toHaveBeenCalled()
+  })
+
+  it.each(["resolved", "closed"])("returns 409 for a %s ticket", async (status) => {
+    mockTicket({ status })
+    const findOneAndUpdate = jest.spyOn(TriageJob, "findOneAndUpdate")
+
+    const res = await request(app).post("/api/agent/triage").send({ ticketId: new mongoose.Types.ObjectId() })
+
+    expect(res.status).toBe(409)
+    expect(findOneAndUpdate).not.toHaveBeenCalled()
+  })
+
+  it.each(["open", "triaged", "waiting_human"])("queues a job for a %s ticket", async (status) => {
+    mockTicket({ status })
+    jest.spyOn(TriageJob, "findOneAndUpdate").mockResolvedValue(null)
+    mockSaves()
+
+    const res = await request(app).post("/api/agent/triage").send({ ticketId: new mongoose.Types.ObjectId() })
+
+    expect(res.status).toBe(200)
+    expect(res.body.jobId).toBeDefined()
+  })
+})